@@ -0,0 +1,168 @@
+/**
+ * Analysis.js
+ *
+ * Continuous engine analysis of a single position, independent of the game
+ * being played:
+ * - Runs an infinite MultiPV search in its own worker (EngineClient), so it
+ *   never shares a search or a transposition table with Game's engines.
+ * - Restarts whenever a different position is requested, and reports each
+ *   completed depth through onUpdate with scores from White's point of
+ *   view and the candidate lines in SAN.
+ * - Reports checkmate and stalemate positions without searching.
+ *
+ * Analysis needs Web Worker support: without it onUpdate receives an
+ * "error" result instead of an endless search freezing the page.
+ */
+
+import { EngineClient } from "./engine/EngineClient.js";
+import { oppositeColor } from "./engine/Board.js";
+import { toFEN } from "./engine/Fen.js";
+import { generateLegalMoves, isInCheck } from "./engine/Rules.js";
+import { lineToSAN } from "./engine/San.js";
+
+/** Engine level used for analysis (quiescence and full move ordering). */
+const ANALYSIS_LEVEL = 5;
+
+/** Depth limit; in practice the search runs until the position changes. */
+const ANALYSIS_MAX_DEPTH = 64;
+
+/** Most candidate moves that can be shown. */
+export const MAX_ANALYSIS_LINES = 5;
+
+/**
+ * @typedef {Object} AnalysisLine
+ * @property {number} score - centipawns from White's point of view
+ * @property {number|null} mate - moves to mate, positive when White mates
+ * @property {import("./engine/Move.js").Move} move - the candidate move
+ * @property {string} san - numbered SAN line, e.g. "12... Nf6 13. d4"
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {string} fen - the analysed position
+ * @property {"searching"|"checkmate"|"stalemate"|"error"} status
+ * @property {number} depth - last completed depth, 0 before the first
+ * @property {number} nodes
+ * @property {number} nps
+ * @property {AnalysisLine[]} lines - best first
+ * @property {"white"|"black"|null} winner - set for checkmate
+ * @property {string} [message] - set for errors
+ */
+
+/**
+ * Clamp a line count to 1..MAX_ANALYSIS_LINES (1 when not a number).
+ * @param {number|string} count
+ * @returns {number}
+ */
+function clampLineCount(count) {
+  return Math.max(1, Math.min(MAX_ANALYSIS_LINES, Math.floor(Number(count)) || 1));
+}
+
+export class Analysis {
+  /**
+   * @param {Object} options
+   * @param {(result: AnalysisResult) => void} options.onUpdate
+   * @param {number} [options.lines] - candidate moves to report (MultiPV), default 3
+   */
+  constructor({ onUpdate, lines = 3 }) {
+    this.engine = new EngineClient({ allowFallback: false });
+    this.onUpdate = onUpdate || (() => { });
+    this.lineCount = clampLineCount(lines);
+    /** Position being analysed (GameState.getStateAtPly() output), or null. */
+    this.position = null;
+    this.fen = null;
+  }
+
+  /**
+   * Analyse a position. Requesting the position already being searched
+   * keeps the running search.
+   * @param {ReturnType<import("./engine/GameState.js").GameState["getStateAtPly"]>} position
+   */
+  analyze(position) {
+    const fen = toFEN(position);
+    if (fen === this.fen && this.engine.isSearching()) return;
+    this.position = position;
+    this.fen = fen;
+    this.start();
+  }
+
+  /**
+   * Change the number of candidate moves; a running analysis restarts.
+   * @param {number} count
+   */
+  setLineCount(count) {
+    const clamped = clampLineCount(count);
+    if (clamped === this.lineCount) return;
+    this.lineCount = clamped;
+    if (this.engine.isSearching()) this.start();
+  }
+
+  /**
+   * Stop searching. The next analyze() call starts again, even for the
+   * same position.
+   */
+  stop() {
+    this.engine.cancel();
+  }
+
+  /**
+   * Stop searching and release the worker.
+   */
+  dispose() {
+    this.engine.dispose();
+  }
+
+  /**
+   * Internal: (re)start the search of this.position.
+   */
+  start() {
+    const { position, fen } = this;
+    const result = { fen, status: "searching", depth: 0, nodes: 0, nps: 0, lines: [], winner: null };
+
+    if (generateLegalMoves(position).length === 0) {
+      this.engine.cancel();
+      const mated = isInCheck(position);
+      this.onUpdate({
+        ...result,
+        status: mated ? "checkmate" : "stalemate",
+        winner: mated ? oppositeColor(position.activeColor) : null,
+      });
+      return;
+    }
+
+    this.onUpdate(result);
+    // Scores come from the side to move's point of view.
+    const sign = position.activeColor === "white" ? 1 : -1;
+
+    this.engine
+      .search(
+        position,
+        {
+          level: ANALYSIS_LEVEL,
+          forColor: position.activeColor,
+          timeout: Infinity,
+          depth: ANALYSIS_MAX_DEPTH,
+          multiPV: this.lineCount,
+        },
+        (info) => {
+          this.onUpdate({
+            ...result,
+            depth: info.depth,
+            nodes: info.nodes,
+            nps: info.nps,
+            lines: info.lines.map((line) => ({
+              score: line.score * sign,
+              mate: line.mate === null ? null : line.mate * sign,
+              move: line.pv[0],
+              san: lineToSAN(position, line.pv),
+            })),
+          });
+        }
+      )
+      .catch((error) => {
+        // Ignore cancelled searches and failures of a replaced position.
+        if (error.name === "AbortError" || this.position !== position) return;
+        this.onUpdate({ ...result, status: "error", message: error.message });
+      });
+  }
+}
@@ -1,6 +1,12 @@
 import { GameState } from "./engine/GameState.js";
-import { AI } from "./engine/AI.js";
+import { EngineClient } from "./engine/EngineClient.js";
 import { generateLegalMoves } from "./engine/Rules.js";
+import { writePGN, resultToPGN, formatPGNDate } from "./engine/Pgn.js";
+import { parseSAN, lineToSAN, moveToSAN } from "./engine/San.js";
+import { toFEN } from "./engine/Fen.js";
+import { explainMove } from "./engine/Hint.js";
+import { ChessClock, formatTimeControl } from "./engine/Clock.js";
+import { lookupOpening } from "./engine/Eco.js";
 
 /**
  * Game.js
@@ -8,20 +14,113 @@ import { generateLegalMoves } from "./engine/Rules.js";
  * Orchestrates GameState (rules engine) with UI-facing callbacks.
  * This module:
  * - Configures initial side (white/black/random).
+ * - Plays against the computer, lets two people share the board, or
+ *   lets two engine configurations play each other (watch mode).
  * - Delegates rule validation and move generation to GameState.
- * - Delegates AI move search to AI.
+ * - Delegates AI move search to the engine worker (EngineClient).
+ * - Runs the optional chess clock and ends the game on flag-fall.
+ * - Takes back and replays moves (undo/redo).
+ * - Lets the computer play from an opening book, and remembers book moves.
+ * - Names the opening (ECO code and name) from the positions reached.
+ * - Suggests moves to human players on request (hints), and counts them.
+ * - Exports the game record as PGN.
  * - Exposes high-level methods used by the frontend.
  */
 
+/**
+ * Who plays the game:
+ * - "computer": the human plays playerColor against the engine
+ * - "human": two people play on one device; playerColor is the side shown at the bottom
+ * - "watch": the engine plays both sides, each with its own level and
+ *   search worker; playerColor is the side shown at the bottom
+ * @typedef {"computer"|"human"|"watch"} GameMode
+ */
+
+/** PGN tags that writePGN derives from the game itself. */
+const DERIVED_TAGS = ["Result", "SetUp", "FEN"];
+
+/** AI search budget bounds (ms); mirrors the Thinking Time input. */
+const DEFAULT_THINKING_TIME = 10000;
+const MIN_THINKING_TIME = 1000;
+const MAX_THINKING_TIME = 60000;
+
+/** Hints are searched at full strength, but never for longer than this (ms). */
+const HINT_LEVEL = 5;
+const MAX_HINT_TIME = 3000;
+
+/**
+ * A move suggested to a human player.
+ * @typedef {Object} Hint
+ * @property {number} ply - history length when it was given (the move it is for)
+ * @property {string} fen - the position it was given for; after a takeback
+ *   the move at `ply` can be played from another position
+ * @property {"white"|"black"} color
+ * @property {import("./engine/Move.js").Move} move
+ * @property {string} san
+ * @property {string|null} explanation - e.g. "Captures a knight and gives check"
+ */
+
+/**
+ * Clamp an engine level to 1..5 (3 when not a number).
+ * @param {number|string} level
+ * @returns {number}
+ */
+function clampLevel(level) {
+  return Math.max(1, Math.min(5, Number(level) || 3));
+}
+
 export class Game {
   /**
    * @param {Object} options
    * @param {"white"|"black"|"random"} options.playerColor
+   * @param {GameMode} [options.mode] - defaults to "computer"
    * @param {number} options.difficulty - 1..5
-   * @param {(snapshot: import("./engine/GameState.js").GameSnapshot) => void} options.onUpdate
+   * @param {{white:number, black:number}} [options.levels] - per-side levels in watch mode
+   * @param {number} [options.thinkingTime] - AI search budget in ms (when no clock is used)
+   * @param {import("./engine/Clock.js").TimeControlStage[]|null} [options.timeControl] - clock stages, null for untimed
+   * @param {(snapshot: import("./engine/GameState.js").GameSnapshot, game: Game) => void} options.onUpdate -
+   *   called after every change, the first time from within this constructor
+   * @param {GameState} [options.initialState] - continue from an existing state (e.g. imported PGN)
+   * @param {Record<string, string>} [options.tags] - PGN tags of an imported game; they
+   *   replace the generated ones on export
+   * @param {boolean} [options.hints] - whether human players may ask for hints (default true)
+   * @param {"builtin"|ArrayBuffer|null} [options.book] - opening book for the computer:
+   *   the built-in book (default), a Polyglot .bin file's contents, or null for none
    */
-  constructor({ playerColor, difficulty, onUpdate }) {
-    this.ai = new AI();
+  constructor({
+    playerColor,
+    mode,
+    difficulty,
+    levels,
+    thinkingTime,
+    timeControl,
+    onUpdate,
+    initialState,
+    tags,
+    hints,
+    book = "builtin",
+  }) {
+    this.mode = mode === "human" || mode === "watch" ? mode : "computer";
+    // Watch mode searches each side in its own worker, so neither side's
+    // transposition table is cleared by the other's searches.
+    const engine = new EngineClient();
+    this.engines = {
+      white: engine,
+      black: this.mode === "watch" ? new EngineClient() : engine,
+    };
+    this.engines.white.setBook(book);
+    if (this.engines.black !== this.engines.white) this.engines.black.setBook(book);
+    /**
+     * Computer moves played from the opening book, by ply.
+     * @type {Map<number, {name:string|null}>}
+     */
+    this.bookMoves = new Map();
+    /**
+     * Opening classification by ply (see getOpening()), with the SAN of the
+     * move that led to each ply so entries past an undone move are dropped.
+     * @type {{san:string|null, opening:import("./engine/Eco.js").Opening|null}[]}
+     */
+    this.openingsByPly = [];
     this.onUpdate = onUpdate || (() => { });
 
     const resolvedPlayerColor =
@@ -31,9 +130,62 @@ export class Game {
           ? "white"
           : "black";
 
-    this.state = GameState.createStarting(resolvedPlayerColor);
+    if (initialState) {
+      this.state = initialState;
+      this.state.playerColor = resolvedPlayerColor;
+    } else {
+      this.state = GameState.createStarting(resolvedPlayerColor);
+    }
+    this.state.players =
+      this.mode === "human"
+        ? { white: "human", black: "human" }
+        : this.mode === "watch"
+          ? { white: "computer", black: "computer" }
+          : null;
+    this.startedAt = new Date();
+    /** Tags of an imported game, without those that follow from the moves. */
+    this.importedTags = Object.fromEntries(
+      Object.entries(tags || {}).filter(([name]) => !DERIVED_TAGS.includes(name))
+    );
 
     this.setDifficulty(difficulty || 3);
+    /** @type {{white:number, black:number}|null} */
+    this.levels =
+      this.mode === "watch"
+        ? {
+          white: clampLevel((levels && levels.white) || this.difficulty),
+          black: clampLevel((levels && levels.black) || this.difficulty),
+        }
+        : null;
+    this.setThinkingTime(thinkingTime || DEFAULT_THINKING_TIME);
+
+    this.hintsAllowed = hints !== false && this.mode !== "watch";
+    /**
+     * Latest hint given at each ply; asking again at the same ply replaces
+     * the entry, and it stays after a takeback (see isHintCurrent()).
+     * @type {Map<number, Hint>}
+     */
+    this.hints = new Map();
+    /** Hints given per side, including replaced ones and those taken back. */
+    this.hintCounts = { white: 0, black: 0 };
+    // Hints search in a worker of their own: sharing the computer's would
+    // clear its transposition table (the hint searches for the other colour).
+    this.hintEngine = this.hintsAllowed ? new EngineClient() : null;
+    if (this.hintEngine) this.hintEngine.setBook(book);
+
+    this.timeControl = timeControl || null;
+    this.clock = this.timeControl ? new ChessClock(this.timeControl) : null;
+    /**
+     * Clock state when each ply was reached, so that takebacks and redos do
+     * not count a stage's moves or increments twice.
+     * @type {Map<number, import("./engine/Clock.js").ClockState>}
+     */
+    this.clockStates = new Map();
+    if (this.clock) {
+      this.clockStates.set(this.state.moveHistory.length, this.clock.save());
+      if (!this.isGameOver()) this.clock.start(this.state.activeColor);
+    }
+
     this.notify();
   }
 
@@ -42,8 +194,78 @@ export class Game {
    * @param {number} level 1..5
    */
   setDifficulty(level) {
-    const clamped = Math.max(1, Math.min(5, Number(level) || 3));
-    this.difficulty = clamped;
+    this.difficulty = clampLevel(level);
+  }
+
+  /**
+   * Engine level playing `color`: the per-side level in watch mode,
+   * otherwise the game's difficulty.
+   * @param {"white"|"black"} color
+   * @returns {number} 1..5
+   */
+  getLevel(color) {
+    return this.levels ? this.levels[color] : this.difficulty;
+  }
+
+  /**
+   * Update the AI search budget; takes effect from the next computer move.
+   * @param {number} ms
+   */
+  setThinkingTime(ms) {
+    const value = Number(ms) || DEFAULT_THINKING_TIME;
+    this.thinkingTime = Math.max(MIN_THINKING_TIME, Math.min(MAX_THINKING_TIME, value));
+  }
+
+  /**
+   * Current AI search budget in ms.
+   * @returns {number}
+   */
+  getThinkingTime() {
+    return this.thinkingTime;
+  }
+
+  /**
+   * Budget for the next computer move: from the side's own clock when
+   * the game is timed, otherwise the configured thinking time.
+   * @returns {number}
+   */
+  getThinkingBudget() {
+    if (this.clock) {
+      return this.clock.allocateThinkingTime(this.getCurrentTurn());
+    }
+    return this.thinkingTime;
+  }
+
+  /**
+   * Whether this game is played with a clock.
+   * @returns {boolean}
+   */
+  hasClock() {
+    return !!this.clock;
+  }
+
+  /**
+   * Remaining times for UI.
+   * @returns {{white:number, black:number, running:"white"|"black"|null}|null}
+   */
+  getClockSnapshot() {
+    return this.clock ? this.clock.getSnapshot() : null;
+  }
+
+  /**
+   * Poll the clock; ends the game if the side to move has run out of time.
+   * @returns {boolean} true if the flag fell during this call
+   */
+  checkClock() {
+    if (!this.clock || this.isGameOver()) return false;
+    const color = this.getCurrentTurn();
+    if (!this.clock.isFlagged(color)) return false;
+
+    this.clock.stop();
+    this.cancelSearch();
+    this.state.setFlagFall(color);
+    this.notify();
+    return true;
   }
 
   /**
@@ -62,6 +284,30 @@ export class Game {
     return this.state.playerColor;
   }
 
+  /**
+   * Who plays this game.
+   * @returns {GameMode}
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Whether a person is to move (the side to move is not the engine's).
+   * @returns {boolean}
+   */
+  isHumanTurn() {
+    return this.state.getPlayerType(this.getCurrentTurn()) === "human";
+  }
+
+  /**
+   * Whether the engine is to move.
+   * @returns {boolean}
+   */
+  isComputerTurn() {
+    return !this.isHumanTurn();
+  }
+
   /**
    * Current turn color.
    * @returns {"white"|"black"}
@@ -94,6 +340,32 @@ export class Game {
     return this.state.getSnapshot();
   }
 
+  /**
+   * Forget a half-made move (selected piece) without changing the position.
+   */
+  clearSelection() {
+    this.state.clearSelection();
+  }
+
+  /**
+   * Board after the first `ply` moves, for browsing the move history.
+   * Read-only: the live game is not touched.
+   * @param {number} ply - 0 = start position, history length = current
+   * @returns {{board:Record<string,string|null>, activeColor:"white"|"black", lastMove:{from:string,to:string}|null}|null}
+   */
+  getPositionAt(ply) {
+    return this.state.getPositionAtPly(ply);
+  }
+
+  /**
+   * Search position after the first `ply` moves, for analysis.
+   * @param {number} ply - 0 = start position, history length = current
+   * @returns {ReturnType<GameState["getStateAtPly"]>}
+   */
+  getStateAt(ply) {
+    return this.state.getStateAtPly(ply);
+  }
+
   /**
    * Handle user clicking a square as part of a potential move.
    * This method encapsulates selection + move confirmation behavior.
@@ -109,19 +381,23 @@ export class Game {
   getLegalMovesForSquare(square) {
     if (this.isGameOver()) return [];
     const allLegal = generateLegalMoves(this.state.asRulesState());
-    return allLegal
+    return [...new Set(allLegal
       .filter(m => m.from === square)
-      .map(m => m.to);
+      .map(m => m.to))];
   }
 
   /**
    * Handle user clicking a square as part of a potential move.
+   * A click that would promote a pawn does not move; `promotion` is set
+   * instead and the move is completed with handlePlayerMove({from, to, promotion}).
+   *
    * @param {string} square - algebraic coordinate, e.g. "e2"
    * @returns {{
    *   changed: boolean,
    *   selected: string|null,
    *   legalTargets: string[],
-   *   lastMove: {from:string,to:string}|null
+   *   lastMove: {from:string,to:string}|null,
+   *   promotion: {from:string,to:string}|null
    * }}
    */
   handlePlayerSquareSelection(square) {
@@ -131,25 +407,40 @@ export class Game {
         selected: null,
         legalTargets: [],
         lastMove: this.state.lastMove,
+        promotion: null,
       };
     }
 
-    const color = this.getPlayerColor();
+    if (this.checkClock()) {
+      return {
+        changed: true,
+        selected: null,
+        legalTargets: [],
+        lastMove: this.state.lastMove,
+        promotion: null,
+      };
+    }
+
+    // With two players, whoever is to move is the player.
+    const color = this.isHumanTurn() ? this.getCurrentTurn() : this.getPlayerColor();
     const result = this.state.handleSelection(square, color);
     if (result.moved) {
-      this.notify();
+      this.afterMove(color);
     }
     return {
       changed: result.moved,
       selected: result.selectedSquare,
       legalTargets: result.legalTargets,
       lastMove: this.state.lastMove,
+      promotion: result.promotion || null,
     };
   }
 
   /**
-   * Handle a direct move request (e.g. from API).
-   * @param {import("./engine/Move.js").Move} move
+   * Handle a direct move request (e.g. from API, a typed move, or the
+   * promotion picker). Promotions must name the piece: `promotion` on a
+   * move object ("Q", "R", "B" or "N"), or "=Q" etc. in SAN.
+   * @param {import("./engine/Move.js").Move|string} move - move object or SAN string (e.g. "Nbd7")
    * @returns {{ success: boolean, move?: import("./engine/Move.js").Move, error?: string }}
    */
   handlePlayerMove(move) {
@@ -157,39 +448,239 @@ export class Game {
       return { success: false, error: "Game is over" };
     }
 
-    if (this.getCurrentTurn() !== this.getPlayerColor()) {
+    if (!this.isHumanTurn()) {
       return { success: false, error: "Not your turn" };
     }
 
-    const legalMoves = generateLegalMoves(this.state.asRulesState());
-    const validMove = legalMoves.find(m =>
-      m.from === move.from &&
-      m.to === move.to &&
-      (!move.promotion || m.promotion === move.promotion)
-    );
+    if (this.checkClock()) {
+      return { success: false, error: "Time forfeit" };
+    }
+
+    const color = this.getCurrentTurn();
+    const rulesState = this.state.asRulesState();
+    const legalMoves = generateLegalMoves(rulesState);
+
+    if (typeof move === "string") {
+      let sanMove;
+      try {
+        sanMove = parseSAN(rulesState, move, legalMoves);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      this.state.applyMove(sanMove);
+      this.afterMove(color);
+      return { success: true, move: sanMove };
+    }
+
+    const promotion = move.promotion ? String(move.promotion).toUpperCase() : null;
+    const candidates = legalMoves.filter(m => m.from === move.from && m.to === move.to);
+    const validMove = candidates.find(m => (m.promotion || null) === promotion);
 
     if (!validMove) {
+      if (candidates.some(m => m.promotion)) {
+        return {
+          success: false,
+          error: promotion
+            ? `Invalid promotion piece "${move.promotion}"`
+            : "Promotion piece required (Q, R, B or N)",
+        };
+      }
       return { success: false, error: "Illegal move" };
     }
 
     this.state.applyMove(validMove);
-    this.notify();
+    this.afterMove(color);
     return { success: true, move: validMove };
   }
 
   /**
-   * Ask AI to compute best move given current state and difficulty.
-   * Uses async to avoid blocking UI; actual search is synchronous within.
+   * Ask the engine worker to compute the best move for the side to move,
+   * at that side's level. Within the opening book the engine plays a book
+   * move without searching (see getBookMove).
+   * Rejects with an Error named "AbortError" if cancelSearch() is called meanwhile.
+   *
+   * Progress reports are the engine's SearchInfo plus `color` (the side
+   * searched for) and `line`, the principal variation in numbered SAN.
    *
+   * @param {Object} [options]
+   * @param {(info: import("./engine/AI.js").SearchInfo & {color:"white"|"black", line:string}) => void} [options.onProgress]
    * @returns {Promise<import("./engine/Move.js").Move|null>}
    */
-  async computeAIMove() {
+  async computeAIMove({ onProgress } = {}) {
     if (this.isGameOver()) return null;
     const aiColor = this.getCurrentTurn();
-    return this.ai.findBestMove(this.state, {
-      level: this.difficulty,
-      forColor: aiColor,
-    });
+    const ply = this.state.moveHistory.length;
+    const searched = this.state.clone();
+    let book = null;
+    const move = await this.engines[aiColor].search(
+      this.state.serialize(),
+      {
+        level: this.getLevel(aiColor),
+        forColor: aiColor,
+        timeout: this.getThinkingBudget(),
+        useBook: true,
+      },
+      (info) => {
+        book = info.book || null;
+        if (onProgress) {
+          onProgress({ ...info, color: aiColor, line: lineToSAN(searched, info.pv || []) });
+        }
+      }
+    );
+    if (book) this.bookMoves.set(ply, book);
+    else this.bookMoves.delete(ply);
+    return move;
+  }
+
+  /**
+   * The opening book entry of a computer move, if it was played from the book.
+   * @param {number} ply - history index of the move
+   * @returns {{name:string|null}|null} name is the opening's, when the book has one
+   */
+  getBookMove(ply) {
+    return this.bookMoves.get(ply) || null;
+  }
+
+  /**
+   * The opening of the game so far: that of the latest position with an ECO
+   * classification, so transpositions are recognised. Each position is only
+   * looked up once; the moves since the last call are classified on top.
+   * @returns {import("./engine/Eco.js").Opening|null}
+   */
+  getOpening() {
+    const history = this.state.moveHistory;
+    const cache = this.openingsByPly;
+    let valid = Math.min(cache.length, history.length + 1);
+    for (let ply = 1; ply < valid; ply++) {
+      if (cache[ply].san !== history[ply - 1]) {
+        valid = ply;
+        break;
+      }
+    }
+    cache.length = valid;
+
+    for (let ply = valid; ply <= history.length; ply++) {
+      const state = this.state.getStateAtPly(ply);
+      const opening = state && lookupOpening(state);
+      cache.push({
+        san: ply === 0 ? null : history[ply - 1],
+        opening: opening || (ply === 0 ? null : cache[ply - 1].opening),
+      });
+    }
+    return cache[history.length].opening;
+  }
+
+  /**
+   * Whether human players may ask for hints in this game.
+   * @returns {boolean}
+   */
+  areHintsAllowed() {
+    return this.hintsAllowed;
+  }
+
+  /**
+   * Whether a hint can be asked for now: hints are allowed and a human
+   * is to move in an unfinished game.
+   * @returns {boolean}
+   */
+  canHint() {
+    return this.hintsAllowed && !this.isGameOver() && this.isHumanTurn();
+  }
+
+  /**
+   * Number of hints a side was given; takebacks do not reduce it.
+   * @param {"white"|"black"} color
+   * @returns {number}
+   */
+  getHintCount(color) {
+    return this.hintCounts[color];
+  }
+
+  /**
+   * Whether a hint's position is still the one at its ply in the game.
+   * @param {Hint} hint
+   * @returns {boolean}
+   */
+  isHintCurrent(hint) {
+    const state = this.state.getStateAtPly(hint.ply);
+    return state !== null && toFEN(state) === hint.fen;
+  }
+
+  /**
+   * Ask the engine for a move for the human side to move, and record the
+   * hint (counted per side and written to the PGN).
+   * Rejects with an Error named "AbortError" if the search is cancelled,
+   * e.g. by cancelSearch().
+   * @returns {Promise<Hint|null>} null when no hint can be given, or the
+   *   position changed while searching
+   */
+  async requestHint() {
+    if (!this.canHint()) return null;
+    const color = this.getCurrentTurn();
+    const ply = this.state.moveHistory.length;
+    const fen = this.state.toFEN();
+    const rulesState = this.state.getStateAtPly(ply);
+
+    // The engine may play a near-equal alternative for variety (see
+    // AI.searchRoot); a hint suggests the best line's first move instead.
+    let bestMove = null;
+    const played = await this.hintEngine.search(
+      this.state.serialize(),
+      {
+        level: HINT_LEVEL,
+        forColor: color,
+        timeout: Math.min(MAX_HINT_TIME, this.getThinkingBudget()),
+      },
+      (info) => {
+        bestMove = info.pv[0] || info.move;
+      }
+    );
+    const move = bestMove || played;
+    if (!move || this.state.toFEN() !== fen || this.state.moveHistory.length !== ply) {
+      return null;
+    }
+
+    const hint = {
+      ply,
+      fen,
+      color,
+      move,
+      san: moveToSAN(rulesState, move),
+      explanation: explainMove(rulesState, move),
+    };
+    this.hints.set(ply, hint);
+    this.hintCounts[color] += 1;
+    return hint;
+  }
+
+  /**
+   * Whether the engine is currently searching.
+   * @returns {boolean}
+   */
+  isThinking() {
+    return (
+      this.engines.white.isSearching() ||
+      this.engines.black.isSearching() ||
+      (this.hintEngine !== null && this.hintEngine.isSearching())
+    );
+  }
+
+  /**
+   * Cancel an in-flight AI search, if any.
+   */
+  cancelSearch() {
+    this.engines.white.cancel();
+    this.engines.black.cancel();
+    if (this.hintEngine) this.hintEngine.cancel();
+  }
+
+  /**
+   * Release engine resources; call before discarding this game.
+   */
+  dispose() {
+    this.engines.white.dispose();
+    this.engines.black.dispose();
+    if (this.hintEngine) this.hintEngine.dispose();
   }
 
   /**
@@ -197,8 +688,171 @@ export class Game {
    * @param {import("./engine/Move.js").Move} move
    */
   applyAIMove(move) {
-    if (!move) return;
+    if (!move || this.isGameOver()) return;
+    if (this.checkClock()) return;
+    const color = this.getCurrentTurn();
     this.state.applyMove(move);
+    this.afterMove(color);
+  }
+
+  /**
+   * Whether a takeback is possible: a person has a move to take back,
+   * and the game was not lost on time.
+   * @returns {boolean}
+   */
+  canUndo() {
+    if (this.state.result && this.state.result.outcome === "timeout") return false;
+    return this.state.undoStack.some(
+      (entry) => this.state.getPlayerType(entry.activeColor) === "human"
+    );
+  }
+
+  /**
+   * Whether taken-back moves can be replayed.
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.state.canRedo() && !this.isGameOver();
+  }
+
+  /**
+   * Take back the player's last move, together with the computer's reply
+   * if it has been played, so that it is the player's turn again.
+   * With two players a single move is taken back.
+   * Cancels a running search first.
+   * @returns {boolean} whether anything was taken back
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    this.cancelSearch();
+
+    let entry;
+    do {
+      entry = this.state.undoStack[this.state.undoStack.length - 1];
+      this.state.undoMove();
+    } while (this.state.getPlayerType(entry.activeColor) !== "human");
+
+    this.restoreClock();
+    this.resumeClock();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Replay the player's taken-back move and the computer's reply after it.
+   * @returns {boolean} whether anything was replayed
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    this.cancelSearch();
+
+    this.state.redoMove();
+    if (this.state.canRedo() && !this.isGameOver() && this.isComputerTurn()) {
+      this.state.redoMove();
+    }
+
+    this.restoreClock();
+    this.resumeClock();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Stop both clocks, e.g. while a watched game is paused.
+   */
+  pauseClock() {
+    if (this.clock) this.clock.stop();
+  }
+
+  /**
+   * Run the clock of the side to move (after a takeback, redo or pause).
+   */
+  resumeClock() {
+    if (!this.clock) return;
+    this.clock.stop();
+    if (!this.isGameOver()) this.clock.start(this.getCurrentTurn());
+  }
+
+  /**
+   * Internal: after a takeback or redo, put both clocks back to where they
+   * stood when the position on the board was reached: a takeback refunds
+   * the time spent since, and replayed moves do not count towards the
+   * stage or earn increments a second time.
+   */
+  restoreClock() {
+    if (!this.clock) return;
+    const saved = this.clockStates.get(this.state.moveHistory.length);
+    if (saved) this.clock.restore(saved);
+  }
+
+  /**
+   * Export the game so far as PGN text.
+   * Works for finished and in-progress games (result "*").
+   * An imported game keeps its own tags (players, event, ...).
+   * @returns {string}
+   */
+  getPGN() {
+    const { state } = this;
+    const vsComputer = this.mode === "computer";
+    const playerName = (color) => {
+      if (state.getPlayerType(color) === "computer") {
+        return `Computer (Level ${this.getLevel(color)})`;
+      }
+      return vsComputer ? "Player" : `${color === "white" ? "White" : "Black"} player`;
+    };
+    const opening = this.getOpening();
+    const tags = {
+      Event: "Browser Chess game",
+      Site: "Browser Chess Pure JS",
+      Date: formatPGNDate(this.startedAt),
+      Round: "-",
+      White: playerName("white"),
+      Black: playerName("black"),
+      ECO: opening ? opening.eco : "",
+      Opening: opening ? opening.name : "",
+      Difficulty: vsComputer ? String(this.difficulty) : "",
+      PlayerColor: vsComputer ? state.playerColor : "",
+      TimeControl: this.timeControl ? formatTimeControl(this.timeControl) : "",
+      Termination: this.isGameOver() ? state.result.reason || "" : "",
+    };
+    Object.assign(tags, this.importedTags);
+    const comments = {};
+    if (this.hintsAllowed) {
+      for (const color of ["white", "black"]) {
+        if (state.getPlayerType(color) !== "human") continue;
+        tags[color === "white" ? "WhiteHints" : "BlackHints"] = String(this.getHintCount(color));
+      }
+      // The comment follows the move the hint was given for, unless that
+      // move was taken back and another played from a different position.
+      for (const hint of this.hints.values()) {
+        if (hint.ply < state.moveHistory.length && this.isHintCurrent(hint)) {
+          comments[hint.ply] = `Hint: ${hint.san}`;
+        }
+      }
+    }
+
+    return writePGN({
+      tags,
+      moves: state.moveHistory,
+      initialFEN: state.initialFEN,
+      comments,
+      result: resultToPGN(state.result),
+    });
+  }
+
+  /**
+   * Internal: bookkeeping after `color` moved (clock press), then notify.
+   * @param {"white"|"black"} color
+   */
+  afterMove(color) {
+    if (this.clock) {
+      if (!this.clock.press(color)) {
+        // Time ran out while the move was being made.
+        this.state.setFlagFall(color);
+      }
+      this.clockStates.set(this.state.moveHistory.length, this.clock.save());
+      if (this.isGameOver()) this.clock.stop();
+    }
     this.notify();
   }
 
@@ -207,7 +861,7 @@ export class Game {
    */
   notify() {
     this.state.updateStatusText();
-    this.onUpdate(this.state.getSnapshot());
+    this.onUpdate(this.state.getSnapshot(), this);
   }
 }
 
@@ -0,0 +1,229 @@
+/**
+ * GameReview.js
+ *
+ * Post-game review: runs the engine over every position of a game, in its
+ * own worker (EngineClient), and rates each move:
+ * - Evaluations from White's point of view, for the evaluation graph.
+ * - A classification (best / good / inaccuracy / mistake / blunder) and an
+ *   accuracy from the drop in the mover's winning chances (Accuracy.js).
+ * - The engine's preferred move and line in SAN.
+ * - Accuracy per side: the mean of its move accuracies.
+ */
+
+import { EngineClient } from "./engine/EngineClient.js";
+import { generateLegalMoves, isInCheck } from "./engine/Rules.js";
+import { parseSAN, lineToSAN, moveToSAN } from "./engine/San.js";
+import {
+  MATE_CENTIPAWNS,
+  MOVE_CLASSES,
+  toCentipawns,
+  winPercent,
+  classifyMove,
+  moveAccuracy,
+} from "./engine/Accuracy.js";
+
+/** Engine level and search time per position (ms) used for reviews. */
+const REVIEW_LEVEL = 5;
+const REVIEW_TIME = 600;
+
+/**
+ * @typedef {Object} ReviewedMove
+ * @property {number} ply - history index; the move leads from position ply to ply + 1
+ * @property {"white"|"black"} color
+ * @property {string} label - move number, "14." or "14..."
+ * @property {string} san
+ * @property {import("./engine/Accuracy.js").MoveClass} classification
+ * @property {number} accuracy - 0..100
+ * @property {number} winBefore - mover's winning chances (0..100) before the move
+ * @property {number} winAfter - mover's winning chances after the move
+ * @property {number} drop - lost winning chances in percentage points
+ * @property {{from:string, to:string}|null} bestMove - the engine's choice
+ * @property {string|null} bestSan
+ * @property {string} bestLine - the engine's line from the position before the move
+ */
+
+/**
+ * @typedef {Object} ReviewResult
+ * @property {ReviewedMove[]} moves
+ * @property {number[]} evaluations - centipawns from White's point of view for
+ *   each position, the start position first (moves.length + 1 entries)
+ * @property {{white:number|null, black:number|null}} accuracy - null for a side without moves
+ * @property {{white:Record<string,number>, black:Record<string,number>}} counts - moves per class
+ */
+
+/**
+ * Build the error used to reject cancelled reviews.
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error("Review cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+export class GameReview {
+  constructor() {
+    this.engine = new EngineClient();
+    /** Incremented by every run() and cancel(); stale runs stop at the next position. */
+    this.runId = 0;
+    this.running = false;
+  }
+
+  /**
+   * Whether a review is in progress.
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Review every move of a game. Starting a review cancels the previous one.
+   * @param {import("./Game.js").Game} game - read only; later moves do not affect the review
+   * @param {(done: number, total: number) => void} [onProgress] - positions evaluated so far
+   * @returns {Promise<ReviewResult>} rejects with an Error named "AbortError" when cancelled
+   */
+  async run(game, onProgress) {
+    this.cancel();
+    const runId = this.runId;
+    const { history, historyStartPly } = game.getSnapshot();
+    const positions = [];
+    for (let ply = 0; ply <= history.length; ply++) {
+      const position = game.getStateAt(ply);
+      if (!position) throw new Error("The move history cannot be replayed");
+      positions.push(position);
+    }
+
+    this.running = true;
+    try {
+      const evaluations = [];
+      for (const position of positions) {
+        const evaluation = await this.evaluate(position);
+        if (runId !== this.runId) throw createAbortError();
+        evaluations.push(evaluation);
+        if (onProgress) onProgress(evaluations.length, positions.length);
+      }
+      return buildReview(history, historyStartPly || 0, positions, evaluations);
+    } finally {
+      if (runId === this.runId) this.running = false;
+    }
+  }
+
+  /**
+   * Stop the review in progress, if any.
+   */
+  cancel() {
+    this.runId += 1;
+    this.running = false;
+    this.engine.cancel();
+  }
+
+  /**
+   * Cancel any review and release the worker.
+   */
+  dispose() {
+    this.cancel();
+    this.engine.dispose();
+  }
+
+  /**
+   * Internal: search one position.
+   * @returns {Promise<{centipawns:number, pv:import("./engine/Move.js").Move[]}>}
+   *   centipawns from White's point of view
+   */
+  async evaluate(position) {
+    if (generateLegalMoves(position).length === 0) {
+      const mated = isInCheck(position);
+      const whiteMated = mated && position.activeColor === "white";
+      return { centipawns: mated ? (whiteMated ? -MATE_CENTIPAWNS : MATE_CENTIPAWNS) : 0, pv: [] };
+    }
+
+    let previous = null;
+    let last = null;
+    const move = await this.engine.search(
+      position,
+      { level: REVIEW_LEVEL, forColor: position.activeColor, timeout: REVIEW_TIME },
+      (info) => {
+        previous = last;
+        last = info;
+      }
+    );
+    if (!last) return { centipawns: 0, pv: move ? [move] : [] };
+
+    // Shallow searches favour whichever side moves last in the tree, so
+    // scores swing between odd and even depths; average the last two.
+    let score = toCentipawns(last.score, last.mate);
+    if (previous && previous.mate === null && last.mate === null) {
+      score = Math.round((previous.score + last.score) / 2);
+    }
+    const sign = position.activeColor === "white" ? 1 : -1;
+    return { centipawns: sign * score, pv: last.pv };
+  }
+}
+
+/**
+ * Rate the moves of a game from the evaluation of every position.
+ * @param {string[]} history - SAN moves
+ * @param {number} startPly - game ply of the first move
+ * @param {Object[]} positions - Game.getStateAt() for each ply
+ * @param {{centipawns:number, pv:import("./engine/Move.js").Move[]}[]} evaluations
+ * @returns {ReviewResult}
+ */
+function buildReview(history, startPly, positions, evaluations) {
+  const counts = {
+    white: Object.fromEntries(MOVE_CLASSES.map((name) => [name, 0])),
+    black: Object.fromEntries(MOVE_CLASSES.map((name) => [name, 0])),
+  };
+  const accuracySums = { white: 0, black: 0 };
+
+  const moves = history.map((san, ply) => {
+    const position = positions[ply];
+    const color = position.activeColor;
+    const sign = color === "white" ? 1 : -1;
+    const played = parseSAN(position, san);
+    const [best] = evaluations[ply].pv;
+
+    const winBefore = winPercent(sign * evaluations[ply].centipawns);
+    const winAfter = winPercent(sign * evaluations[ply + 1].centipawns);
+    const drop = Math.max(0, winBefore - winAfter);
+    const isBest =
+      !!best &&
+      best.from === played.from &&
+      best.to === played.to &&
+      (best.promotion || null) === (played.promotion || null);
+    const classification = classifyMove(drop, isBest);
+    const accuracy = moveAccuracy(drop);
+
+    counts[color][classification] += 1;
+    accuracySums[color] += accuracy;
+
+    const gamePly = startPly + ply;
+    const moveNumber = Math.floor(gamePly / 2) + 1;
+    return {
+      ply,
+      color,
+      label: gamePly % 2 === 0 ? `${moveNumber}.` : `${moveNumber}...`,
+      san,
+      classification,
+      accuracy,
+      winBefore,
+      winAfter,
+      drop,
+      bestMove: best ? { from: best.from, to: best.to } : null,
+      bestSan: best ? moveToSAN(position, best) : null,
+      bestLine: lineToSAN(position, evaluations[ply].pv),
+    };
+  });
+
+  const sideAccuracy = (color) => {
+    const played = moves.filter((move) => move.color === color).length;
+    return played ? accuracySums[color] / played : null;
+  };
+
+  return {
+    moves,
+    evaluations: evaluations.map((evaluation) => evaluation.centipawns),
+    accuracy: { white: sideAccuracy("white"), black: sideAccuracy("black") },
+    counts,
+  };
+}
@@ -8,7 +8,13 @@
  *   - Static evaluation from Evaluator.js
  *   - Minimax with alpha-beta pruning
  *   - Simple move ordering and quiescence-like capture extensions
- *   - Slight randomness at all levels for variety
+ *   - In-place make/unmake on a single search state (no per-node copies)
+ *   - Zobrist-hashed transposition table (cutoffs and best-move ordering)
+ *   - Principal variation and search statistics reported per iteration
+ *   - MultiPV: exact scores and lines for the best N root moves (analysis)
+ *   - Opening book moves (OpeningBook.js) before searching, on request
+ *   - Repeated positions scored as draws
+ *   - Slight randomness at all levels for variety, in undecided positions
  *
  * Difficulty mapping (approx; depth is ply, not full moves):
  *   1: depth 1 (material + small noise, some randomness)
@@ -18,9 +24,18 @@
  *   5: depth 4 + quiescence; may take several seconds in complex positions
  */
 
-import { oppositeColor, cloneBoard } from "./Board.js";
-import { generateLegalMoves, isInCheck } from "./Rules.js";
+import { cloneBoard } from "./Board.js";
+import { generateLegalMoves, isInCheck, makeMove, unmakeMove } from "./Rules.js";
 import { evaluate } from "./Evaluator.js";
+import { computeHash, hashToKey } from "./Zobrist.js";
+import { createOpeningBook, pickBookMove } from "./OpeningBook.js";
+import {
+  TranspositionTable,
+  BOUND_EXACT,
+  BOUND_LOWER,
+  BOUND_UPPER,
+  encodeMove,
+} from "./TranspositionTable.js";
 
 /**
  * Piece values used for ordering / randomness bands.
@@ -35,19 +50,54 @@ const PIECE_VALUES = {
   K: 0,
 };
 
+/**
+ * Depth that is always searched to completion, regardless of the time
+ * budget, so that very short budgets still avoid one-ply blunders.
+ */
+const MIN_SEARCH_DEPTH = 2;
+
+/**
+ * Score of a checkmate at the root; a mate found `ply` half-moves from the
+ * root scores MATE_SCORE - ply, so that quicker mates score higher (see
+ * mateInMoves()). Any score within MAX_MATE_PLY of MATE_SCORE is a mate.
+ */
+export const MATE_SCORE = 100000;
+const MAX_MATE_PLY = 1000;
+
+/**
+ * Root scores at least this far from 0 (about a minor piece) are decisive:
+ * the level's randomness is skipped so that won positions are converted.
+ */
+const DECISIVE_SCORE = 300;
+
 /**
  * Internal representation wrapper for search.
+ * A single instance is searched in place with Rules.makeMove/unmakeMove.
  */
 class SearchState {
   constructor(baseState) {
     // Minimal mutable copy suitable for search.
     this.board = cloneBoard(baseState.board);
     this.activeColor = baseState.activeColor;
-    this.castlingRights = JSON.parse(JSON.stringify(baseState.castlingRights));
+    this.castlingRights = {
+      white: { ...baseState.castlingRights.white },
+      black: { ...baseState.castlingRights.black },
+    };
     this.enPassantTarget = baseState.enPassantTarget;
     this.halfmoveClock = baseState.halfmoveClock;
     this.fullmoveNumber = baseState.fullmoveNumber;
 
+    // Zobrist hash, kept up to date incrementally by Rules.makeMove.
+    const hash = computeHash(this);
+    this.hashHi = hash.hi;
+    this.hashLo = hash.lo;
+
+    // Positions the game has already reached (GameState.repetitionMap keys),
+    // and the hashes of the positions on the current search line.
+    this.gamePositions = new Set(repetitionKeys(baseState.repetitionMap));
+    this.pathHi = [];
+    this.pathLo = [];
+
     // Mobility callback used by Evaluator.
     this.generateLegalMoveCount = (color) =>
       generateLegalMoves({
@@ -57,141 +107,6 @@ class SearchState {
         enPassantTarget: this.enPassantTarget,
       }).length;
   }
-
-  clone() {
-    const s = new SearchState(this);
-    s.board = cloneBoard(this.board);
-    s.activeColor = this.activeColor;
-    s.castlingRights = JSON.parse(JSON.stringify(this.castlingRights));
-    s.enPassantTarget = this.enPassantTarget;
-    s.halfmoveClock = this.halfmoveClock;
-    s.fullmoveNumber = this.fullmoveNumber;
-    s.generateLegalMoveCount = this.generateLegalMoveCount;
-    return s;
-  }
-}
-
-/**
- * Apply a legal move on SearchState.
- * Lighter than full GameState.applyMove but consistent with rules.
- *
- * @param {SearchState} state
- * @param {import("./Move.js").Move} move
- * @param {"white"|"black"} mover
- */
-function applyMoveSearch(state, move, mover) {
-  const fromIndex = algebraicToIndexFast(move.from);
-  const toIndex = algebraicToIndexFast(move.to);
-  const movingPiece = state.board[fromIndex];
-  const enemy = oppositeColor(mover);
-
-  const isPawn = movingPiece && movingPiece[1] === "P";
-  const isCapture = !!(move.captured || move.isEnPassant);
-
-  // Halfmove clock
-  if (isPawn || isCapture) {
-    state.halfmoveClock = 0;
-  } else {
-    state.halfmoveClock += 1;
-  }
-
-  // Clear en passant
-  state.enPassantTarget = null;
-
-  state.board[fromIndex] = null;
-
-  // En passant capture
-  if (move.isEnPassant) {
-    const dir = mover === "white" ? -1 : 1;
-    const tf = toIndex % 8;
-    const tr = Math.floor(toIndex / 8);
-    const capIndex = (tr + dir) * 8 + tf;
-    state.board[capIndex] = null;
-  }
-
-  // Castling: move rook
-  if (move.isCastleKingSide || move.isCastleQueenSide) {
-    const rank = mover === "white" ? 0 : 7;
-    if (move.isCastleKingSide) {
-      const rookFrom = rank * 8 + 7;
-      const rookTo = rank * 8 + 5;
-      state.board[rookTo] = state.board[rookFrom];
-      state.board[rookFrom] = null;
-    } else {
-      const rookFrom = rank * 8 + 0;
-      const rookTo = rank * 8 + 3;
-      state.board[rookTo] = state.board[rookFrom];
-      state.board[rookFrom] = null;
-    }
-  }
-
-  // Promotion
-  if (move.promotion) {
-    const prefix = mover === "white" ? "w" : "b";
-    state.board[toIndex] = `${prefix}${move.promotion}`;
-  } else {
-    state.board[toIndex] = movingPiece;
-  }
-
-  // En passant target for double pawn push
-  if (isPawn) {
-    const fromRank = Math.floor(fromIndex / 8);
-    const toRank = Math.floor(toIndex / 8);
-    if (Math.abs(toRank - fromRank) === 2) {
-      const midRank = (fromRank + toRank) / 2;
-      const file = toIndex % 8;
-      const epIndex = midRank * 8 + file;
-      state.enPassantTarget = indexToAlgebraicFast(epIndex);
-    }
-  }
-
-  // Simplified castling rights update
-  updateCastlingRightsSearch(state, move, fromIndex, toIndex, movingPiece);
-
-  state.activeColor = enemy;
-  if (mover === "black") {
-    state.fullmoveNumber += 1;
-  }
-}
-
-function updateCastlingRightsSearch(
-  state,
-  move,
-  fromIndex,
-  toIndex,
-  movingPiece
-) {
-  const cr = state.castlingRights;
-  const fromSq = indexToAlgebraicFast(fromIndex);
-  const toSq = indexToAlgebraicFast(toIndex);
-
-  if (movingPiece === "wK") {
-    cr.white.kingSide = false;
-    cr.white.queenSide = false;
-  } else if (movingPiece === "bK") {
-    cr.black.kingSide = false;
-    cr.black.queenSide = false;
-  }
-
-  // Rook moves / captures
-  if (fromSq === "h1" || toSq === "h1") cr.white.kingSide = false;
-  if (fromSq === "a1" || toSq === "a1") cr.white.queenSide = false;
-  if (fromSq === "h8" || toSq === "h8") cr.black.kingSide = false;
-  if (fromSq === "a8" || toSq === "a8") cr.black.queenSide = false;
-}
-
-/* === Fast algebraic helpers (engine internal use) === */
-
-function algebraicToIndexFast(sq) {
-  const file = sq.charCodeAt(0) - 97; // 'a'
-  const rank = sq.charCodeAt(1) - 49; // '1'
-  return rank * 8 + file;
-}
-
-function indexToAlgebraicFast(index) {
-  const file = String.fromCharCode(97 + (index % 8));
-  const rank = String.fromCharCode(49 + Math.floor(index / 8));
-  return file + rank;
 }
 
 /* === AI core === */
@@ -214,6 +129,60 @@ export class AI {
       4: 3,
       5: 4,
     };
+
+    /** Nodes visited by the current search (minimax + quiescence). */
+    this.nodes = 0;
+
+    /** End of the current search budget (ms timestamp), see quiescence(). */
+    this.budgetEnd = 0;
+
+    /** Stop request callback of the current search (findBestMove's shouldStop). */
+    this.shouldStop = null;
+
+    /** Root moves reported with exact scores by the current search (findBestMove's multiPV). */
+    this.multiPV = 1;
+
+    /** Depth of the current root iteration; minimax derives its ply from it. */
+    this.iterationDepth = 0;
+    /**
+     * Triangular PV table: pvLines[ply] is the best line found from the
+     * node currently searched at that ply.
+     * @type {import("./Move.js").Move[][]}
+     */
+    this.pvLines = [];
+
+    this.tt = new TranspositionTable();
+    /** Settings the table contents were searched with (see prepareTable). */
+    this.ttSettings = null;
+
+    /** Opening book consulted by searches with useBook (see setBook). */
+    this.book = createOpeningBook("builtin");
+  }
+
+  /**
+   * Choose the opening book: "builtin", the contents of a Polyglot .bin
+   * file, or null for none. Throws when the data is not a Polyglot book.
+   * @param {"builtin"|ArrayBuffer|ArrayBufferView|null} source
+   */
+  setBook(source) {
+    this.book = createOpeningBook(source);
+  }
+
+  /**
+   * Ready the transposition table for a new search. Scores depend on the
+   * side searched for and on the level (quiescence), so entries are only
+   * reused while both stay the same.
+   *
+   * @param {number} level
+   * @param {"white"|"black"} color
+   */
+  prepareTable(level, color) {
+    const settings = `${level}:${color}`;
+    if (this.ttSettings !== settings) {
+      this.tt.clear();
+      this.ttSettings = settings;
+    }
+    this.tt.newSearch();
   }
 
   /**
@@ -223,40 +192,76 @@ export class AI {
    * @param {Object} options
    * @param {number} options.level 1..5
    * @param {"white"|"black"} options.forColor
+   * @param {number} [options.timeout] search budget in ms
+   * @param {number} [options.depth] maximum depth, overriding the level's depth
+   * @param {() => boolean} [options.shouldStop] polled during the search; returning
+   *   true ends it like an expired timeout (the guaranteed depths still complete)
+   * @param {number} [options.multiPV=1] number of best root moves to report in
+   *   SearchInfo.lines; more lines make each iteration slower
+   * @param {boolean} [options.useBook=false] play a book move, without searching,
+   *   while the position is in the opening book and within the level's book depth
+   * @param {(info: SearchInfo) => void} [options.onProgress]
+   *   called after each completed iteration of progressive deepening
    * @returns {Promise<import("./Move.js").Move|null>}
    */
-  async findBestMove(gameState, { level, forColor, timeout = 10000 }) {
+  async findBestMove(gameState, { level, forColor, timeout = 10000, depth: maxDepth, shouldStop, multiPV = 1, useBook = false, onProgress }) {
     const clampedLevel = Math.max(1, Math.min(5, Number(level) || 1));
-    const depth = this.depthForLevel[clampedLevel];
+    const depth = maxDepth > 0 ? Math.floor(maxDepth) : this.depthForLevel[clampedLevel];
+    this.nodes = 0;
+    this.shouldStop = typeof shouldStop === "function" ? shouldStop : null;
 
     const baseState = new SearchState(gameState);
     const legalMoves = generateLegalMoves(baseState);
     if (legalMoves.length === 0) return null;
+    this.multiPV = Math.max(1, Math.min(legalMoves.length, Math.floor(multiPV) || 1));
+
+    if (useBook && this.book) {
+      const bookMove = pickBookMove(this.book, baseState, clampedLevel);
+      if (bookMove) {
+        if (onProgress) onProgress(bookMoveInfo(bookMove));
+        return bookMove.move;
+      }
+    }
 
     // Level 1: lightweight, semi-random play.
     if (clampedLevel === 1) {
       return this.pickLevel1Move(baseState, legalMoves, forColor);
     }
 
+    this.prepareTable(clampedLevel, forColor);
+
     // Progressive deepening with time limits for higher levels to prevent UI freezing
     if (clampedLevel >= 2) { // Enable progressive deepening for all levels > 1 to respect timeout
-      return this.progressiveDeepeningSearch(baseState, legalMoves, depth, forColor, clampedLevel, timeout);
+      return this.progressiveDeepeningSearch(baseState, legalMoves, depth, forColor, clampedLevel, timeout, onProgress);
     }
 
     // Synchronous search wrapped in Promise for async API.
     return new Promise((resolve) => {
-      const move = this.searchRoot(baseState, legalMoves, depth, forColor, {
+      const { move } = this.searchRoot(baseState, legalMoves, depth, forColor, {
         level: clampedLevel,
       });
       resolve(move);
     });
   }
 
+  /**
+   * Whether a time-limited search must stop: the budget is spent or a stop
+   * was requested. Searches without a timeout (guaranteed depths) never stop.
+   * @param {number|undefined} timeout
+   * @param {number|undefined} startTime
+   * @returns {boolean}
+   */
+  outOfTime(timeout, startTime) {
+    if (!timeout || !startTime) return false;
+    if (Date.now() - startTime >= timeout) return true;
+    return this.shouldStop !== null && this.shouldStop();
+  }
+
   pickLevel1Move(state, moves, color) {
     const scored = moves.map((m) => {
-      const next = state.clone();
-      applyMoveSearch(next, m, state.activeColor);
-      const score = evaluate(next, color);
+      const undo = makeMove(state, m);
+      const score = evaluate(state, color);
+      unmakeMove(state, m, undo);
       return { move: m, score };
     });
 
@@ -268,32 +273,52 @@ export class AI {
 
   /**
    * Root search with alpha-beta, move ordering, and level-aware randomness.
+   * With this.multiPV > 1 the window only closes on the N-th best score,
+   * so the best N moves get exact scores (returned in `lines`).
+   *
+   * @returns {{move: import("./Move.js").Move, score: number, pv: import("./Move.js").Move[], lines: {score:number, pv:import("./Move.js").Move[]}[]}}
+   *   the chosen move, and the best score found (from `color`'s point of
+   *   view) with its principal variation. The chosen move can differ from
+   *   pv[0] when randomness picks a near-equal alternative. `lines` holds
+   *   the best this.multiPV moves, best first.
    */
   searchRoot(state, legalMoves, depth, color, { level, timeout, startTime }) {
     const isMaximizing = state.activeColor === color;
-
-    // Basic move ordering: captures first.
-    const ordered = legalMoves.slice().sort((a, b) => {
-      const ac = a.captured ? pieceValueApprox(a.captured) : 0;
-      const bc = b.captured ? pieceValueApprox(b.captured) : 0;
-      return bc - ac;
-    });
+    this.iterationDepth = depth;
+    this.pvLines = [];
+    // A timed-out iteration can leave its line behind.
+    state.pathHi = [state.hashHi];
+    state.pathLo = [state.hashLo];
+
+    // Basic move ordering: previous best move (from the table), then captures.
+    const entry = this.tt.probe(state.hashHi, state.hashLo);
+    const ordered = orderWithHashMove(
+      legalMoves.slice().sort((a, b) => {
+        const ac = a.captured ? pieceValueApprox(a.captured) : 0;
+        const bc = b.captured ? pieceValueApprox(b.captured) : 0;
+        return bc - ac;
+      }),
+      entry ? entry.move : -1
+    );
 
     let bestMove = ordered[0];
     let bestScore = isMaximizing ? -Infinity : Infinity;
+    let pv = [bestMove];
     let alpha = -Infinity;
     let beta = Infinity;
+    const multiPV = this.multiPV;
+    /** @type {{score:number, pv:import("./Move.js").Move[]}[]} */
+    const lines = [];
 
     for (const move of ordered) {
       // Check timeout before processing each move
-      if (timeout && startTime && Date.now() - startTime >= timeout) {
+      if (this.outOfTime(timeout, startTime)) {
         break;
       }
 
-      const next = state.clone();
-      applyMoveSearch(next, move, state.activeColor);
+      const undo = makeMove(state, move);
       const score = this.minimax(
-        next,
+        state,
         depth - 1,
         alpha,
         beta,
@@ -303,66 +328,141 @@ export class AI {
         timeout,
         startTime
       );
+      unmakeMove(state, move, undo);
 
       // Check if timeout was exceeded (indicated by null return)
       if (score === null) {
         break;
       }
 
-      if (isMaximizing) {
-        if (score > bestScore) {
-          bestScore = score;
-          bestMove = move;
+      if (isMaximizing ? score > bestScore : score < bestScore) {
+        bestScore = score;
+        bestMove = move;
+        pv = [move, ...(this.pvLines[1] || [])];
+      }
+      if (multiPV > 1) {
+        insertLine(lines, { score, pv: [move, ...(this.pvLines[1] || [])] }, isMaximizing, multiPV);
+        // Once N lines are known, only moves that beat the worst of them matter.
+        if (lines.length === multiPV) {
+          if (isMaximizing) alpha = lines[multiPV - 1].score;
+          else beta = lines[multiPV - 1].score;
         }
+      } else if (isMaximizing) {
         if (score > alpha) alpha = score;
-      } else {
-        if (score < bestScore) {
-          bestScore = score;
-          bestMove = move;
-        }
-        if (score < beta) beta = score;
+      } else if (score < beta) {
+        beta = score;
       }
 
       if (beta <= alpha) break;
     }
 
+    if (!this.outOfTime(timeout, startTime)) {
+      this.tt.store(
+        state.hashHi,
+        state.hashLo,
+        depth,
+        BOUND_EXACT,
+        bestScore,
+        encodeMove(bestMove)
+      );
+    }
+
+    // A table cutoff ends a line early; continue it from the table.
+    pv = this.extendFromTable(state, pv, depth);
+    if (multiPV === 1) {
+      lines.push({ score: bestScore, pv });
+    } else {
+      for (const line of lines) line.pv = this.extendFromTable(state, line.pv, depth);
+    }
+
     // Slight randomness: pick among moves near best score.
     // Skip if timeout was exceeded to avoid wasting time
-    if (!(timeout && startTime && Date.now() - startTime >= timeout)) {
-      const jitter = this.randomness[level] || 0;
+    if (!this.outOfTime(timeout, startTime)) {
+      const jitter = Math.abs(bestScore) < DECISIVE_SCORE ? this.randomness[level] || 0 : 0;
       if (jitter > 0 && ordered.length > 1) {
         const candidates = [];
         for (const move of ordered) {
           // Check timeout during candidate evaluation
-          if (timeout && startTime && Date.now() - startTime >= timeout) {
+          if (this.outOfTime(timeout, startTime)) {
             break;
           }
-          const next = state.clone();
-          applyMoveSearch(next, move, state.activeColor);
-          const score = evaluate(next, color);
+          const undo = makeMove(state, move);
+          const score = evaluate(state, color);
+          unmakeMove(state, move, undo);
           const delta = Math.abs(score - bestScore);
           if (delta <= PIECE_VALUES.P * jitter * 2) {
             candidates.push(move);
           }
         }
         if (candidates.length > 0) {
-          return candidates[Math.floor(Math.random() * candidates.length)];
+          const move = candidates[Math.floor(Math.random() * candidates.length)];
+          return { move, score: bestScore, pv, lines };
         }
       }
     }
 
-    return bestMove;
+    return { move: bestMove, score: bestScore, pv, lines };
+  }
+
+  /**
+   * Lengthen a principal variation up to `depth` moves with the best moves
+   * the transposition table stored for the positions that follow it. Each
+   * stored move is checked for legality, and the line stops before a
+   * position repeats.
+   *
+   * @param {SearchState} state - the root position (left unchanged)
+   * @param {import("./Move.js").Move[]} pv
+   * @param {number} depth
+   * @returns {import("./Move.js").Move[]}
+   */
+  extendFromTable(state, pv, depth) {
+    if (pv.length === 0 || pv.length >= depth) return pv;
+    const line = pv.slice();
+    const undos = [];
+    const seen = new Set([hashToKey(state.hashHi, state.hashLo)]);
+    for (const move of line) {
+      undos.push(makeMove(state, move));
+      seen.add(hashToKey(state.hashHi, state.hashLo));
+    }
+
+    while (line.length < depth) {
+      const entry = this.tt.probe(state.hashHi, state.hashLo);
+      if (!entry || entry.move < 0) break;
+      const move = generateLegalMoves(state).find((m) => encodeMove(m) === entry.move);
+      if (!move) break;
+      const undo = makeMove(state, move);
+      const key = hashToKey(state.hashHi, state.hashLo);
+      if (seen.has(key)) {
+        unmakeMove(state, move, undo);
+        break;
+      }
+      seen.add(key);
+      line.push(move);
+      undos.push(undo);
+    }
+
+    for (let i = line.length - 1; i >= 0; i--) unmakeMove(state, line[i], undos[i]);
+    return line;
   }
 
   /**
    * Minimax with alpha-beta and simple quiescence for higher levels.
+   * Interior nodes probe the transposition table for a cutoff and a move
+   * to try first, and store their result on the way out.
    */
   minimax(state, depth, alpha, beta, rootColor, isMaximizing, level, timeout, startTime) {
+    this.nodes += 1;
+
     // Check timeout at the start of each recursive call
-    if (timeout && startTime && Date.now() - startTime >= timeout) {
+    if (this.outOfTime(timeout, startTime)) {
       return null; // Signal timeout
     }
 
+    const ply = this.iterationDepth - depth;
+    this.pvLines[ply] = [];
+
+    if (isRepetition(state)) return 0;
+
     const legalMoves = generateLegalMoves(state);
 
     if (depth === 0 || legalMoves.length === 0) {
@@ -372,8 +472,10 @@ export class AI {
       if (legalMoves.length === 0) {
         const inCheck = isInCheck(state);
         if (inCheck) {
+          // Mates nearer the root score higher.
+          const mateScore = MATE_SCORE - ply;
           baseScore =
-            state.activeColor === rootColor ? -100000 : 100000;
+            state.activeColor === rootColor ? -mateScore : mateScore;
         } else {
           baseScore = 0;
         }
@@ -392,30 +494,47 @@ export class AI {
       return baseScore;
     }
 
-    // Order: captures/promotions first
-    const ordered = legalMoves.slice().sort((a, b) => {
-      const aScore =
-        (a.captured ? pieceValueApprox(a.captured) : 0) +
-        (a.promotion ? pieceValueApprox(a.promotion) : 0);
-      const bScore =
-        (b.captured ? pieceValueApprox(b.captured) : 0) +
-        (b.promotion ? pieceValueApprox(b.promotion) : 0);
-      return bScore - aScore;
-    });
+    const alphaOrig = alpha;
+    const betaOrig = beta;
+    const entry = this.tt.probe(state.hashHi, state.hashLo);
+    if (entry && entry.depth >= depth) {
+      const score = scoreFromTable(entry.score, ply);
+      if (entry.bound === BOUND_EXACT) return score;
+      if (entry.bound === BOUND_LOWER && score > alpha) alpha = score;
+      if (entry.bound === BOUND_UPPER && score < beta) beta = score;
+      if (alpha >= beta) return score;
+    }
+
+    // Order: hash move, then captures/promotions
+    const ordered = orderWithHashMove(
+      legalMoves.slice().sort((a, b) => {
+        const aScore =
+          (a.captured ? pieceValueApprox(a.captured) : 0) +
+          (a.promotion ? pieceValueApprox(a.promotion) : 0);
+        const bScore =
+          (b.captured ? pieceValueApprox(b.captured) : 0) +
+          (b.promotion ? pieceValueApprox(b.promotion) : 0);
+        return bScore - aScore;
+      }),
+      entry ? entry.move : -1
+    );
+
+    let bestMove = null;
+    state.pathHi.push(state.hashHi);
+    state.pathLo.push(state.hashLo);
 
     if (isMaximizing) {
       let value = -Infinity;
       for (let i = 0; i < ordered.length; i++) {
         // Check timeout periodically (every 10 moves to avoid overhead)
-        if (timeout && startTime && i % 10 === 0 && Date.now() - startTime >= timeout) {
+        if (i % 10 === 0 && this.outOfTime(timeout, startTime)) {
           return null; // Signal timeout
         }
 
         const move = ordered[i];
-        const next = state.clone();
-        applyMoveSearch(next, move, state.activeColor);
+        const undo = makeMove(state, move);
         const child = this.minimax(
-          next,
+          state,
           depth - 1,
           alpha,
           beta,
@@ -425,31 +544,38 @@ export class AI {
           timeout,
           startTime
         );
+        unmakeMove(state, move, undo);
 
         // Check if child search timed out
         if (child === null) {
           return null; // Propagate timeout
         }
 
-        if (child > value) value = child;
+        if (child > value) {
+          value = child;
+          bestMove = move;
+          this.pvLines[ply] = [move, ...(this.pvLines[ply + 1] || [])];
+        }
         if (value > alpha) alpha = value;
         if (alpha >= beta) break;
       }
+      state.pathHi.pop();
+      state.pathLo.pop();
+      this.storeResult(state, depth, ply, value, alphaOrig, betaOrig, bestMove);
       return value;
     }
 
     let value = Infinity;
     for (let i = 0; i < ordered.length; i++) {
       // Check timeout periodically (every 10 moves to avoid overhead)
-      if (timeout && startTime && i % 10 === 0 && Date.now() - startTime >= timeout) {
+      if (i % 10 === 0 && this.outOfTime(timeout, startTime)) {
         return null; // Signal timeout
       }
 
       const move = ordered[i];
-      const next = state.clone();
-      applyMoveSearch(next, move, state.activeColor);
+      const undo = makeMove(state, move);
       const child = this.minimax(
-        next,
+        state,
         depth - 1,
         alpha,
         beta,
@@ -459,32 +585,74 @@ export class AI {
         timeout,
         startTime
       );
+      unmakeMove(state, move, undo);
 
       // Check if child search timed out
       if (child === null) {
         return null; // Propagate timeout
       }
 
-      if (child < value) value = child;
+      if (child < value) {
+        value = child;
+        bestMove = move;
+        this.pvLines[ply] = [move, ...(this.pvLines[ply + 1] || [])];
+      }
       if (value < beta) beta = value;
       if (alpha >= beta) break;
     }
+    state.pathHi.pop();
+    state.pathLo.pop();
+    this.storeResult(state, depth, ply, value, alphaOrig, betaOrig, bestMove);
     return value;
   }
 
+  /**
+   * Record a completed minimax node in the transposition table.
+   * Scores are from rootColor's view at every node, so the bound type
+   * follows from the original window alone. Mate scores are stored
+   * relative to this node (see scoreToTable()).
+   */
+  storeResult(state, depth, ply, value, alphaOrig, betaOrig, bestMove) {
+    let bound = BOUND_EXACT;
+    if (value <= alphaOrig) bound = BOUND_UPPER;
+    else if (value >= betaOrig) bound = BOUND_LOWER;
+    this.tt.store(
+      state.hashHi,
+      state.hashLo,
+      depth,
+      bound,
+      scoreToTable(value, ply),
+      bestMove ? encodeMove(bestMove) : -1
+    );
+  }
+
   /**
    * Simple quiescence search: follow capture sequences.
+   * Like minimax(), scores are from rootColor's view: the root side
+   * maximizes and the opponent minimizes, each free to stand pat.
    */
   quiescence(state, alpha, beta, rootColor, standPat, timeout, startTime) {
+    this.nodes += 1;
+
     // Check timeout at the start of quiescence search
-    if (timeout && startTime && Date.now() - startTime >= timeout) {
+    if (this.outOfTime(timeout, startTime)) {
       return null; // Signal timeout
     }
+    // Guaranteed depths run without a timeout, but capture sequences can
+    // explode in tactical positions: fall back to stand-pat once the
+    // overall budget is spent.
+    if (this.budgetEnd && Date.now() >= this.budgetEnd) {
+      return standPat;
+    }
 
+    const isMaximizing = state.activeColor === rootColor;
     let value = standPat;
-    if (value > alpha) {
-      alpha = value;
-      if (alpha >= beta) return alpha;
+    if (isMaximizing) {
+      if (value >= beta) return value;
+      if (value > alpha) alpha = value;
+    } else {
+      if (value <= alpha) return value;
+      if (value < beta) beta = value;
     }
 
     const allMoves = generateLegalMoves(state);
@@ -494,30 +662,35 @@ export class AI {
 
     for (let i = 0; i < limited.length; i++) {
       // Check timeout periodically during quiescence
-      if (timeout && startTime && i % 5 === 0 && Date.now() - startTime >= timeout) {
+      if (i % 5 === 0 && this.outOfTime(timeout, startTime)) {
         return value; // Return current best value if timeout
       }
 
       const move = limited[i];
-      const next = state.clone();
-      applyMoveSearch(next, move, state.activeColor);
-      const score = -this.quiescence(
-        next,
-        -beta,
-        -alpha,
+      const undo = makeMove(state, move);
+      const score = this.quiescence(
+        state,
+        alpha,
+        beta,
         rootColor,
-        evaluate(next, rootColor),
+        evaluate(state, rootColor),
         timeout,
         startTime
       );
+      unmakeMove(state, move, undo);
 
       // Check if recursive quiescence timed out
       if (score === null) {
         return value; // Return current best value
       }
 
-      if (score > value) value = score;
-      if (value > alpha) alpha = value;
+      if (isMaximizing) {
+        if (score > value) value = score;
+        if (value > alpha) alpha = value;
+      } else {
+        if (score < value) value = score;
+        if (value < beta) beta = value;
+      }
       if (alpha >= beta) break;
     }
     return value;
@@ -527,16 +700,23 @@ export class AI {
    * Progressive deepening search with time limits to prevent UI freezing.
    * Uses iterative deepening starting from lower depths and increasing
    * as time allows, yielding control to UI between iterations.
+   *
+   * Depths up to MIN_SEARCH_DEPTH always complete; deeper iterations are
+   * bounded by `timeout`, and an iteration cut short by the budget is
+   * discarded in favour of the last completed one.
    */
-  async progressiveDeepeningSearch(state, legalMoves, maxDepth, color, level, timeout = 10000) {
+  async progressiveDeepeningSearch(state, legalMoves, maxDepth, color, level, timeout = 10000, onProgress) {
     const startTime = Date.now();
+    this.budgetEnd = startTime + timeout;
     let bestMove = legalMoves[0]; // Fallback move
     let currentDepth = 1;
 
     // Start with depth 1 and progressively increase
     while (currentDepth <= maxDepth) {
+      const guaranteed = currentDepth <= Math.min(maxDepth, MIN_SEARCH_DEPTH);
+
       // Check time budget before starting new depth
-      if (Date.now() - startTime >= timeout) {
+      if (!guaranteed && this.outOfTime(timeout, startTime)) {
         break;
       }
 
@@ -544,19 +724,38 @@ export class AI {
       await new Promise(resolve => setTimeout(resolve, 0));
 
       // Pass timeout and startTime to searchRoot so it can check during search
-      const move = this.searchRoot(state, legalMoves, currentDepth, color, {
+      const { move, score, pv, lines } = this.searchRoot(state, legalMoves, currentDepth, color, {
         level: level,
-        timeout: timeout,
+        timeout: guaranteed ? undefined : timeout,
         startTime: startTime,
       });
 
+      // Check timeout again after search completes
+      if (!guaranteed && this.outOfTime(timeout, startTime)) {
+        break;
+      }
+
       if (move) {
         bestMove = move;
       }
 
-      // Check timeout again after search completes
-      if (Date.now() - startTime >= timeout) {
-        break;
+      if (onProgress) {
+        const elapsed = Date.now() - startTime;
+        onProgress({
+          depth: currentDepth,
+          elapsed,
+          move: bestMove,
+          score,
+          mate: mateInMoves(score),
+          nodes: this.nodes,
+          nps: elapsed > 0 ? Math.round((this.nodes * 1000) / elapsed) : 0,
+          pv,
+          lines: lines.map((line) => ({
+            score: line.score,
+            mate: mateInMoves(line.score),
+            pv: line.pv,
+          })),
+        });
       }
 
       currentDepth++;
@@ -567,6 +766,157 @@ export class AI {
 
 }
 
+/**
+ * Progress report after a completed iteration.
+ * @typedef {Object} SearchInfo
+ * @property {number} depth - iteration depth (ply)
+ * @property {number} elapsed - ms since the search started
+ * @property {import("./Move.js").Move} move - best move so far
+ * @property {number} score - centipawns from the searching side's point of view
+ * @property {number|null} mate - moves to mate (negative: being mated), null if no mate was found
+ * @property {number} nodes - nodes searched so far
+ * @property {number} nps - nodes per second
+ * @property {import("./Move.js").Move[]} pv - principal variation, best move first;
+ *   lines cut short by transposition table cutoffs are continued from the table,
+ *   so it is shorter than depth only at a mate, a repetition or a missing entry
+ * @property {{score:number, mate:number|null, pv:import("./Move.js").Move[]}[]} lines -
+ *   the best multiPV root moves, best first; lines[0] matches score/mate/pv
+ * @property {{name:string|null}} [book] - set when the move was taken from the
+ *   opening book without searching; depth and score are then 0
+ */
+
+/**
+ * The only progress report of a move played from the book.
+ * @param {import("./Polyglot.js").BookMove} bookMove
+ * @returns {SearchInfo}
+ */
+function bookMoveInfo(bookMove) {
+  const pv = [bookMove.move];
+  return {
+    depth: 0,
+    elapsed: 0,
+    move: bookMove.move,
+    score: 0,
+    mate: null,
+    nodes: 0,
+    nps: 0,
+    pv,
+    lines: [{ score: 0, mate: null, pv }],
+    book: { name: bookMove.name },
+  };
+}
+
+/**
+ * Convert a root score into a mate distance in moves.
+ * @param {number} score - root score from the searching side's point of view
+ * @returns {number|null} positive when the searching side mates, negative when
+ *   it is mated, null for an ordinary score
+ */
+export function mateInMoves(score) {
+  if (!isMateScore(score)) return null;
+  const ply = Math.max(1, MATE_SCORE - Math.abs(score));
+  const moves = Math.ceil(ply / 2);
+  return score > 0 ? moves : -moves;
+}
+
+/**
+ * @param {number} score
+ * @returns {boolean} whether the score is a forced mate for either side
+ */
+function isMateScore(score) {
+  return Number.isFinite(score) && Math.abs(score) >= MATE_SCORE - MAX_MATE_PLY;
+}
+
+/**
+ * A mate score counts half-moves from the root, but a table entry can be
+ * reached again at another ply: store mates as distances from the node
+ * itself, and turn them back into root distances on a probe.
+ * @param {number} score - score from rootColor's view
+ * @param {number} ply - half-moves from the root to the node
+ * @returns {number}
+ */
+function scoreToTable(score, ply) {
+  if (!isMateScore(score)) return score;
+  return score > 0 ? score + ply : score - ply;
+}
+
+/**
+ * Inverse of scoreToTable().
+ * @param {number} score - stored score
+ * @param {number} ply - half-moves from the root to the probing node
+ * @returns {number}
+ */
+function scoreFromTable(score, ply) {
+  if (!isMateScore(score)) return score;
+  return score > 0 ? score - ply : score + ply;
+}
+
+/* === Utility: repetitions === */
+
+/**
+ * Keys of a GameState.repetitionMap, which is a Map on a GameState and a
+ * list of entries (or a plain object) once serialized.
+ * @param {Map<string,number>|[string,number][]|Record<string,number>|undefined} map
+ * @returns {Iterable<string>}
+ */
+function repetitionKeys(map) {
+  if (!map) return [];
+  if (map instanceof Map) return map.keys();
+  if (Array.isArray(map)) return map.map(([key]) => key);
+  return Object.keys(map);
+}
+
+/**
+ * Whether a search position repeats one reached earlier in the game or on
+ * the current search line; it is then scored as a draw, since the side
+ * that would be worse off can repeat again. Every repetition needs four
+ * reversible half-moves, so positions after a capture or pawn move are
+ * not looked up.
+ * @param {SearchState} state
+ * @returns {boolean}
+ */
+function isRepetition(state) {
+  if (!(state.halfmoveClock >= 4)) return false;
+  for (let i = state.pathHi.length - 1; i >= 0; i--) {
+    if (state.pathHi[i] === state.hashHi && state.pathLo[i] === state.hashLo) return true;
+  }
+  return state.gamePositions.has(hashToKey(state.hashHi, state.hashLo));
+}
+
+/* === Utility: move ordering === */
+
+/**
+ * Insert a root line into `lines`, kept sorted best first and at most
+ * `limit` long.
+ * @param {{score:number}[]} lines
+ * @param {{score:number}} line
+ * @param {boolean} isMaximizing - whether higher scores are better
+ * @param {number} limit
+ */
+function insertLine(lines, line, isMaximizing, limit) {
+  const better = (a, b) => (isMaximizing ? a.score > b.score : a.score < b.score);
+  let index = lines.length;
+  while (index > 0 && better(line, lines[index - 1])) index--;
+  if (index >= limit) return;
+  lines.splice(index, 0, line);
+  if (lines.length > limit) lines.pop();
+}
+
+/**
+ * Move the transposition table's best move (if present) to the front.
+ * @param {import("./Move.js").Move[]} moves
+ * @param {number} hashMove - encoded move or -1
+ */
+function orderWithHashMove(moves, hashMove) {
+  if (hashMove < 0) return moves;
+  const index = moves.findIndex((m) => encodeMove(m) === hashMove);
+  if (index > 0) {
+    const [move] = moves.splice(index, 1);
+    moves.unshift(move);
+  }
+  return moves;
+}
+
 /* === Utility: approximate piece value === */
 
 function pieceValueApprox(piece) {
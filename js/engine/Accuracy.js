@@ -0,0 +1,79 @@
+/**
+ * Accuracy.js
+ *
+ * Move quality measures for game review, based on winning chances rather
+ * than raw centipawns so that a pawn matters more in a level position than
+ * when a rook up:
+ * - winPercent: expected score (0-100) for a centipawn evaluation.
+ * - classifyMove: best / good / inaccuracy / mistake / blunder from the
+ *   drop in the mover's winning chances.
+ * - moveAccuracy: 0-100 accuracy of a single move from the same drop.
+ *
+ * The curves follow the widely used Lichess model. This module is pure and
+ * contains no DOM logic.
+ */
+
+/** Centipawn stand-in for a forced mate, beyond any material score. */
+export const MATE_CENTIPAWNS = 10000;
+
+/**
+ * Drops in winning chances (percentage points) at which a move becomes an
+ * inaccuracy, a mistake or a blunder.
+ */
+const THRESHOLDS = [
+  ["blunder", 15],
+  ["mistake", 10],
+  ["inaccuracy", 5],
+];
+
+/**
+ * @typedef {"best"|"good"|"inaccuracy"|"mistake"|"blunder"} MoveClass
+ */
+
+/** All move classes, best first. */
+export const MOVE_CLASSES = ["best", "good", "inaccuracy", "mistake", "blunder"];
+
+/**
+ * An engine evaluation as centipawns; mates count as MATE_CENTIPAWNS,
+ * less a little per move so that quicker mates rank higher.
+ * @param {number} score - centipawns
+ * @param {number|null} mate - moves to mate (negative: being mated)
+ * @returns {number}
+ */
+export function toCentipawns(score, mate) {
+  if (mate === null || mate === undefined) return score;
+  return Math.sign(mate) * (MATE_CENTIPAWNS - Math.min(Math.abs(mate), 100) * 10);
+}
+
+/**
+ * Expected score in percent for the side the evaluation is for.
+ * @param {number} centipawns
+ * @returns {number} 0..100
+ */
+export function winPercent(centipawns) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * centipawns)) - 1);
+}
+
+/**
+ * Classify a move by how much it lowered the mover's winning chances.
+ * @param {number} drop - winPercent before minus after, mover's point of view
+ * @param {boolean} isBest - the move is the engine's choice
+ * @returns {MoveClass}
+ */
+export function classifyMove(drop, isBest) {
+  if (isBest) return "best";
+  for (const [name, threshold] of THRESHOLDS) {
+    if (drop >= threshold) return name;
+  }
+  return "good";
+}
+
+/**
+ * Accuracy of a single move: 100 for no loss, falling off quickly.
+ * @param {number} drop - winPercent before minus after, mover's point of view
+ * @returns {number} 0..100
+ */
+export function moveAccuracy(drop) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, drop)) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+}
@@ -0,0 +1,259 @@
+/**
+ * Clock.js
+ *
+ * Chess clock logic for standard time controls:
+ * - Sudden death (a single stage with no increment)
+ * - Fischer increment (time added after each move)
+ * - Bronstein delay (time used is refunded up to the delay)
+ * - Simple / US delay (the clock starts only after the delay)
+ * - Multi-stage controls, e.g. 40 moves in 90 min, then 30 min, +30 s per move
+ *
+ * Pure timing logic with an injectable time source; no DOM, no timers.
+ * The owner (Game) presses the clock after each move and polls for flag-fall,
+ * and can save and restore the clock's state to follow takebacks.
+ */
+
+/**
+ * @typedef {Object} TimeControlStage
+ * @property {number|null} moves - moves to complete in this stage (null = rest of game)
+ * @property {number} time - ms added to the clock when the stage starts
+ * @property {number} [increment] - Fischer increment in ms, added after each move
+ * @property {number} [delay] - delay in ms (see delayMode)
+ * @property {"bronstein"|"simple"} [delayMode]
+ */
+
+const MINUTE = 60000;
+const SECOND = 1000;
+
+/**
+ * Saved clock state (see ChessClock.save()).
+ * @typedef {Object} ClockState
+ * @property {{white:number, black:number}} remaining - ms left, as of the last press
+ * @property {{white:number, black:number}} stageIndex
+ * @property {{white:number, black:number}} movesInStage
+ */
+
+/**
+ * Built-in time controls, keyed by the values used in the time control select.
+ * @type {Record<string,{label:string, stages:TimeControlStage[]|null}>}
+ */
+export const TIME_CONTROLS = {
+  none: { label: "No clock", stages: null },
+  "5+0": {
+    label: "5 min",
+    stages: [{ moves: null, time: 5 * MINUTE }],
+  },
+  "3+2": {
+    label: "3 min + 2 s",
+    stages: [{ moves: null, time: 3 * MINUTE, increment: 2 * SECOND }],
+  },
+  "15+10": {
+    label: "15 min + 10 s",
+    stages: [{ moves: null, time: 15 * MINUTE, increment: 10 * SECOND }],
+  },
+  "25d5": {
+    label: "25 min, 5 s Bronstein delay",
+    stages: [
+      { moves: null, time: 25 * MINUTE, delay: 5 * SECOND, delayMode: "bronstein" },
+    ],
+  },
+  "30d5": {
+    label: "30 min, 5 s simple delay",
+    stages: [
+      { moves: null, time: 30 * MINUTE, delay: 5 * SECOND, delayMode: "simple" },
+    ],
+  },
+  "40/90+30": {
+    label: "40/90 + 30, 30 s increment",
+    stages: [
+      { moves: 40, time: 90 * MINUTE, increment: 30 * SECOND },
+      { moves: null, time: 30 * MINUTE, increment: 30 * SECOND },
+    ],
+  },
+};
+
+/**
+ * Format stages as a PGN TimeControl tag value, e.g. "40/5400+30:1800+30".
+ * Delays cannot be expressed in the PGN syntax and yield "?".
+ * @param {TimeControlStage[]|null} stages
+ * @returns {string}
+ */
+export function formatTimeControl(stages) {
+  if (!stages || stages.length === 0) return "-";
+  if (stages.some((s) => s.delay)) return "?";
+  return stages
+    .map((s) => {
+      const base = `${Math.round(s.time / SECOND)}`;
+      const inc = s.increment ? `+${Math.round(s.increment / SECOND)}` : "";
+      return s.moves ? `${s.moves}/${base}${inc}` : `${base}${inc}`;
+    })
+    .join(":");
+}
+
+export class ChessClock {
+  /**
+   * @param {TimeControlStage[]} stages
+   * @param {Object} [options]
+   * @param {() => number} [options.now] - time source in ms
+   */
+  constructor(stages, { now = () => Date.now() } = {}) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error("ChessClock: at least one time control stage is required.");
+    }
+    this.stages = stages;
+    this.now = now;
+
+    this.remaining = { white: stages[0].time, black: stages[0].time };
+    this.stageIndex = { white: 0, black: 0 };
+    this.movesInStage = { white: 0, black: 0 };
+
+    /** @type {"white"|"black"|null} side whose clock is running */
+    this.running = null;
+    this.turnStartedAt = 0;
+  }
+
+  /**
+   * Start (or resume) the clock of `color`.
+   * @param {"white"|"black"} color
+   */
+  start(color) {
+    this.running = color;
+    this.turnStartedAt = this.now();
+  }
+
+  /**
+   * Stop the running clock, charging the elapsed time (e.g. at game end).
+   */
+  stop() {
+    if (!this.running) return;
+    const color = this.running;
+    this.remaining[color] = this.getRemaining(color);
+    this.running = null;
+  }
+
+  /**
+   * `color` completed a move: charge the time used, apply delay/increment,
+   * advance the time control stage if due, and start the opponent's clock.
+   *
+   * @param {"white"|"black"} color
+   * @returns {boolean} false if the flag had already fallen
+   */
+  press(color) {
+    const elapsed = this.running === color ? this.now() - this.turnStartedAt : 0;
+    const stage = this.stages[this.stageIndex[color]];
+    const delay = stage.delay || 0;
+
+    let left;
+    if (stage.delayMode === "simple") {
+      left = this.remaining[color] - Math.max(0, elapsed - delay);
+    } else {
+      left = this.remaining[color] - elapsed;
+    }
+
+    if (left <= 0) {
+      this.remaining[color] = 0;
+      this.running = null;
+      return false;
+    }
+
+    if (stage.delayMode === "bronstein") {
+      left += Math.min(elapsed, delay);
+    }
+    left += stage.increment || 0;
+
+    this.movesInStage[color] += 1;
+    if (stage.moves && this.movesInStage[color] >= stage.moves) {
+      const nextIndex = Math.min(this.stageIndex[color] + 1, this.stages.length - 1);
+      left += this.stages[nextIndex].time;
+      this.stageIndex[color] = nextIndex;
+      this.movesInStage[color] = 0;
+    }
+
+    this.remaining[color] = left;
+    this.start(color === "white" ? "black" : "white");
+    return true;
+  }
+
+  /**
+   * Live remaining time for `color` in ms (never negative).
+   * @param {"white"|"black"} color
+   * @returns {number}
+   */
+  getRemaining(color) {
+    if (this.running !== color) return Math.max(0, this.remaining[color]);
+    const elapsed = this.now() - this.turnStartedAt;
+    const stage = this.stages[this.stageIndex[color]];
+    const charged =
+      stage.delayMode === "simple"
+        ? Math.max(0, elapsed - (stage.delay || 0))
+        : elapsed;
+    return Math.max(0, this.remaining[color] - charged);
+  }
+
+  /**
+   * Whether `color` has run out of time.
+   * @param {"white"|"black"} color
+   * @returns {boolean}
+   */
+  isFlagged(color) {
+    return this.getRemaining(color) <= 0;
+  }
+
+  /**
+   * Suggest a search budget for `color` from its own clock:
+   * an even share of the remaining time over the moves to go, plus most
+   * of the per-move bonus, never more than a third of what is left.
+   *
+   * @param {"white"|"black"} color
+   * @returns {number} ms
+   */
+  allocateThinkingTime(color) {
+    const remaining = this.getRemaining(color);
+    const stage = this.stages[this.stageIndex[color]];
+    const movesToGo = stage.moves
+      ? Math.max(1, stage.moves - this.movesInStage[color])
+      : 30;
+    const bonus = (stage.increment || 0) + (stage.delay || 0);
+
+    const budget = remaining / (movesToGo + 2) + bonus * 0.8;
+    const cap = remaining / 3;
+    return Math.max(50, Math.floor(Math.min(budget, cap)));
+  }
+
+  /**
+   * The time left and stage progress of both sides, for restore(). The
+   * running side's time is saved as of its last press.
+   * @returns {ClockState}
+   */
+  save() {
+    return {
+      remaining: { ...this.remaining },
+      stageIndex: { ...this.stageIndex },
+      movesInStage: { ...this.movesInStage },
+    };
+  }
+
+  /**
+   * Put both clocks back to a saved state. The clock is left stopped;
+   * start() the side to move.
+   * @param {ClockState} state
+   */
+  restore(state) {
+    this.remaining = { ...state.remaining };
+    this.stageIndex = { ...state.stageIndex };
+    this.movesInStage = { ...state.movesInStage };
+    this.running = null;
+  }
+
+  /**
+   * Snapshot for UI rendering.
+   * @returns {{white:number, black:number, running:"white"|"black"|null}}
+   */
+  getSnapshot() {
+    return {
+      white: this.getRemaining("white"),
+      black: this.getRemaining("black"),
+      running: this.running,
+    };
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Eco.js
+ *
+ * Opening classification: the ECO code and name of a game's opening, e.g.
+ * "C65 Ruy Lopez: Berlin Defence".
+ * - Openings are looked up by position (EcoData.js), not by move order, so
+ *   transpositions are recognised.
+ * - A game keeps the name of the last classified position it reached (see
+ *   Game.getOpening), so the opening stays named once play leaves the known
+ *   lines.
+ *
+ * This module is pure and contains no DOM logic.
+ */
+
+import { toFEN } from "./Fen.js";
+import { algebraicToIndex } from "./Board.js";
+import { ECO_POSITIONS } from "./EcoData.js";
+
+/**
+ * @typedef {Object} Opening
+ * @property {string} eco - ECO code, e.g. "C65"
+ * @property {string} name - e.g. "Ruy Lopez: Berlin Defence"
+ */
+
+/** @type {Map<string, Opening>|null} Indexed on first use. */
+let openings = null;
+
+/**
+ * Position key as used in EcoData.js: piece placement, side to move,
+ * castling rights and the en passant square when a pawn can take on it.
+ * @param {Object} state - rules state
+ * @returns {string}
+ */
+export function ecoPositionKey(state) {
+  const [placement, side, castling] = toFEN(state).split(" ");
+  const enPassant = canCaptureEnPassant(state) ? state.enPassantTarget : "-";
+  return `${placement} ${side} ${castling} ${enPassant}`;
+}
+
+/**
+ * The opening of a single position, if it is a named one.
+ * @param {Object} state - rules state
+ * @returns {Opening|null}
+ */
+export function lookupOpening(state) {
+  if (!openings) {
+    openings = new Map();
+    for (const [key, eco, name] of ECO_POSITIONS) openings.set(key, { eco, name });
+  }
+  return openings.get(ecoPositionKey(state)) || null;
+}
+
+/**
+ * The opening as one line, e.g. "C65 Ruy Lopez: Berlin Defence".
+ * @param {Opening} opening
+ * @returns {string}
+ */
+export function formatOpening(opening) {
+  return `${opening.eco} ${opening.name}`;
+}
+
+/**
+ * Internal: whether a pawn of the side to move stands next to the pawn that
+ * just advanced two squares (pins are ignored, as in EcoData.js).
+ * @param {Object} state
+ * @returns {boolean}
+ */
+function canCaptureEnPassant(state) {
+  if (!state.enPassantTarget) return false;
+  const target = algebraicToIndex(state.enPassantTarget);
+  const file = target % 8;
+  const pawn = state.activeColor === "white" ? "wP" : "bP";
+  const rank = state.activeColor === "white" ? 4 : 3;
+  return [file - 1, file + 1].some((f) => f >= 0 && f < 8 && state.board[rank * 8 + f] === pawn);
+}
@@ -0,0 +1,238 @@
+/**
+ * EngineClient.js
+ *
+ * Main-thread side of the engine worker (EngineWorker.js).
+ * - search(): posts a serialized GameState to the worker and resolves with
+ *   the best move, forwarding progress messages to a callback.
+ * - cancel(): terminates the worker so an in-flight search stops at once;
+ *   the pending promise rejects with an Error named "AbortError".
+ * - setBook(): chooses the opening book; it is sent again to every new
+ *   worker, since cancelling a search replaces the worker.
+ *
+ * When workers are unavailable (no Worker global, or module workers not
+ * supported) the search falls back to running AI on the main thread,
+ * unless the client was created with `allowFallback: false` (searches
+ * without a time limit would freeze the page); such searches reject.
+ */
+
+import { AI } from "./AI.js";
+import { createOpeningBook } from "./OpeningBook.js";
+
+/**
+ * Build the error used to reject cancelled searches.
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error("Search cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+export class EngineClient {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.allowFallback=true] - search on the main thread
+   *   when workers are unavailable
+   */
+  constructor({ allowFallback = true } = {}) {
+    /** @type {Worker|null} */
+    this.worker = null;
+    this.useWorker = typeof Worker !== "undefined";
+    this.allowFallback = allowFallback;
+    this.nextId = 1;
+    /**
+     * In-flight search, if any.
+     * @type {{id:number, state:Object, options:Object, onProgress?:Function, resolve:Function, reject:Function}|null}
+     */
+    this.pending = null;
+    /** @type {AI|null} */
+    this.fallbackAI = null;
+    /** Opening book setting (see setBook), as in a new AI. */
+    this.book = "builtin";
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleError = this.handleError.bind(this);
+  }
+
+  /**
+   * Whether a search is currently running.
+   * @returns {boolean}
+   */
+  isSearching() {
+    return !!this.pending;
+  }
+
+  /**
+   * Search for the best move. Starting a new search cancels the previous one.
+   *
+   * @param {Object} state - GameState.serialize() output
+   * @param {Object} options - AI.findBestMove options (level, forColor, timeout, ...)
+   * @param {(info: Object) => void} [onProgress]
+   * @returns {Promise<import("./Move.js").Move|null>}
+   */
+  search(state, options, onProgress) {
+    this.cancel();
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId;
+      this.nextId += 1;
+      this.pending = { id, state, options, onProgress, resolve, reject };
+
+      if (!this.useWorker) {
+        this.fallBack(this.pending);
+        return;
+      }
+
+      try {
+        this.ensureWorker().postMessage({ type: "search", id, state, options });
+      } catch (error) {
+        this.disableWorker();
+        this.fallBack(this.pending);
+      }
+    });
+  }
+
+  /**
+   * Choose the opening book used by searches with the useBook option:
+   * "builtin", the contents of a Polyglot .bin file, or null for none.
+   * Throws when the data is not a Polyglot book.
+   * @param {"builtin"|ArrayBuffer|null} book
+   */
+  setBook(book) {
+    createOpeningBook(book);
+    this.book = book;
+    if (this.worker) this.worker.postMessage({ type: "book", book });
+    if (this.fallbackAI) this.fallbackAI.setBook(book);
+  }
+
+  /**
+   * Cancel the in-flight search, if any.
+   */
+  cancel() {
+    if (!this.pending) return;
+    const { reject } = this.pending;
+    this.pending = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    reject(createAbortError());
+  }
+
+  /**
+   * Cancel any search and release the worker.
+   */
+  dispose() {
+    this.cancel();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  ensureWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL("./EngineWorker.js", import.meta.url), {
+        type: "module",
+      });
+      this.worker.addEventListener("message", this.handleMessage);
+      this.worker.addEventListener("error", this.handleError);
+      this.worker.postMessage({ type: "book", book: this.book });
+    }
+    return this.worker;
+  }
+
+  handleMessage(event) {
+    const { type, id, info, move, message } = event.data || {};
+    const pending = this.pending;
+    if (!pending || pending.id !== id) return;
+
+    switch (type) {
+      case "progress":
+        if (pending.onProgress) pending.onProgress(info);
+        break;
+      case "result":
+        this.pending = null;
+        pending.resolve(move || null);
+        break;
+      case "error":
+        this.pending = null;
+        pending.reject(new Error(message || "Engine error"));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * The worker script failed to load or crashed: finish on the main thread.
+   */
+  handleError(event) {
+    if (event && typeof event.preventDefault === "function") {
+      event.preventDefault();
+    }
+    console.warn(
+      this.allowFallback
+        ? "Engine worker unavailable, searching on the main thread."
+        : "Engine worker unavailable.",
+      event
+    );
+    this.disableWorker();
+    if (this.pending) {
+      this.fallBack(this.pending);
+    }
+  }
+
+  disableWorker() {
+    this.useWorker = false;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * No worker: search on the main thread, or reject when not allowed.
+   */
+  fallBack(pending) {
+    if (this.allowFallback) {
+      this.runInThread(pending);
+      return;
+    }
+    this.pending = null;
+    pending.reject(new Error("Engine worker unavailable"));
+  }
+
+  /**
+   * Main-thread fallback. Cancellation only discards the result here,
+   * since the search cannot be interrupted.
+   */
+  runInThread(pending) {
+    if (!this.fallbackAI) {
+      this.fallbackAI = new AI();
+      this.fallbackAI.setBook(this.book);
+    }
+
+    const isCurrent = () => this.pending && this.pending.id === pending.id;
+
+    this.fallbackAI
+      .findBestMove(pending.state, {
+        ...pending.options,
+        onProgress: (info) => {
+          if (isCurrent() && pending.onProgress) pending.onProgress(info);
+        },
+      })
+      .then(
+        (move) => {
+          if (!isCurrent()) return;
+          this.pending = null;
+          pending.resolve(move || null);
+        },
+        (error) => {
+          if (!isCurrent()) return;
+          this.pending = null;
+          pending.reject(error);
+        }
+      );
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * EngineWorker.js
+ *
+ * Dedicated module worker that runs AI searches off the main thread.
+ *
+ * Protocol (see EngineClient.js for the main-thread side):
+ * - in:  { type: "search", id, state, options }
+ *        state is GameState.serialize() output, options are AI.findBestMove options
+ *        { type: "book", book }                 opening book for later searches (AI.setBook)
+ * - out: { type: "progress", id, info }   after each completed search depth
+ *        { type: "result", id, move }     best move or null
+ *        { type: "error", id, message }
+ *
+ * Cancellation is done by the client terminating the worker.
+ */
+
+import { AI } from "./AI.js";
+
+const ai = new AI();
+
+self.addEventListener("message", async (event) => {
+  const { type, id, state, options, book } = event.data || {};
+  if (type === "book") {
+    ai.setBook(book);
+    return;
+  }
+  if (type !== "search") return;
+
+  try {
+    const move = await ai.findBestMove(state, {
+      ...options,
+      onProgress: (info) => self.postMessage({ type: "progress", id, info }),
+    });
+    self.postMessage({ type: "result", id, move });
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message });
+  }
+});
@@ -3,8 +3,10 @@
  *
  * Static evaluation for chess positions.
  * - Material balance
- * - Piece-square tables
- * - Basic king safety / mobility bonuses
+ * - Piece-square tables for the middlegame and the endgame, blended by the
+ *   game phase (tapered evaluation)
+ * - Endgame knowledge against a lone king: drive it to the edge (with bishop
+ *   and knight, to a corner of the bishop's colour) and bring the kings together
  *
  * Tuned for clarity, not engine competition strength.
  */
@@ -24,12 +26,27 @@ const PIECE_VALUES = {
 };
 
 /**
- * Simple piece-square tables for middlegame, from white's perspective.
- * Indexed 0..63 with a1 = 0. We mirror for black where sensible.
- * Values are in centipawns.
+ * Game phase: each piece on the board counts towards the middlegame, so
+ * the phase runs from MAX_PHASE with all pieces down to 0 with only kings
+ * and pawns left. Promotions can push the count past MAX_PHASE; it is capped.
+ */
+const PHASE_WEIGHTS = {
+  P: 0,
+  N: 1,
+  B: 1,
+  R: 2,
+  Q: 4,
+  K: 0,
+};
+const MAX_PHASE = 24;
+
+/**
+ * Piece-square tables, from white's perspective and laid out as the board is
+ * seen from White's side: the first row is rank 8, the last rank 1 (see
+ * pstIndex). Values are in centipawns.
  */
 
-const PST_PAWN = [
+const PST_PAWN_MG = [
    0,  0,  0,  0,  0,  0,  0,  0,
   40, 50, 50, 60, 60, 50, 50, 40,
   10, 10, 20, 35, 35, 20, 10, 10,
@@ -40,6 +57,18 @@ const PST_PAWN = [
    0,  0,  0,  0,  0,  0,  0,  0,
 ];
 
+/** Passed or not, a pawn is worth more the nearer it is to promotion. */
+const PST_PAWN_EG = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+  80, 80, 80, 80, 80, 80, 80, 80,
+  50, 50, 50, 50, 50, 50, 50, 50,
+  30, 30, 30, 30, 30, 30, 30, 30,
+  15, 15, 15, 15, 15, 15, 15, 15,
+   5,  5,  5,  5,  5,  5,  5,  5,
+   0,  0,  0,  0,  0,  0,  0,  0,
+   0,  0,  0,  0,  0,  0,  0,  0,
+];
+
 const PST_KNIGHT = [
  -50,-40,-30,-30,-30,-30,-40,-50,
  -40,-20,  0,  0,  0,  0,-20,-40,
@@ -53,23 +82,35 @@ const PST_KNIGHT = [
 
 const PST_BISHOP = [
  -20,-10,-10,-10,-10,-10,-10,-20,
- -10,  5,  0,  0,  0,  0,  5,-10,
- -10, 10, 10, 10, 10, 10, 10,-10,
- -10,  0, 10, 10, 10, 10,  0,-10,
- -10,  5,  5, 10, 10,  5,  5,-10,
- -10,  0,  5, 10, 10,  5,  0,-10,
  -10,  0,  0,  0,  0,  0,  0,-10,
+ -10,  0,  5, 10, 10,  5,  0,-10,
+ -10,  5,  5, 10, 10,  5,  5,-10,
+ -10,  0, 10, 10, 10, 10,  0,-10,
+ -10, 10, 10, 10, 10, 10, 10,-10,
+ -10,  5,  0,  0,  0,  0,  5,-10,
  -20,-10,-10,-10,-10,-10,-10,-20,
 ];
 
-const PST_ROOK = [
-  0,  0,  5, 10, 10,  5,  0,  0,
+const PST_ROOK_MG = [
+  0,  0,  0,  0,  0,  0,  0,  0,
+  5, 10, 10, 10, 10, 10, 10,  5,
  -5,  0,  0,  0,  0,  0,  0, -5,
  -5,  0,  0,  0,  0,  0,  0, -5,
  -5,  0,  0,  0,  0,  0,  0, -5,
  -5,  0,  0,  0,  0,  0,  0, -5,
  -5,  0,  0,  0,  0,  0,  0, -5,
-  5, 10, 10, 10, 10, 10, 10,  5,
+  0,  0,  5, 10, 10,  5,  0,  0,
+];
+
+/** Rooks belong wherever they are active; only the seventh rank stands out. */
+const PST_ROOK_EG = [
+  0,  0,  0,  0,  0,  0,  0,  0,
+ 10, 10, 10, 10, 10, 10, 10, 10,
+  0,  0,  0,  0,  0,  0,  0,  0,
+  0,  0,  0,  0,  0,  0,  0,  0,
+  0,  0,  0,  0,  0,  0,  0,  0,
+  0,  0,  0,  0,  0,  0,  0,  0,
+  0,  0,  0,  0,  0,  0,  0,  0,
   0,  0,  0,  0,  0,  0,  0,  0,
 ];
 
@@ -84,7 +125,8 @@ const PST_QUEEN = [
  -20,-10,-10, -5, -5,-10,-10,-20,
 ];
 
-const PST_KING = [
+/** Middlegame: stay behind the pawns, castled. */
+const PST_KING_MG = [
  -30,-40,-40,-50,-50,-40,-40,-30,
  -30,-40,-40,-50,-50,-40,-40,-30,
  -30,-40,-40,-50,-50,-40,-40,-30,
@@ -95,6 +137,38 @@ const PST_KING = [
   20, 30, 10,  0,  0, 10, 30, 20,
 ];
 
+/** Endgame: the king is a fighting piece and heads for the centre. */
+const PST_KING_EG = [
+ -50,-40,-30,-20,-20,-30,-40,-50,
+ -30,-20,-10,  0,  0,-10,-20,-30,
+ -30,-10, 20, 30, 30, 20,-10,-30,
+ -30,-10, 30, 40, 40, 30,-10,-30,
+ -30,-10, 30, 40, 40, 30,-10,-30,
+ -30,-10, 20, 30, 30, 20,-10,-30,
+ -30,-30,  0,  0,  0,  0,-30,-30,
+ -50,-30,-30,-30,-30,-30,-30,-50,
+];
+
+/** [middlegame, endgame] table per piece type. */
+const PST = {
+  P: [PST_PAWN_MG, PST_PAWN_EG],
+  N: [PST_KNIGHT, PST_KNIGHT],
+  B: [PST_BISHOP, PST_BISHOP],
+  R: [PST_ROOK_MG, PST_ROOK_EG],
+  Q: [PST_QUEEN, PST_QUEEN],
+  K: [PST_KING_MG, PST_KING_EG],
+};
+
+/**
+ * Mop-up weights against a lone king (centipawns): per step of the lone
+ * king away from the centre, per step towards the nearer corner of the
+ * bishop's colour (bishop and knight, instead of the edge), and per king
+ * move the kings are closer.
+ */
+const EDGE_WEIGHT = 10;
+const CORNER_WEIGHT = 20;
+const PROXIMITY_WEIGHT = 8;
+
 /**
  * Evaluate board from perspective of `color`.
  * Positive score = good for `color`.
@@ -106,7 +180,14 @@ const PST_KING = [
  */
 export function evaluate(state, color) {
   const { board } = state;
-  let score = 0;
+  let mg = 0;
+  let eg = 0;
+  let phase = 0;
+  const kings = { white: -1, black: -1 };
+  const material = {
+    white: { pieces: 0, P: 0, N: 0, B: 0, R: 0, Q: 0, bishopSquare: -1 },
+    black: { pieces: 0, P: 0, N: 0, B: 0, R: 0, Q: 0, bishopSquare: -1 },
+  };
 
   for (let i = 0; i < 64; i += 1) {
     const piece = board[i];
@@ -114,33 +195,31 @@ export function evaluate(state, color) {
     const pc = getColorOf(piece);
     const type = piece[1];
     const base = PIECE_VALUES[type] || 0;
-    let pst = 0;
-
-    switch (type) {
-      case "P":
-        pst = PST_PAWN[pstIndex(i, pc)];
-        break;
-      case "N":
-        pst = PST_KNIGHT[pstIndex(i, pc)];
-        break;
-      case "B":
-        pst = PST_BISHOP[pstIndex(i, pc)];
-        break;
-      case "R":
-        pst = PST_ROOK[pstIndex(i, pc)];
-        break;
-      case "Q":
-        pst = PST_QUEEN[pstIndex(i, pc)];
-        break;
-      case "K":
-        pst = PST_KING[pstIndex(i, pc)];
-        break;
-      default:
-        break;
+    const [mgTable, egTable] = PST[type];
+    const square = pstIndex(i, pc);
+    const sign = pc === color ? 1 : -1;
+
+    mg += sign * (base + mgTable[square]);
+    eg += sign * (base + egTable[square]);
+    phase += PHASE_WEIGHTS[type];
+
+    if (type === "K") {
+      kings[pc] = i;
+    } else {
+      material[pc][type] += 1;
+      material[pc].pieces += 1;
+      if (type === "B") material[pc].bishopSquare = i;
     }
+  }
 
-    const pieceScore = base + pst;
-    score += pc === color ? pieceScore : -pieceScore;
+  phase = Math.min(phase, MAX_PHASE);
+  let score = Math.trunc((mg * phase + eg * (MAX_PHASE - phase)) / MAX_PHASE);
+
+  for (const side of ["white", "black"]) {
+    const loser = oppositeColor(side);
+    if (material[loser].pieces > 0 || kings[side] < 0 || kings[loser] < 0) continue;
+    const mopUp = mopUpScore(material[side], kings[side], kings[loser]);
+    score += side === color ? mopUp : -mopUp;
   }
 
   // Encourage mobility: difference in legal moves (lightweight)
@@ -155,15 +234,90 @@ export function evaluate(state, color) {
 }
 
 /**
- * Map index for PST; mirror ranks for black so tables are from white's view.
+ * Bonus for the side playing against a lone king, once it has the material
+ * to mate: the lone king is pushed to the edge, or with bishop and knight
+ * to a corner the bishop covers (the other two corners are worth no more
+ * than the centre), while the attacking king comes closer.
+ * Without mating material (a lone minor piece, two knights, only pawns)
+ * there is no bonus: promoting is the plan, not chasing the king.
+ *
+ * @param {{pieces:number, P:number, N:number, B:number, R:number, Q:number, bishopSquare:number}} material
+ *   the stronger side's pieces, king excluded
+ * @param {number} king - stronger side's king square
+ * @param {number} loneKing - lone king square
+ * @returns {number} centipawns for the stronger side
+ */
+function mopUpScore(material, king, loneKing) {
+  const heavy = material.Q + material.R > 0;
+  const bishopAndKnight = material.B === 1 && material.N > 0;
+  if (!heavy && !bishopAndKnight && material.B < 2) return 0;
+
+  let score = PROXIMITY_WEIGHT * (7 - kingDistance(king, loneKing));
+  if (!heavy && bishopAndKnight) {
+    // Mate is only possible in a corner of the bishop's colour.
+    score += CORNER_WEIGHT * (14 - mateCornerDistance(loneKing, isDarkSquare(material.bishopSquare)));
+  } else {
+    score += EDGE_WEIGHT * centreDistance(loneKing);
+  }
+  return score;
+}
+
+/**
+ * Manhattan distance of a square from the nearer corner of a colour: a1 and
+ * h8 are dark, a8 and h1 light.
+ * @param {number} index
+ * @param {boolean} dark
+ * @returns {number} 0..14
+ */
+function mateCornerDistance(index, dark) {
+  const file = index % 8;
+  const rank = Math.floor(index / 8);
+  return dark
+    ? Math.min(file + rank, 14 - file - rank)
+    : Math.min(file + 7 - rank, 7 - file + rank);
+}
+
+/**
+ * Manhattan distance of a square from the four centre squares (0..6).
+ * @param {number} index
+ * @returns {number}
+ */
+function centreDistance(index) {
+  const file = index % 8;
+  const rank = Math.floor(index / 8);
+  return Math.max(3 - file, file - 4) + Math.max(3 - rank, rank - 4);
+}
+
+/**
+ * Number of king moves between two squares.
+ * @param {number} a - square index
+ * @param {number} b - square index
+ * @returns {number} 0..7
+ */
+function kingDistance(a, b) {
+  return Math.max(Math.abs((a % 8) - (b % 8)), Math.abs(Math.floor(a / 8) - Math.floor(b / 8)));
+}
+
+/**
+ * Whether a square is dark (a1 is dark).
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isDarkSquare(index) {
+  return ((index % 8) + Math.floor(index / 8)) % 2 === 0;
+}
+
+/**
+ * Map a board index (a1 = 0) to its PST entry. The tables list rank 8 first,
+ * so White's squares are flipped vertically and Black's, seen from White's
+ * side, are not.
  * @param {number} index
  * @param {"white"|"black"} color
  */
 function pstIndex(index, color) {
-  if (color === "white") return index;
+  if (color === "black") return index;
   const file = index % 8;
   const rank = Math.floor(index / 8);
   const mirroredRank = 7 - rank;
   return mirroredRank * 8 + file;
 }
-
@@ -0,0 +1,253 @@
+/**
+ * Fen.js
+ *
+ * Forsyth–Edwards Notation (FEN) parsing and serialization.
+ * - parseFEN validates all six fields and returns plain state fields
+ *   (board[64], activeColor, castlingRights, enPassantTarget, clocks).
+ * - toFEN serializes any GameState-like object back to FEN.
+ *
+ * The halfmove clock and fullmove number may be omitted (as some tools do);
+ * they default to 0 and 1. Everything else that is malformed throws an
+ * Error whose message starts with "Invalid FEN".
+ */
+
+import {
+  algebraicToIndex,
+  indexToAlgebraic,
+  oppositeColor,
+} from "./Board.js";
+import { isInCheck } from "./Rules.js";
+
+/** FEN of the standard initial position. */
+export const STARTING_FEN =
+  "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+const PIECE_CHARS = "PNBRQK";
+
+/**
+ * Parse a FEN string into state fields.
+ *
+ * @param {string} fen
+ * @returns {{
+ *   board: (string|null)[],
+ *   activeColor: "white"|"black",
+ *   castlingRights: {white:{kingSide:boolean,queenSide:boolean},black:{kingSide:boolean,queenSide:boolean}},
+ *   enPassantTarget: string|null,
+ *   halfmoveClock: number,
+ *   fullmoveNumber: number
+ * }}
+ */
+export function parseFEN(fen) {
+  if (typeof fen !== "string" || !fen.trim()) {
+    throw new Error("Invalid FEN: expected a non-empty string");
+  }
+
+  const fields = fen.trim().split(/\s+/);
+  if (fields.length < 4 || fields.length > 6) {
+    throw new Error(
+      `Invalid FEN: expected 6 space-separated fields (clocks optional), got ${fields.length}`
+    );
+  }
+
+  const [placement, active, castling, ep, halfmove = "0", fullmove = "1"] =
+    fields;
+
+  const board = parsePlacement(placement);
+
+  if (active !== "w" && active !== "b") {
+    throw new Error(`Invalid FEN: active color must be "w" or "b", got "${active}"`);
+  }
+  const activeColor = active === "w" ? "white" : "black";
+
+  const castlingRights = parseCastling(castling, board);
+  const enPassantTarget = parseEnPassant(ep, board, activeColor);
+
+  if (!/^\d+$/.test(halfmove)) {
+    throw new Error(`Invalid FEN: halfmove clock must be a non-negative integer, got "${halfmove}"`);
+  }
+  if (!/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+    throw new Error(`Invalid FEN: fullmove number must be a positive integer, got "${fullmove}"`);
+  }
+
+  const state = {
+    board,
+    activeColor,
+    castlingRights,
+    enPassantTarget,
+    halfmoveClock: Number(halfmove),
+    fullmoveNumber: Number(fullmove),
+  };
+
+  if (isInCheck(state, oppositeColor(activeColor))) {
+    throw new Error("Invalid FEN: the side not to move is in check");
+  }
+
+  return state;
+}
+
+/**
+ * Serialize a GameState-like object to FEN.
+ *
+ * @param {Object} state
+ * @param {(string|null)[]} state.board
+ * @param {"white"|"black"} state.activeColor
+ * @param {{white:{kingSide:boolean,queenSide:boolean},black:{kingSide:boolean,queenSide:boolean}}} state.castlingRights
+ * @param {string|null} state.enPassantTarget
+ * @param {number} [state.halfmoveClock]
+ * @param {number} [state.fullmoveNumber]
+ * @returns {string}
+ */
+export function toFEN(state) {
+  const { board, castlingRights: cr } = state;
+
+  const ranks = [];
+  for (let rank = 7; rank >= 0; rank -= 1) {
+    let row = "";
+    let empty = 0;
+    for (let file = 0; file < 8; file += 1) {
+      const piece = board[rank * 8 + file];
+      if (!piece) {
+        empty += 1;
+        continue;
+      }
+      if (empty > 0) {
+        row += String(empty);
+        empty = 0;
+      }
+      row += piece[0] === "w" ? piece[1] : piece[1].toLowerCase();
+    }
+    if (empty > 0) row += String(empty);
+    ranks.push(row);
+  }
+
+  const castling =
+    [
+      cr.white.kingSide ? "K" : "",
+      cr.white.queenSide ? "Q" : "",
+      cr.black.kingSide ? "k" : "",
+      cr.black.queenSide ? "q" : "",
+    ].join("") || "-";
+
+  return [
+    ranks.join("/"),
+    state.activeColor === "white" ? "w" : "b",
+    castling,
+    state.enPassantTarget || "-",
+    String(state.halfmoveClock || 0),
+    String(state.fullmoveNumber || 1),
+  ].join(" ");
+}
+
+/* ===== Field parsers ===== */
+
+function parsePlacement(placement) {
+  const rows = placement.split("/");
+  if (rows.length !== 8) {
+    throw new Error(
+      `Invalid FEN: piece placement must have 8 ranks, got ${rows.length}`
+    );
+  }
+
+  const board = new Array(64).fill(null);
+  const kings = { white: 0, black: 0 };
+
+  rows.forEach((row, i) => {
+    const rank = 7 - i;
+    let file = 0;
+    for (const ch of row) {
+      if (ch >= "1" && ch <= "8") {
+        file += Number(ch);
+      } else {
+        const upper = ch.toUpperCase();
+        if (!PIECE_CHARS.includes(upper)) {
+          throw new Error(`Invalid FEN: unknown piece "${ch}" on rank ${rank + 1}`);
+        }
+        if (file > 7) {
+          throw new Error(
+            `Invalid FEN: rank ${rank + 1} ("${row}") describes more than 8 squares`
+          );
+        }
+        if (upper === "P" && (rank === 0 || rank === 7)) {
+          throw new Error(`Invalid FEN: pawn on rank ${rank + 1}`);
+        }
+        const color = ch === upper ? "white" : "black";
+        if (upper === "K") kings[color] += 1;
+        board[rank * 8 + file] = `${color === "white" ? "w" : "b"}${upper}`;
+        file += 1;
+      }
+    }
+    if (file !== 8) {
+      throw new Error(
+        `Invalid FEN: rank ${rank + 1} ("${row}") does not describe 8 squares`
+      );
+    }
+  });
+
+  for (const color of ["white", "black"]) {
+    if (kings[color] !== 1) {
+      throw new Error(
+        `Invalid FEN: expected exactly one ${color} king, found ${kings[color]}`
+      );
+    }
+  }
+
+  return board;
+}
+
+function parseCastling(castling, board) {
+  const rights = {
+    white: { kingSide: false, queenSide: false },
+    black: { kingSide: false, queenSide: false },
+  };
+  if (castling === "-") return rights;
+
+  if (!/^[KQkq]{1,4}$/.test(castling) || new Set(castling).size !== castling.length) {
+    throw new Error(`Invalid FEN: malformed castling field "${castling}"`);
+  }
+
+  const requirements = {
+    K: ["white", "kingSide", "e1", "h1"],
+    Q: ["white", "queenSide", "e1", "a1"],
+    k: ["black", "kingSide", "e8", "h8"],
+    q: ["black", "queenSide", "e8", "a8"],
+  };
+
+  for (const ch of castling) {
+    const [color, side, kingSq, rookSq] = requirements[ch];
+    const prefix = color === "white" ? "w" : "b";
+    if (
+      board[algebraicToIndex(kingSq)] !== `${prefix}K` ||
+      board[algebraicToIndex(rookSq)] !== `${prefix}R`
+    ) {
+      throw new Error(
+        `Invalid FEN: castling right "${ch}" requires king on ${kingSq} and rook on ${rookSq}`
+      );
+    }
+    rights[color][side] = true;
+  }
+
+  return rights;
+}
+
+function parseEnPassant(ep, board, activeColor) {
+  if (ep === "-") return null;
+
+  let index;
+  try {
+    index = algebraicToIndex(ep);
+  } catch (error) {
+    throw new Error(`Invalid FEN: malformed en passant square "${ep}"`);
+  }
+
+  // The target lies behind a pawn of the side that just moved.
+  const expectedRank = activeColor === "white" ? "6" : "3";
+  const pawnIndex = activeColor === "white" ? index - 8 : index + 8;
+  const pawn = activeColor === "white" ? "bP" : "wP";
+  if (ep[1] !== expectedRank || board[index] || board[pawnIndex] !== pawn) {
+    throw new Error(
+      `Invalid FEN: en passant square ${ep} does not follow a double pawn push`
+    );
+  }
+
+  return indexToAlgebraic(index);
+}
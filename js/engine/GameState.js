@@ -10,8 +10,10 @@
  *   - enPassantTarget
  *   - halfmoveClock, fullmoveNumber
  *   - playerColor (human side)
- *   - moveHistory (SAN-like)
- *   - repetitionMap for threefold repetition
+ *   - players (who plays each side; default: human vs computer)
+ *   - moveHistory (SAN)
+ *   - repetitionMap for threefold repetition (keyed by Zobrist hash)
+ *   - undo/redo stacks (takeback and redo of single plies)
  * - Apply moves (including:
  *   - promotions
  *   - castling rook movement
@@ -21,6 +23,7 @@
  * - Provide legal moves via Rules.generateLegalMoves
  * - Provide selection helper used by Game for UI click flow
  * - Compute detailed status text with check/checkmate/stalemate/draws
+ * - Load from / export to FEN via Fen.js
  */
 
 import {
@@ -33,22 +36,49 @@ import {
   boardToMap,
 } from "./Board.js";
 import { generateLegalMoves, isInCheck, analyzePosition } from "./Rules.js";
+import { parseFEN, toFEN, STARTING_FEN } from "./Fen.js";
+import { moveToSAN } from "./San.js";
+import { computeHash, hashToKey } from "./Zobrist.js";
 
 /**
  * @typedef {import("./Move.js").Move} Move
  */
 
+/**
+ * Everything applyMove changes, as it was before the move.
+ * @typedef {Object} UndoEntry
+ * @property {Move} move
+ * @property {string[]} board
+ * @property {"white"|"black"} activeColor
+ * @property {{white:{kingSide:boolean,queenSide:boolean},black:{kingSide:boolean,queenSide:boolean}}} castlingRights
+ * @property {string|null} enPassantTarget
+ * @property {number} halfmoveClock
+ * @property {number} fullmoveNumber
+ * @property {Object|null} result
+ * @property {{from:string,to:string}|null} lastMove
+ * @property {string|null} lastMoveText
+ * @property {string} repetitionKey - position counted after the move
+ */
+
+/**
+ * Who plays each side. null on a GameState means the human plays
+ * playerColor and the computer the other side.
+ * @typedef {{white:"human"|"computer", black:"human"|"computer"}} Players
+ */
+
 /**
  * @typedef {Object} GameSnapshot
  * @property {Record<string,string|null>} board
  * @property {"white"|"black"} activeColor
  * @property {"white"|"black"} playerColor
+ * @property {boolean} vsComputer - exactly one side is played by a person
  * @property {boolean} gameOver
  * @property {string} statusText
  * @property {string} turnText
  * @property {string|null} lastMoveText
  * @property {{from:string,to:string}|null} lastMove
  * @property {string[]} history
+ * @property {number} historyStartPly - game ply of history[0] (0 = White's first move)
  * @property {{outcome:string,winner?:string|null,reason?:string}|null} result
  */
 
@@ -71,7 +101,7 @@ export class GameState {
     state.halfmoveClock = 0;
     state.fullmoveNumber = 1;
     state.moveHistory = [];
-    state.result = null; // { outcome: "ongoing"|"checkmate"|"stalemate"|"draw", reason?, winner? }
+    state.result = null; // { outcome: "ongoing"|"checkmate"|"stalemate"|"draw"|"timeout"|"resignation", reason?, winner? }
     state.lastMove = null;
     state.repetitionMap = new Map();
     state.recordRepetitionKey();
@@ -79,6 +109,34 @@ export class GameState {
     return state;
   }
 
+  /**
+   * Create state from a FEN string.
+   * Throws a descriptive Error for malformed FEN (see Fen.js).
+   * @param {string} fen
+   * @param {"white"|"black"} [playerColor]
+   * @returns {GameState}
+   */
+  static fromFEN(fen, playerColor = "white") {
+    const parsed = parseFEN(fen);
+    const state = new GameState();
+    state.board = parsed.board;
+    state.activeColor = parsed.activeColor;
+    state.playerColor = playerColor;
+    state.castlingRights = parsed.castlingRights;
+    state.enPassantTarget = parsed.enPassantTarget;
+    state.halfmoveClock = parsed.halfmoveClock;
+    state.fullmoveNumber = parsed.fullmoveNumber;
+
+    // Remember non-standard start positions (needed e.g. for PGN SetUp/FEN tags).
+    const normalized = toFEN(state);
+    state.initialFEN = normalized === STARTING_FEN ? null : normalized;
+
+    state.recordRepetitionKey();
+    state.updateResult();
+    state.updateStatusText();
+    return state;
+  }
+
   constructor(data = null) {
     if (data) {
       // Rehydrate from serialized data
@@ -95,6 +153,8 @@ export class GameState {
       this.moveHistory = data.moveHistory || [];
       this.result = data.result || null;
       this.lastMove = data.lastMove || null;
+      this.initialFEN = data.initialFEN || null;
+      this.players = data.players || null;
 
       // Rehydrate repetition map
       this.repetitionMap = new Map();
@@ -110,6 +170,8 @@ export class GameState {
 
       this.selectedSquare = null;
       this.cachedLegalTargets = [];
+      this.undoStack = [];
+      this.redoStack = [];
     } else {
       // Initialize new state
       /** @type {string[]} */
@@ -126,11 +188,19 @@ export class GameState {
       this.moveHistory = [];
       this.result = null;
       this.lastMove = null;
+      /** @type {string|null} FEN of a non-standard start position */
+      this.initialFEN = null;
+      /** @type {Players|null} */
+      this.players = null;
       /** @type {Map<string,number>} */
       this.repetitionMap = new Map();
       this.selectedSquare = null;
       /** @type {string[]} */
       this.cachedLegalTargets = [];
+      /** @type {UndoEntry[]} */
+      this.undoStack = [];
+      /** @type {Move[]} moves taken back, most recent last */
+      this.redoStack = [];
     }
   }
 
@@ -149,10 +219,20 @@ export class GameState {
       moveHistory: this.moveHistory,
       result: this.result,
       lastMove: this.lastMove,
+      initialFEN: this.initialFEN,
+      players: this.players,
       repetitionMap: Array.from(this.repetitionMap.entries())
     };
   }
 
+  /**
+   * Export the current position as FEN.
+   * @returns {string}
+   */
+  toFEN() {
+    return toFEN(this);
+  }
+
   /**
    * Returns a map representation of the board for UI.
    * @returns {Record<string,string|null>}
@@ -170,19 +250,16 @@ export class GameState {
       board: this.getBoardMap(),
       activeColor: this.activeColor,
       playerColor: this.playerColor,
+      vsComputer: this.isVsComputer(),
       gameOver: this.isGameOver(),
       statusText: this.statusText || "",
-      turnText:
-        this.isGameOver() || !this.activeColor
-          ? ""
-          : this.activeColor === this.playerColor
-            ? "Your move"
-            : "Computer's move",
+      turnText: this.getTurnText(),
       lastMoveText: this.lastMoveText || null,
       lastMove: this.lastMove
         ? { from: this.lastMove.from, to: this.lastMove.to }
         : null,
       history: this.moveHistory.slice(),
+      historyStartPly: this.getHistoryStartPly(),
       selectedSquare: this.selectedSquare,
       legalTargets: this.cachedLegalTargets.slice(),
       result: this.result ? { ...this.result } : null,
@@ -201,6 +278,9 @@ export class GameState {
    * Encapsulates:
    * - Selecting own piece to see legal moves.
    * - Selecting target square to execute chosen move.
+   * - Pausing on pawn promotions: the move is not made; instead `promotion`
+   *   reports the pending move so the caller can ask for the piece and
+   *   complete it with Game.handlePlayerMove(). The selection is kept.
    *
    * @param {string} square
    * @param {"white"|"black"} side
@@ -208,6 +288,7 @@ export class GameState {
    *   moved: boolean,
    *   selectedSquare: string|null,
    *   legalTargets: string[],
+   *   promotion?: {from:string, to:string},
    * }}
    */
   handleSelection(square, side) {
@@ -230,9 +311,10 @@ export class GameState {
     if (piece && pieceColor === side) {
       this.selectedSquare = square;
       const allLegal = generateLegalMoves(this.asRulesState());
-      const targets = allLegal
-        .filter((m) => m.from === square)
-        .map((m) => m.to);
+      // Promotions yield four moves to the same square: list it once.
+      const targets = [
+        ...new Set(allLegal.filter((m) => m.from === square).map((m) => m.to)),
+      ];
       this.cachedLegalTargets = targets;
       return {
         moved: false,
@@ -248,6 +330,15 @@ export class GameState {
       const allLegal = generateLegalMoves(this.asRulesState());
       const move = allLegal.find((m) => m.from === from && m.to === to);
 
+      if (move && move.promotion) {
+        return {
+          moved: false,
+          selectedSquare: from,
+          legalTargets: this.cachedLegalTargets.slice(),
+          promotion: { from, to },
+        };
+      }
+
       if (move) {
         this.applyMove(move);
         this.selectedSquare = null;
@@ -277,6 +368,14 @@ export class GameState {
     };
   }
 
+  /**
+   * Drop the current square selection, if any.
+   */
+  clearSelection() {
+    this.selectedSquare = null;
+    this.cachedLegalTargets = [];
+  }
+
   /**
    * Apply a fully-legal move to this state.
    * Responsible for all chess state transitions.
@@ -284,6 +383,32 @@ export class GameState {
    */
   applyMove(move) {
     if (this.isGameOver()) return;
+    this.selectedSquare = null;
+    this.cachedLegalTargets = [];
+
+    const undoEntry = {
+      move,
+      board: cloneBoard(this.board),
+      activeColor: this.activeColor,
+      castlingRights: {
+        white: { ...this.castlingRights.white },
+        black: { ...this.castlingRights.black },
+      },
+      enPassantTarget: this.enPassantTarget,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+      result: this.result ? { ...this.result } : null,
+      lastMove: this.lastMove,
+      lastMoveText: this.lastMoveText,
+      repetitionKey: null,
+    };
+
+    // SAN depends on the position before the move (disambiguation, check).
+    const san = moveToSAN(this.asRulesState(), move);
+    const moveNumberText =
+      this.activeColor === "white"
+        ? `${this.fullmoveNumber}.`
+        : `${this.fullmoveNumber}...`;
 
     const fromIndex = algebraicToIndex(move.from);
     const toIndex = algebraicToIndex(move.to);
@@ -363,18 +488,153 @@ export class GameState {
 
     // Record lastMove and history entry
     this.lastMove = { from: move.from, to: move.to };
-    const san = this.toSimpleSAN(move, movingPiece, isCapture);
     this.moveHistory.push(san);
-    this.lastMoveText = `${this.fullmoveNumber}. ${san}`;
+    this.lastMoveText = `${moveNumberText} ${san}`;
 
     // Repetition tracking
-    this.recordRepetitionKey();
+    undoEntry.repetitionKey = this.recordRepetitionKey();
+    this.undoStack.push(undoEntry);
+    this.redoStack = [];
 
     // Determine game result
     this.updateResult();
     this.updateStatusText();
   }
 
+  /**
+   * Whether there is a move to take back.
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is a taken-back move to replay.
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Take back the last move, restoring the position, result, last move,
+   * history and repetition counts exactly as they were before it.
+   * @returns {Move|null} the move taken back
+   */
+  undoMove() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    const count = this.repetitionMap.get(entry.repetitionKey) || 0;
+    if (count > 1) {
+      this.repetitionMap.set(entry.repetitionKey, count - 1);
+    } else {
+      this.repetitionMap.delete(entry.repetitionKey);
+    }
+
+    // Copy out of the entry: entries may be shared with clones.
+    this.board = cloneBoard(entry.board);
+    this.activeColor = entry.activeColor;
+    this.castlingRights = {
+      white: { ...entry.castlingRights.white },
+      black: { ...entry.castlingRights.black },
+    };
+    this.enPassantTarget = entry.enPassantTarget;
+    this.halfmoveClock = entry.halfmoveClock;
+    this.fullmoveNumber = entry.fullmoveNumber;
+    this.result = entry.result;
+    this.lastMove = entry.lastMove;
+    this.lastMoveText = entry.lastMoveText;
+    this.moveHistory.pop();
+
+    this.selectedSquare = null;
+    this.cachedLegalTargets = [];
+    this.redoStack.push(entry.move);
+    this.updateStatusText();
+    return entry.move;
+  }
+
+  /**
+   * Replay the most recently taken-back move.
+   * @returns {Move|null} the move replayed
+   */
+  redoMove() {
+    const move = this.redoStack.pop();
+    if (!move) return null;
+    const remaining = this.redoStack;
+    this.applyMove(move);
+    this.redoStack = remaining;
+    return move;
+  }
+
+  /**
+   * Game ply of the first history entry, counted from White's first move.
+   * Non-zero for games set up from a FEN (e.g. "Black to move, move 12").
+   * @returns {number}
+   */
+  getHistoryStartPly() {
+    const currentPly =
+      (this.fullmoveNumber - 1) * 2 + (this.activeColor === "black" ? 1 : 0);
+    return Math.max(0, currentPly - this.moveHistory.length);
+  }
+
+  /**
+   * Position after the first `ply` moves of the history, read from the undo
+   * stack. `ply` equal to the history length is the current position.
+   * @param {number} ply
+   * @returns {{board:Record<string,string|null>, activeColor:"white"|"black", lastMove:{from:string,to:string}|null}|null}
+   *   null when out of range or the history was not played through applyMove
+   */
+  getPositionAtPly(ply) {
+    if (!Number.isInteger(ply) || ply < 0 || ply > this.moveHistory.length) {
+      return null;
+    }
+    if (ply === this.moveHistory.length) {
+      return {
+        board: this.getBoardMap(),
+        activeColor: this.activeColor,
+        lastMove: this.lastMove ? { from: this.lastMove.from, to: this.lastMove.to } : null,
+      };
+    }
+    if (this.undoStack.length !== this.moveHistory.length) return null;
+
+    // undoStack[ply] holds the position before move ply + 1.
+    const entry = this.undoStack[ply];
+    return {
+      board: boardToMap(entry.board),
+      activeColor: entry.activeColor,
+      lastMove: entry.lastMove ? { from: entry.lastMove.from, to: entry.lastMove.to } : null,
+    };
+  }
+
+  /**
+   * Full search position after the first `ply` moves of the history: what
+   * AI.findBestMove needs, e.g. to analyse a browsed position.
+   * @param {number} ply - 0 = start position, history length = current
+   * @returns {{board:(string|null)[], activeColor:"white"|"black", castlingRights:Object, enPassantTarget:string|null, halfmoveClock:number, fullmoveNumber:number}|null}
+   *   a copy; null when out of range or the history was not played through applyMove
+   */
+  getStateAtPly(ply) {
+    if (!Number.isInteger(ply) || ply < 0 || ply > this.moveHistory.length) {
+      return null;
+    }
+    const source = ply === this.moveHistory.length ? this : this.undoStack[ply];
+    if (source !== this && this.undoStack.length !== this.moveHistory.length) return null;
+
+    return {
+      board: cloneBoard(source.board),
+      activeColor: source.activeColor,
+      castlingRights: {
+        white: { ...source.castlingRights.white },
+        black: { ...source.castlingRights.black },
+      },
+      enPassantTarget: source.enPassantTarget,
+      halfmoveClock: source.halfmoveClock,
+      fullmoveNumber: source.fullmoveNumber,
+    };
+  }
+
   /**
    * Internal: update castling rights based on move.
    */
@@ -487,24 +747,62 @@ export class GameState {
     this.result = { outcome: "ongoing" };
   }
 
+  /**
+   * Who plays `color`.
+   * @param {"white"|"black"} color
+   * @returns {"human"|"computer"}
+   */
+  getPlayerType(color) {
+    if (this.players) return this.players[color];
+    return color === this.playerColor ? "human" : "computer";
+  }
+
+  /**
+   * Whether exactly one side is human, so texts can say "you" and "computer".
+   * @returns {boolean}
+   */
+  isVsComputer() {
+    return this.getPlayerType("white") !== this.getPlayerType("black");
+  }
+
+  /**
+   * Short turn description for the UI, e.g. "Your move" or "Black's move".
+   * @returns {string} empty when the game is over
+   */
+  getTurnText() {
+    if (this.isGameOver() || !this.activeColor) return "";
+    if (this.isVsComputer()) {
+      return this.getPlayerType(this.activeColor) === "human" ? "Your move" : "Computer's move";
+    }
+    return this.activeColor === "white" ? "White's move" : "Black's move";
+  }
+
+  /**
+   * Internal: " You win." / " Computer wins." after a decisive result
+   * against the computer; empty otherwise.
+   * @returns {string}
+   */
+  winnerSuffix() {
+    if (!this.isVsComputer()) return "";
+    return this.getPlayerType(this.result.winner) === "human" ? " You win." : " Computer wins.";
+  }
+
   /**
    * Update human-readable statusText based on result and position.
    */
   updateStatusText() {
     if (!this.result || this.result.outcome === "ongoing") {
       const colorText = this.activeColor === "white" ? "White" : "Black";
-      const perspective =
-        this.activeColor === this.playerColor ? "Your move" : "Computer's move";
-      this.statusText = `${colorText} to move. ${perspective}.`;
+      this.statusText = this.isVsComputer()
+        ? `${colorText} to move. ${this.getTurnText()}.`
+        : `${colorText} to move.`;
       return;
     }
 
     switch (this.result.outcome) {
       case "checkmate": {
         const winner = this.result.winner === "white" ? "White" : "Black";
-        const youWin =
-          this.result.winner === this.playerColor ? "You win." : "Computer wins.";
-        this.statusText = `Checkmate. ${winner} wins. ${youWin}`;
+        this.statusText = `Checkmate. ${winner} wins.${this.winnerSuffix()}`;
         break;
       }
       case "stalemate":
@@ -513,6 +811,18 @@ export class GameState {
       case "draw":
         this.statusText = `Draw: ${this.result.reason || "by agreement"}.`;
         break;
+      case "timeout": {
+        const winner = this.result.winner === "white" ? "White" : "Black";
+        const loser = this.result.winner === "white" ? "Black" : "White";
+        this.statusText = `${loser} ran out of time. ${winner} wins.${this.winnerSuffix()}`;
+        break;
+      }
+      case "resignation": {
+        const winner = this.result.winner === "white" ? "White" : "Black";
+        const loser = this.result.winner === "white" ? "Black" : "White";
+        this.statusText = `${loser} resigned. ${winner} wins.${this.winnerSuffix()}`;
+        break;
+      }
       default:
         this.statusText = "";
         break;
@@ -520,30 +830,20 @@ export class GameState {
   }
 
   /**
-   * Build a compact key for repetition tracking based on:
-   * - piece placement
-   * - active color
-   * - castling rights
-   * - en passant file (if any)
+   * Count the current position for repetition tracking, keyed by its
+   * Zobrist hash (piece placement, active color, castling rights and
+   * en passant file).
    */
   recordRepetitionKey() {
     const key = this.buildRepetitionKey();
     const prev = this.repetitionMap.get(key) || 0;
     this.repetitionMap.set(key, prev + 1);
+    return key;
   }
 
   buildRepetitionKey() {
-    const boardPart = this.board.join(",");
-    const active = this.activeColor;
-    const cr = this.castlingRights;
-    const crPart = [
-      cr.white.kingSide ? "K" : "",
-      cr.white.queenSide ? "Q" : "",
-      cr.black.kingSide ? "k" : "",
-      cr.black.queenSide ? "q" : "",
-    ].join("");
-    const ep = this.enPassantTarget || "-";
-    return `${boardPart}|${active}|${crPart}|${ep}`;
+    const { hi, lo } = computeHash(this);
+    return hashToKey(hi, lo);
   }
 
   hasThreefoldRepetition() {
@@ -553,6 +853,81 @@ export class GameState {
     return false;
   }
 
+  /**
+   * End the game because `color` ran out of time.
+   * The opponent wins, unless it cannot possibly checkmate, in which
+   * case the game is drawn ("timeout vs insufficient material").
+   * @param {"white"|"black"} color - side whose flag fell
+   */
+  setFlagFall(color) {
+    if (this.isGameOver()) return;
+    const opponent = oppositeColor(color);
+
+    if (!this.hasMatingMaterial(opponent)) {
+      this.result = {
+        outcome: "draw",
+        winner: null,
+        reason: "Timeout vs insufficient material",
+      };
+    } else {
+      this.result = {
+        outcome: "timeout",
+        winner: opponent,
+        reason: "Time forfeit",
+      };
+    }
+    this.selectedSquare = null;
+    this.cachedLegalTargets = [];
+    this.updateStatusText();
+  }
+
+  /**
+   * End the game with a result recorded elsewhere (the movetext result of an
+   * imported PGN) when the final position does not end it by itself: a
+   * decisive result is a resignation, or a time forfeit when the PGN
+   * Termination tag says so, and a draw is agreed.
+   * @param {"1-0"|"0-1"|"1/2-1/2"|"*"} token
+   * @param {string} [termination] - PGN Termination tag, e.g. "time forfeit"
+   */
+  setRecordedResult(token, termination = "") {
+    if (this.isGameOver() || token === "*") return;
+
+    if (token === "1/2-1/2") {
+      this.result = { outcome: "draw", winner: null, reason: "Agreement" };
+    } else {
+      const winner = token === "1-0" ? "white" : "black";
+      this.result = /time/i.test(termination)
+        ? { outcome: "timeout", winner, reason: "Time forfeit" }
+        : { outcome: "resignation", winner, reason: "Resignation" };
+    }
+    this.selectedSquare = null;
+    this.cachedLegalTargets = [];
+    this.updateStatusText();
+  }
+
+  /**
+   * Whether `color` has enough material to deliver mate by some sequence
+   * of legal moves. A lone king never can; a king with a single minor
+   * piece cannot against a bare king.
+   * @param {"white"|"black"} color
+   * @returns {boolean}
+   */
+  hasMatingMaterial(color) {
+    const own = [];
+    let opponentHasPieces = false;
+    for (const p of this.board) {
+      if (!p || p[1] === "K") continue;
+      if (getColorOf(p) === color) own.push(p);
+      else opponentHasPieces = true;
+    }
+
+    if (own.length === 0) return false;
+    if (own.length === 1 && (own[0][1] === "B" || own[0][1] === "N")) {
+      return opponentHasPieces;
+    }
+    return true;
+  }
+
   /**
    * Basic insufficient material detection:
    * - King vs King
@@ -619,50 +994,7 @@ export class GameState {
   }
 
   /**
-   * Simplified SAN-like notation for history display.
-   * This is intentionally minimal, not full algebraic spec.
-   */
-  toSimpleSAN(move, movingPiece, isCapture) {
-    const pieceType = movingPiece[1];
-    const from = move.from;
-    const to = move.to;
-    let san = "";
-
-    if (move.isCastleKingSide) {
-      san = "O-O";
-    } else if (move.isCastleQueenSide) {
-      san = "O-O-O";
-    } else {
-      if (pieceType !== "P") {
-        san += pieceType;
-      } else if (isCapture) {
-        san += from[0]; // pawn capture file
-      }
-      if (isCapture) san += "x";
-      san += to;
-
-      if (move.promotion) {
-        san += `=${move.promotion}`;
-      }
-    }
-
-    // Append check or mate markers
-    const tmp = this.clone();
-    tmp.applyMoveInternalForSAN(move);
-    const rulesState = tmp.asRulesState();
-    const { hasLegalMoves, isCheck } = analyzePosition(rulesState);
-
-    if (isCheck && !hasLegalMoves) {
-      san += "#";
-    } else if (isCheck) {
-      san += "+";
-    }
-
-    return san;
-  }
-
-  /**
-   * Internal clone for SAN evaluation.
+   * Deep copy of this state.
    */
   clone() {
     const g = new GameState();
@@ -677,53 +1009,11 @@ export class GameState {
     g.result = this.result ? { ...this.result } : null;
     g.lastMove = this.lastMove ? { ...this.lastMove } : null;
     g.lastMoveText = this.lastMoveText || null;
+    g.initialFEN = this.initialFEN;
+    g.players = this.players ? { ...this.players } : null;
     g.repetitionMap = new Map(this.repetitionMap);
+    g.undoStack = this.undoStack.slice();
+    g.redoStack = this.redoStack.slice();
     return g;
   }
-
-  /**
-   * Lightweight application of move for SAN computation, no history or repetition.
-   * Mirrors applyMove but omits status bookkeeping.
-   * @param {Move} move
-   */
-  applyMoveInternalForSAN(move) {
-    const fromIndex = algebraicToIndex(move.from);
-    const toIndex = algebraicToIndex(move.to);
-    const movingPiece = this.board[fromIndex];
-    const color = getColorOf(movingPiece);
-
-    this.board[fromIndex] = null;
-
-    if (move.isEnPassant) {
-      const dir = color === "white" ? -1 : 1;
-      const { file, rank } = this.indexFR(toIndex);
-      const capIndex = (rank + dir) * 8 + file;
-      this.board[capIndex] = null;
-    }
-
-    if (move.isCastleKingSide || move.isCastleQueenSide) {
-      const rank = color === "white" ? 0 : 7;
-      if (move.isCastleKingSide) {
-        const rookFrom = rank * 8 + 7;
-        const rookTo = rank * 8 + 5;
-        this.board[rookTo] = this.board[rookFrom];
-        this.board[rookFrom] = null;
-      } else {
-        const rookFrom = rank * 8 + 0;
-        const rookTo = rank * 8 + 3;
-        this.board[rookTo] = this.board[rookFrom];
-        this.board[rookFrom] = null;
-      }
-    }
-
-    if (move.promotion) {
-      const prefix = color === "white" ? "w" : "b";
-      this.board[toIndex] = `${prefix}${move.promotion}`;
-    } else {
-      this.board[toIndex] = movingPiece;
-    }
-
-    this.activeColor = oppositeColor(color);
-  }
 }
-
@@ -0,0 +1,98 @@
+/**
+ * Hint.js
+ *
+ * Short plain-language explanation of a suggested move, e.g.
+ * "Captures a knight and gives check" or "Attacks the queen on d8".
+ * Covers castling, captures, promotions, check/checkmate and attacks on
+ * more valuable pieces; returns null when none of these apply.
+ *
+ * This module is pure and contains no DOM logic.
+ */
+
+import { algebraicToIndex, getColorOf } from "./Board.js";
+import { generateLegalMoves, generatePseudoLegalMoves, isInCheck, makeMove } from "./Rules.js";
+
+const PIECE_NAMES = {
+  P: "pawn",
+  N: "knight",
+  B: "bishop",
+  R: "rook",
+  Q: "queen",
+  K: "king",
+};
+
+/** Piece values for deciding whether an attack is a threat. */
+const PIECE_VALUES = {
+  P: 1,
+  N: 3,
+  B: 3,
+  R: 5,
+  Q: 9,
+  K: 0,
+};
+
+/**
+ * Explain what a legal move does.
+ * @param {Object} state - rules state before the move; left unchanged
+ * @param {import("./Move.js").Move} move
+ * @returns {string|null}
+ */
+export function explainMove(state, move) {
+  const parts = [];
+  const pieceType = move.piece[1];
+
+  if (move.isCastleKingSide) parts.push("castles kingside");
+  if (move.isCastleQueenSide) parts.push("castles queenside");
+  if (move.captured) {
+    parts.push(`captures a ${PIECE_NAMES[move.captured[1]]}${move.isEnPassant ? " en passant" : ""}`);
+  }
+  if (move.promotion) parts.push(`promotes to a ${PIECE_NAMES[move.promotion]}`);
+
+  const after = {
+    board: state.board.slice(),
+    activeColor: state.activeColor,
+    castlingRights: {
+      white: { ...state.castlingRights.white },
+      black: { ...state.castlingRights.black },
+    },
+    enPassantTarget: state.enPassantTarget,
+  };
+  makeMove(after, move);
+
+  if (isInCheck(after)) {
+    parts.push(generateLegalMoves(after).length === 0 ? "delivers checkmate" : "gives check");
+  } else {
+    const target = strongestTarget(after, move.to, move.promotion || pieceType);
+    if (target) parts.push(`attacks the ${PIECE_NAMES[target.piece[1]]} on ${target.square}`);
+  }
+
+  if (parts.length === 0) return null;
+  const text = parts.length === 1
+    ? parts[0]
+    : `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Most valuable enemy piece (not the king) that the piece on `square`
+ * attacks after the move, if it is worth more than the attacker.
+ * @param {Object} after - position after the move (opponent to move)
+ * @param {string} square - where the moved piece stands
+ * @param {string} attackerType - "P", "N", ...
+ * @returns {{piece:string, square:string}|null}
+ */
+function strongestTarget(after, square, attackerType) {
+  const mover = getColorOf(after.board[algebraicToIndex(square)]);
+  const attacks = generatePseudoLegalMoves({ ...after, activeColor: mover, enPassantTarget: null })
+    .filter((m) => m.from === square && m.captured && m.captured[1] !== "K");
+
+  let best = null;
+  for (const attack of attacks) {
+    const value = PIECE_VALUES[attack.captured[1]];
+    if (value <= PIECE_VALUES[attackerType]) continue;
+    if (!best || value > PIECE_VALUES[best.piece[1]]) {
+      best = { piece: attack.captured, square: attack.to };
+    }
+  }
+  return best;
+}
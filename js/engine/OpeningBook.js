@@ -0,0 +1,196 @@
+/**
+ * OpeningBook.js
+ *
+ * Opening books for the AI:
+ * - A small built-in book of named main lines, keyed by Polyglot position
+ *   keys so that transpositions find the same moves.
+ * - Polyglot .bin books (see Polyglot.js).
+ * - pickBookMove chooses among the book moves of a position at random,
+ *   weighted by frequency, while the game is within the level's book depth.
+ *
+ * Both kinds of book offer getMoves(state) returning BookMove objects.
+ * This module is pure and contains no DOM logic.
+ */
+
+import { parseFEN, STARTING_FEN } from "./Fen.js";
+import { generateLegalMoves, makeMove } from "./Rules.js";
+import { parseSAN } from "./San.js";
+import { PolyglotBook, polyglotKey } from "./Polyglot.js";
+
+/**
+ * Plies from the start of the game during which each level plays from the
+ * book; weaker levels leave it sooner.
+ */
+const BOOK_PLIES_FOR_LEVEL = {
+  1: 2,
+  2: 4,
+  3: 8,
+  4: 12,
+  5: 20,
+};
+
+/**
+ * Lines of the built-in book. Every line adds a weight of 1 to each of its
+ * moves, so moves shared by several lines are played more often.
+ * A move is named after its line, or after the opening ("Sicilian
+ * Defence") when all lines through it belong to the same one.
+ */
+const BUILTIN_LINES = [
+  ["Ruy Lopez, Closed", "e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6"],
+  ["Ruy Lopez, Berlin Defence", "e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6"],
+  ["Italian Game, Giuoco Piano", "e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d3 d6 O-O O-O"],
+  ["Italian Game, Two Knights Defence", "e4 e5 Nf3 Nc6 Bc4 Nf6 d3 Be7 O-O O-O"],
+  ["Scotch Game", "e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6 Nxc6 bxc6 e5 Qe7"],
+  ["Four Knights Game", "e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O"],
+  ["Petrov's Defence", "e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3"],
+  ["Vienna Game", "e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4"],
+  ["Sicilian Defence, Najdorf Variation", "e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be2 e5"],
+  ["Sicilian Defence, Dragon Variation", "e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7"],
+  ["Sicilian Defence, Classical Variation", "e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6"],
+  ["Sicilian Defence, Taimanov Variation", "e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7 Be2 a6"],
+  ["Sicilian Defence, Alapin Variation", "e4 c5 c3 Nf6 e5 Nd5 d4 cxd4 Nf3 Nc6"],
+  ["French Defence, Winawer Variation", "e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7"],
+  ["French Defence, Advance Variation", "e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3 Qb6 a3 c4"],
+  ["Caro-Kann Defence, Classical Variation", "e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4 h6"],
+  ["Caro-Kann Defence, Advance Variation", "e4 c6 d4 d5 e5 Bf5 Nf3 e6 Be2 c5"],
+  ["Scandinavian Defence", "e4 d5 exd5 Qxd5 Nc3 Qa5 d4 Nf6 Nf3 c6"],
+  ["Pirc Defence", "e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7 Be2 O-O"],
+  ["Queen's Gambit Declined", "d4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6"],
+  ["Queen's Gambit Declined, Exchange Variation", "d4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5 c6 e3 Be7"],
+  ["Queen's Gambit Accepted", "d4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6"],
+  ["Slav Defence", "d4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3 e6"],
+  ["London System", "d4 d5 Nf3 Nf6 Bf4 e6 e3 c5 c3 Nc6"],
+  ["King's Indian Defence", "d4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5"],
+  ["Grünfeld Defence", "d4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7"],
+  ["Nimzo-Indian Defence", "d4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Bd3 d5 Nf3 c5"],
+  ["Queen's Indian Defence", "d4 Nf6 c4 e6 Nf3 b6 g3 Ba6 b3 Bb4+ Bd2 Be7"],
+  ["Catalan Opening", "d4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O dxc4"],
+  ["Dutch Defence", "d4 f5 g3 Nf6 Bg2 e6 Nf3 Be7 O-O O-O"],
+  ["English Opening, Reversed Sicilian", "c4 e5 Nc3 Nf6 Nf3 Nc6 g3 d5 cxd5 Nxd5"],
+  ["English Opening, Symmetrical Variation", "c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 e6"],
+  ["Réti Opening", "Nf3 d5 c4 e6 g3 Nf6 Bg2 Be7 O-O O-O"],
+  ["King's Indian Attack", "Nf3 Nf6 g3 g6 Bg2 Bg7 O-O O-O d3 d6"],
+];
+
+/**
+ * Internal: move key within a position.
+ * @param {{from:string, to:string, promotion?:string}} move
+ * @returns {string}
+ */
+function moveKey(move) {
+  return `${move.from}${move.to}${move.promotion || ""}`;
+}
+
+/**
+ * Internal: Polyglot key as a Map key.
+ * @param {Object} state
+ * @returns {string}
+ */
+function positionKey(state) {
+  const { hi, lo } = polyglotKey(state);
+  return `${hi.toString(16).padStart(8, "0")}${lo.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * The built-in book. Positions are indexed on first use.
+ */
+class BuiltinBook {
+  constructor() {
+    /** @type {Map<string, Map<string, {weight:number, names:string[]}>>|null} */
+    this.positions = null;
+  }
+
+  /**
+   * @param {Object} state - rules state
+   * @returns {import("./Polyglot.js").BookMove[]}
+   */
+  getMoves(state) {
+    if (!this.positions) this.positions = indexLines(BUILTIN_LINES);
+    const entries = this.positions.get(positionKey(state));
+    if (!entries) return [];
+
+    const moves = [];
+    for (const move of generateLegalMoves(state)) {
+      const entry = entries.get(moveKey(move));
+      if (entry) moves.push({ move, weight: entry.weight, name: commonName(entry.names) });
+    }
+    return moves;
+  }
+}
+
+/**
+ * Replay the book lines from the starting position.
+ * @param {[string, string][]} lines - [name, SAN moves]
+ * @returns {Map<string, Map<string, {weight:number, names:string[]}>>}
+ */
+function indexLines(lines) {
+  const positions = new Map();
+  for (const [name, sans] of lines) {
+    const state = parseFEN(STARTING_FEN);
+    for (const san of sans.split(" ")) {
+      const move = parseSAN(state, san);
+      const key = positionKey(state);
+      if (!positions.has(key)) positions.set(key, new Map());
+      const entries = positions.get(key);
+      const entry = entries.get(moveKey(move)) || { weight: 0, names: [] };
+      entry.weight += 1;
+      entry.names.push(name);
+      entries.set(moveKey(move), entry);
+      makeMove(state, move);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Name shared by all lines through a move: the full name, the opening
+ * ("Sicilian Defence" for its variations), or null.
+ * @param {string[]} names
+ * @returns {string|null}
+ */
+function commonName(names) {
+  if (names.every((name) => name === names[0])) return names[0];
+  const opening = names[0].split(",")[0];
+  return names.every((name) => name.split(",")[0] === opening) ? opening : null;
+}
+
+const builtinBook = new BuiltinBook();
+
+/**
+ * Create a book from a setting: "builtin" for the built-in book, the
+ * contents of a Polyglot .bin file, or null for no book.
+ * Throws when the data is not a Polyglot book.
+ * @param {"builtin"|ArrayBuffer|ArrayBufferView|null} source
+ * @returns {{getMoves(state: Object): import("./Polyglot.js").BookMove[]}|null}
+ */
+export function createOpeningBook(source) {
+  if (!source) return null;
+  if (source === "builtin") return builtinBook;
+  return new PolyglotBook(source);
+}
+
+/**
+ * Choose a book move for the side to move, at random weighted by the book
+ * weights. Returns null once the game is past the level's book depth or
+ * the position is not in the book.
+ * @param {{getMoves(state: Object): import("./Polyglot.js").BookMove[]}} book
+ * @param {Object} state - rules state with fullmoveNumber
+ * @param {number} level - 1..5
+ * @param {() => number} [random] - 0 <= x < 1
+ * @returns {import("./Polyglot.js").BookMove|null}
+ */
+export function pickBookMove(book, state, level, random = Math.random) {
+  const ply = (state.fullmoveNumber - 1) * 2 + (state.activeColor === "black" ? 1 : 0);
+  if (ply >= (BOOK_PLIES_FOR_LEVEL[level] || 0)) return null;
+
+  const moves = book.getMoves(state).filter((entry) => entry.weight > 0);
+  const total = moves.reduce((sum, entry) => sum + entry.weight, 0);
+  if (total === 0) return null;
+
+  let roll = random() * total;
+  for (const entry of moves) {
+    roll -= entry.weight;
+    if (roll < 0) return entry;
+  }
+  return moves[moves.length - 1];
+}
@@ -0,0 +1,463 @@
+/**
+ * Pgn.js
+ *
+ * Portable Game Notation (PGN) support.
+ * - writePGN: produce an export-format game record (Seven Tag Roster first,
+ *   then SetUp/FEN for non-standard starts, then any extra tags), with
+ *   optional move comments and movetext wrapped at 80 columns.
+ * - parsePGN: read one or more games (tags, movetext, comments, NAGs and
+ *   recursive variations) from import-format text.
+ * - replayPGNGame: replay a parsed main line through the legal move
+ *   generator to obtain a real GameState.
+ *
+ * This module is pure and contains no DOM logic.
+ */
+
+import { GameState } from "./GameState.js";
+import { generateLegalMoves } from "./Rules.js";
+import { parseSAN } from "./San.js";
+
+/**
+ * @typedef {Object} PgnGame
+ * @property {Record<string,string>} tags
+ * @property {string[]} moves - SAN moves in order
+ * @property {string|null} [initialFEN] - FEN of a non-standard start position
+ * @property {Record<number,string>} [comments] - comment written after moves[index]
+ * @property {string} result - "1-0" | "0-1" | "1/2-1/2" | "*"
+ */
+
+/**
+ * @typedef {Object} PgnMoveNode
+ * @property {string} san - SAN token as written
+ * @property {number[]} nags - numeric annotation glyphs ("!" is stored as 1, etc.)
+ * @property {string[]} comments - comments following the move
+ * @property {PgnMoveNode[][]} variations - alternatives to this move
+ */
+
+/**
+ * @typedef {Object} ParsedPgnGame
+ * @property {Record<string,string>} tags
+ * @property {PgnMoveNode[]} moves - main line
+ * @property {string[]} comments - comments before the first move
+ * @property {string} result - "1-0" | "0-1" | "1/2-1/2" | "*"
+ */
+
+/** Tags that must appear first, in this order. */
+export const SEVEN_TAG_ROSTER = [
+  "Event",
+  "Site",
+  "Date",
+  "Round",
+  "White",
+  "Black",
+  "Result",
+];
+
+const MAX_LINE_LENGTH = 80;
+
+const RESULT_TOKENS = ["1-0", "0-1", "1/2-1/2", "*"];
+
+/** Suffix annotations and their equivalent NAGs. */
+const SUFFIX_NAGS = {
+  "!": 1,
+  "?": 2,
+  "!!": 3,
+  "??": 4,
+  "!?": 5,
+  "?!": 6,
+};
+
+/**
+ * Convert a GameState result object to a PGN result token.
+ * @param {{outcome:string,winner?:string|null}|null} result
+ * @returns {"1-0"|"0-1"|"1/2-1/2"|"*"}
+ */
+export function resultToPGN(result) {
+  if (!result || result.outcome === "ongoing") return "*";
+  if (result.winner === "white") return "1-0";
+  if (result.winner === "black") return "0-1";
+  return "1/2-1/2";
+}
+
+/**
+ * Format a Date as a PGN date tag value ("YYYY.MM.DD").
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatPGNDate(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return "????.??.??";
+  }
+  const y = String(date.getFullYear()).padStart(4, "0");
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}.${m}.${d}`;
+}
+
+/**
+ * Write a single game as PGN text.
+ *
+ * @param {PgnGame} game
+ * @returns {string}
+ */
+export function writePGN({ tags = {}, moves = [], initialFEN = null, comments = {}, result = "*" }) {
+  const allTags = {
+    Event: "?",
+    Site: "?",
+    Date: "????.??.??",
+    Round: "-",
+    White: "?",
+    Black: "?",
+    ...tags,
+    Result: result,
+  };
+
+  if (initialFEN) {
+    allTags.SetUp = "1";
+    allTags.FEN = initialFEN;
+  }
+
+  const lines = [];
+  for (const name of SEVEN_TAG_ROSTER) {
+    lines.push(formatTag(name, allTags[name]));
+  }
+  for (const [name, value] of Object.entries(allTags)) {
+    if (SEVEN_TAG_ROSTER.includes(name)) continue;
+    if (value == null || value === "") continue;
+    lines.push(formatTag(name, value));
+  }
+
+  lines.push("");
+  lines.push(...wrapMovetext(buildMovetextTokens(moves, initialFEN, comments, result)));
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+/**
+ * Parse PGN text containing one or more games.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.keepVariations=true] - keep recursive annotation
+ *   variations on the move nodes; when false they are skipped.
+ * @returns {ParsedPgnGame[]}
+ */
+export function parsePGN(text, { keepVariations = true } = {}) {
+  const tokens = tokenizePGN(String(text || ""));
+  const games = [];
+  let game = null;
+  // Stack of lines being filled; index 0 is the main line.
+  let lines = [];
+
+  const startGame = () => {
+    game = { tags: {}, moves: [], comments: [], result: "*" };
+    lines = [game.moves];
+    games.push(game);
+  };
+  const finishGame = () => {
+    game = null;
+    lines = [];
+  };
+
+  for (const token of tokens) {
+    if (token.type === "tag") {
+      if (!game || game.moves.length > 0 || lines.length > 1) {
+        startGame();
+      }
+      game.tags[token.name] = token.value;
+      continue;
+    }
+
+    if (!game) startGame();
+    const line = lines[lines.length - 1];
+    const lastNode = line[line.length - 1] || null;
+
+    switch (token.type) {
+      case "comment":
+        if (lastNode) {
+          lastNode.comments.push(token.value);
+        } else if (lines.length === 1) {
+          game.comments.push(token.value);
+        }
+        break;
+      case "nag":
+        if (lastNode) lastNode.nags.push(token.value);
+        break;
+      case "open": {
+        if (!lastNode) {
+          throw new Error("PGN: variation opened before any move");
+        }
+        const variation = [];
+        lastNode.variations.push(variation);
+        lines.push(variation);
+        break;
+      }
+      case "close":
+        if (lines.length === 1) {
+          throw new Error('PGN: unmatched ")" in movetext');
+        }
+        lines.pop();
+        break;
+      case "result":
+        if (lines.length > 1) {
+          throw new Error("PGN: game result inside a variation");
+        }
+        game.result = token.value;
+        finishGame();
+        break;
+      case "move":
+        line.push({
+          san: token.value,
+          nags: token.nags,
+          comments: [],
+          variations: [],
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (lines.length > 1) {
+    throw new Error('PGN: unterminated variation (missing ")")');
+  }
+
+  if (!keepVariations) {
+    for (const g of games) stripVariations(g.moves);
+  }
+
+  // Prefer the Result tag when the movetext omits a termination marker.
+  for (const g of games) {
+    if (g.result === "*" && RESULT_TOKENS.includes(g.tags.Result)) {
+      g.result = g.tags.Result;
+    }
+  }
+
+  return games.filter((g) => g.moves.length > 0 || Object.keys(g.tags).length > 0);
+}
+
+/**
+ * Replay the main line of a parsed game into a GameState.
+ * Each SAN token is resolved against the legal moves of the position,
+ * so castling rights, en passant and repetition history are exact.
+ * The movetext result ends the game when the final position does not.
+ *
+ * @param {ParsedPgnGame} parsed
+ * @param {"white"|"black"} [playerColor]
+ * @returns {GameState}
+ */
+export function replayPGNGame(parsed, playerColor = "white") {
+  const fen = parsed.tags.SetUp === "1" || parsed.tags.FEN ? parsed.tags.FEN : null;
+  const state = fen
+    ? GameState.fromFEN(fen, playerColor)
+    : GameState.createStarting(playerColor);
+
+  parsed.moves.forEach((node, i) => {
+    const ply = i + 1;
+    if (state.isGameOver()) {
+      throw new Error(
+        `PGN: move at ply ${ply} ("${node.san}") played after the game ended (${state.result.reason})`
+      );
+    }
+    let move;
+    try {
+      const rulesState = state.asRulesState();
+      move = parseSAN(rulesState, node.san, generateLegalMoves(rulesState));
+    } catch (error) {
+      throw new Error(`PGN: ply ${ply} ("${node.san}"): ${error.message}`);
+    }
+    state.applyMove(move);
+  });
+  // A game ended by agreement, resignation or on time is over although
+  // its final position is not.
+  state.setRecordedResult(parsed.result, parsed.tags.Termination);
+
+  return state;
+}
+
+/* ===== Helpers ===== */
+
+/**
+ * Split import-format PGN into tokens.
+ * Move numbers are dropped; suffix annotations ("!?") become NAGs.
+ */
+function tokenizePGN(text) {
+  const tokens = [];
+  let i = 0;
+  const n = text.length;
+
+  while (i < n) {
+    const ch = text[i];
+
+    // Escape mechanism: lines starting with "%" are ignored.
+    if (ch === "%" && (i === 0 || text[i - 1] === "\n")) {
+      while (i < n && text[i] !== "\n") i += 1;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === "[") {
+      const end = findTagEnd(text, i);
+      const match = /^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/.exec(
+        text.slice(i, end + 1)
+      );
+      if (!match) {
+        throw new Error(`PGN: malformed tag pair "${text.slice(i, end + 1)}"`);
+      }
+      tokens.push({
+        type: "tag",
+        name: match[1],
+        value: match[2].replace(/\\(["\\])/g, "$1"),
+      });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === "{") {
+      const end = text.indexOf("}", i);
+      if (end < 0) throw new Error("PGN: unterminated comment");
+      tokens.push({ type: "comment", value: text.slice(i + 1, end).trim() });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === ";") {
+      let end = text.indexOf("\n", i);
+      if (end < 0) end = n;
+      tokens.push({ type: "comment", value: text.slice(i + 1, end).trim() });
+      i = end;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch === "(" ? "open" : "close" });
+      i += 1;
+      continue;
+    }
+
+    if (ch === "$") {
+      const match = /^\$(\d+)/.exec(text.slice(i));
+      if (!match) throw new Error(`PGN: malformed NAG at offset ${i}`);
+      tokens.push({ type: "nag", value: Number(match[1]) });
+      i += match[0].length;
+      continue;
+    }
+
+    // Symbol: move, move number, or result.
+    let end = i;
+    while (end < n && !/[\s{}()[\];$]/.test(text[end])) end += 1;
+    const word = text.slice(i, end);
+    i = end;
+    pushSymbolTokens(word, tokens);
+  }
+
+  return tokens;
+}
+
+function findTagEnd(text, start) {
+  let inString = false;
+  for (let i = start + 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i += 1;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "]") {
+      return i;
+    }
+  }
+  throw new Error("PGN: unterminated tag pair");
+}
+
+/**
+ * Classify a whitespace-delimited symbol.
+ * Handles forms like "12.", "12...", "12.e4" and "e4!?".
+ */
+function pushSymbolTokens(word, tokens) {
+  if (RESULT_TOKENS.includes(word)) {
+    tokens.push({ type: "result", value: word });
+    return;
+  }
+
+  if (/^\d+$/.test(word)) return; // move number without period
+  const rest = word.replace(/^\d+\.+/, "");
+  if (!rest) return; // bare move number
+  if (rest === "e.p.") return; // detached en passant marker ("exd6 e.p.")
+
+  const suffix = /([!?]{1,2})$/.exec(rest);
+  const san = suffix ? rest.slice(0, -suffix[1].length) : rest;
+  const nags = suffix && SUFFIX_NAGS[suffix[1]] ? [SUFFIX_NAGS[suffix[1]]] : [];
+  if (!san) return;
+  tokens.push({ type: "move", value: san, nags });
+}
+
+function stripVariations(moves) {
+  for (const node of moves) {
+    node.variations = [];
+  }
+}
+
+function formatTag(name, value) {
+  const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `[${name} "${escaped}"]`;
+}
+
+/**
+ * Build the movetext token list with move numbers, honoring
+ * the side to move and move number of a FEN start position.
+ * Comments are split into words so that long ones wrap too; a black move
+ * after a comment gets its number again ("1... e5").
+ */
+function buildMovetextTokens(moves, initialFEN, comments, result) {
+  let moveNumber = 1;
+  let whiteToMove = true;
+  if (initialFEN) {
+    const fields = initialFEN.split(/\s+/);
+    whiteToMove = fields[1] !== "b";
+    moveNumber = Number(fields[5]) || 1;
+  }
+
+  const tokens = [];
+  moves.forEach((san, i) => {
+    if (whiteToMove) {
+      tokens.push(`${moveNumber}.`);
+    } else if (i === 0 || comments[i - 1]) {
+      tokens.push(`${moveNumber}...`);
+    }
+    tokens.push(san);
+    if (comments[i]) {
+      // "}" would end the comment early.
+      const words = comments[i].replace(/}/g, ")").trim().split(/\s+/);
+      words[0] = `{${words[0]}`;
+      words[words.length - 1] += "}";
+      tokens.push(...words);
+    }
+    if (!whiteToMove) moveNumber += 1;
+    whiteToMove = !whiteToMove;
+  });
+  tokens.push(result);
+  return tokens;
+}
+
+function wrapMovetext(tokens) {
+  const lines = [];
+  let current = "";
+  for (const token of tokens) {
+    if (!current) {
+      current = token;
+    } else if (current.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(current);
+      current = token;
+    } else {
+      current += ` ${token}`;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
@@ -8,8 +8,12 @@
  * - En passant using enPassantTarget from state.
  * - Pawn promotions (to Q/R/B/N, defaulting to Q for engine).
  * - Check, checkmate, stalemate detection helpers.
+ * - In-place make/unmake of moves with an undo record (used for legality
+ *   filtering and by the AI search).
+ * - perft/divide node counts for verifying move generation.
  *
- * This module is pure w.r.t board + state arguments and contains no DOM logic.
+ * Apart from makeMove/unmakeMove (which restore what they change), this
+ * module is pure w.r.t board + state arguments and contains no DOM logic.
  */
 
 import {
@@ -25,11 +29,25 @@ import {
   createEnPassantMove,
   createCastleMove,
 } from "./Move.js";
+import { xorPiece, xorSide, xorCastling, xorEnPassant } from "./Zobrist.js";
 
 /**
  * @typedef {import("./Move.js").Move} Move
  */
 
+/**
+ * State restored by unmakeMove.
+ * @typedef {Object} UndoRecord
+ * @property {string} piece - piece that moved (before promotion)
+ * @property {string|null} captured - piece removed from the board, if any
+ * @property {number} capturedIndex - square it was removed from
+ * @property {number} castling - castling rights before the move (bits: K, Q, k, q)
+ * @property {string|null} enPassantTarget
+ * @property {number} halfmoveClock
+ * @property {number} hashHi
+ * @property {number} hashLo
+ */
+
 /**
  * Generate all pseudo-legal moves (not filtered for leaving king in check).
  * @param {Object} state
@@ -405,12 +423,13 @@ function generateCastlingMoves(
   if (kingIndex !== kingStartIndex) return;
 
   const enemy = oppositeColor(color);
+  const rook = color === "white" ? "wR" : "bR";
 
   // Ensure king is not currently in check
   if (squareAttackedBy(state, kingSq, enemy)) return;
 
-  // King-side
-  if (rights.kingSide) {
+  // King-side (the rook must still be on its corner, whatever the rights say)
+  if (rights.kingSide && board[rank * 8 + 7] === rook) {
     const fIndex = rank * 8 + 5;
     const gIndex = rank * 8 + 6;
     if (!board[fIndex] && !board[gIndex]) {
@@ -433,7 +452,7 @@ function generateCastlingMoves(
   }
 
   // Queen-side
-  if (rights.queenSide) {
+  if (rights.queenSide && board[rank * 8] === rook) {
     const dIndex = rank * 8 + 3;
     const cIndex = rank * 8 + 2;
     const bIndex = rank * 8 + 1;
@@ -574,68 +593,237 @@ function squareAttackedBy(state, targetSq, attackerColor) {
  * @param {Move} move
  */
 function leavesKingInCheck(state, move) {
-  const clone = {
-    board: state.board.slice(),
-    activeColor: state.activeColor,
-    castlingRights: JSON.parse(JSON.stringify(state.castlingRights)),
-    enPassantTarget: state.enPassantTarget,
-  };
+  const moverColor = state.activeColor;
+  const undo = makeMove(state, move);
+  const kingSq = findKingSquare(state.board, moverColor);
+  // A missing king should not happen in valid chess, but treat as illegal.
+  const illegal = !kingSq || squareAttackedBy(state, kingSq, state.activeColor);
+  unmakeMove(state, move, undo);
+  return illegal;
+}
+
+/* ===== Make / unmake ===== */
 
-  // Apply move minimally; GameState has full application logic,
-  // but for legality we only need piece placements + king location.
+/**
+ * Apply a pseudo-legal move to `state` in place.
+ *
+ * Updates board, activeColor, castlingRights (mutated in place),
+ * enPassantTarget and, when present on the state, halfmoveClock,
+ * fullmoveNumber and the Zobrist hash (hashHi / hashLo).
+ *
+ * @param {Object} state
+ * @param {Move} move
+ * @returns {UndoRecord} pass to unmakeMove to restore the position
+ */
+export function makeMove(state, move) {
+  const { board } = state;
   const fromIndex = algebraicToIndex(move.from);
   const toIndex = algebraicToIndex(move.to);
-
-  clone.board[fromIndex] = null;
+  const piece = board[fromIndex];
+  const mover = state.activeColor;
+  const hashed = typeof state.hashHi === "number";
+
+  const undo = {
+    piece,
+    captured: null,
+    capturedIndex: toIndex,
+    castling: castlingMask(state.castlingRights),
+    enPassantTarget: state.enPassantTarget,
+    halfmoveClock: state.halfmoveClock,
+    hashHi: state.hashHi,
+    hashLo: state.hashLo,
+  };
 
   if (move.isEnPassant) {
-    // Remove captured pawn behind target square
-    const dir = getColorOf(move.piece) === "white" ? -1 : 1;
-    const { file: tf, rank: tr } = indexToFR(toIndex);
-    const capIndex = (tr + dir) * 8 + tf;
-    clone.board[capIndex] = null;
+    undo.capturedIndex = toIndex + (mover === "white" ? -8 : 8);
   }
+  undo.captured = board[undo.capturedIndex] || null;
 
-  if (move.promotion) {
-    const color = getColorOf(move.piece) === "white" ? "w" : "b";
-    clone.board[toIndex] = `${color}${move.promotion}`;
-  } else {
-    clone.board[toIndex] = move.piece;
+  if (hashed) {
+    xorEnPassant(state, state.enPassantTarget);
+    xorPiece(state, piece, fromIndex);
+    if (undo.captured) xorPiece(state, undo.captured, undo.capturedIndex);
   }
 
-  // Castling: move rook for attack map correctness.
+  board[fromIndex] = null;
+  board[undo.capturedIndex] = null;
+
+  const placed = move.promotion ? `${piece[0]}${move.promotion}` : piece;
+  board[toIndex] = placed;
+  if (hashed) xorPiece(state, placed, toIndex);
+
+  // Castling: move the rook too.
   if (move.isCastleKingSide || move.isCastleQueenSide) {
-    const color = getColorOf(move.piece);
-    const rank = color === "white" ? 0 : 7;
-    if (move.isCastleKingSide) {
-      const rookFrom = rank * 8 + 7;
-      const rookTo = rank * 8 + 5;
-      clone.board[rookTo] = clone.board[rookFrom];
-      clone.board[rookFrom] = null;
-    } else {
-      const rookFrom = rank * 8 + 0;
-      const rookTo = rank * 8 + 3;
-      clone.board[rookTo] = clone.board[rookFrom];
-      clone.board[rookFrom] = null;
+    const rankBase = mover === "white" ? 0 : 56;
+    const rookFrom = rankBase + (move.isCastleKingSide ? 7 : 0);
+    const rookTo = rankBase + (move.isCastleKingSide ? 5 : 3);
+    const rook = board[rookFrom];
+    board[rookTo] = rook;
+    board[rookFrom] = null;
+    if (hashed && rook) {
+      xorPiece(state, rook, rookFrom);
+      xorPiece(state, rook, rookTo);
     }
   }
 
-  const moverColor = state.activeColor;
-  const enemy = oppositeColor(moverColor);
-  const kingSq = findKingSquare(clone.board, moverColor);
-  if (!kingSq) {
-    // Should not happen in valid chess, but treat as illegal.
-    return true;
+  // En passant target for a double pawn push.
+  state.enPassantTarget = null;
+  if (piece[1] === "P" && Math.abs(toIndex - fromIndex) === 16) {
+    state.enPassantTarget = indexToAlgebraic((fromIndex + toIndex) / 2);
+    if (hashed) xorEnPassant(state, state.enPassantTarget);
+  }
+
+  // Castling rights: king moves, or anything leaving / landing on a corner.
+  const cr = state.castlingRights;
+  if (piece === "wK") {
+    cr.white.kingSide = false;
+    cr.white.queenSide = false;
+  } else if (piece === "bK") {
+    cr.black.kingSide = false;
+    cr.black.queenSide = false;
+  }
+  if (fromIndex === 7 || toIndex === 7) cr.white.kingSide = false;
+  if (fromIndex === 0 || toIndex === 0) cr.white.queenSide = false;
+  if (fromIndex === 63 || toIndex === 63) cr.black.kingSide = false;
+  if (fromIndex === 56 || toIndex === 56) cr.black.queenSide = false;
+  // Keep rights consistent if rooks are missing (as GameState does).
+  if (board[7] !== "wR") cr.white.kingSide = false;
+  if (board[0] !== "wR") cr.white.queenSide = false;
+  if (board[63] !== "bR") cr.black.kingSide = false;
+  if (board[56] !== "bR") cr.black.queenSide = false;
+  if (hashed) {
+    const changed = undo.castling ^ castlingMask(cr);
+    for (let right = 0; right < 4; right += 1) {
+      if (changed & (1 << right)) xorCastling(state, right);
+    }
+  }
+
+  if (typeof state.halfmoveClock === "number") {
+    state.halfmoveClock =
+      piece[1] === "P" || undo.captured ? 0 : state.halfmoveClock + 1;
   }
-  return squareAttackedBy(
-    {
-      board: clone.board,
-      activeColor: enemy,
-      castlingRights: clone.castlingRights,
-      enPassantTarget: clone.enPassantTarget,
+  if (typeof state.fullmoveNumber === "number" && mover === "black") {
+    state.fullmoveNumber += 1;
+  }
+
+  state.activeColor = oppositeColor(mover);
+  if (hashed) xorSide(state);
+
+  return undo;
+}
+
+/**
+ * Take back a move applied with makeMove.
+ * @param {Object} state
+ * @param {Move} move
+ * @param {UndoRecord} undo
+ */
+export function unmakeMove(state, move, undo) {
+  const { board } = state;
+  const fromIndex = algebraicToIndex(move.from);
+  const toIndex = algebraicToIndex(move.to);
+  const mover = oppositeColor(state.activeColor);
+
+  if (move.isCastleKingSide || move.isCastleQueenSide) {
+    const rankBase = mover === "white" ? 0 : 56;
+    const rookFrom = rankBase + (move.isCastleKingSide ? 7 : 0);
+    const rookTo = rankBase + (move.isCastleKingSide ? 5 : 3);
+    board[rookFrom] = board[rookTo];
+    board[rookTo] = null;
+  }
+
+  board[toIndex] = null;
+  board[fromIndex] = undo.piece;
+  if (undo.captured) board[undo.capturedIndex] = undo.captured;
+
+  const cr = state.castlingRights;
+  cr.white.kingSide = !!(undo.castling & 1);
+  cr.white.queenSide = !!(undo.castling & 2);
+  cr.black.kingSide = !!(undo.castling & 4);
+  cr.black.queenSide = !!(undo.castling & 8);
+
+  state.enPassantTarget = undo.enPassantTarget;
+  if (typeof state.halfmoveClock === "number") {
+    state.halfmoveClock = undo.halfmoveClock;
+  }
+  if (typeof state.fullmoveNumber === "number" && mover === "black") {
+    state.fullmoveNumber -= 1;
+  }
+  state.activeColor = mover;
+  if (typeof state.hashHi === "number") {
+    state.hashHi = undo.hashHi;
+    state.hashLo = undo.hashLo;
+  }
+}
+
+/* ===== Perft ===== */
+
+/**
+ * Count leaf nodes of the legal move tree to `depth` plies.
+ * Compare against published perft results to verify move generation.
+ *
+ * @param {Object} state - rules state; left unchanged
+ * @param {number} depth
+ * @returns {number}
+ */
+export function perft(state, depth) {
+  return perftNodes(copyRulesState(state), depth);
+}
+
+/**
+ * Perft split by root move, keyed by coordinate notation ("e2e4", "e7e8q").
+ * Useful for locating a move generation bug against a reference engine.
+ *
+ * @param {Object} state - rules state; left unchanged
+ * @param {number} depth - at least 1
+ * @returns {Record<string, number>}
+ */
+export function divide(state, depth) {
+  const work = copyRulesState(state);
+  const counts = {};
+  for (const move of generateLegalMoves(work)) {
+    const undo = makeMove(work, move);
+    const key = `${move.from}${move.to}${move.promotion ? move.promotion.toLowerCase() : ""}`;
+    counts[key] = perftNodes(work, depth - 1);
+    unmakeMove(work, move, undo);
+  }
+  return counts;
+}
+
+function perftNodes(state, depth) {
+  if (depth <= 0) return 1;
+  const moves = generateLegalMoves(state);
+  if (depth === 1) return moves.length;
+
+  let nodes = 0;
+  for (const move of moves) {
+    const undo = makeMove(state, move);
+    nodes += perftNodes(state, depth - 1);
+    unmakeMove(state, move, undo);
+  }
+  return nodes;
+}
+
+function copyRulesState(state) {
+  return {
+    board: state.board.slice(),
+    activeColor: state.activeColor,
+    castlingRights: {
+      white: { ...state.castlingRights.white },
+      black: { ...state.castlingRights.black },
     },
-    kingSq,
-    enemy
-  );
+    enPassantTarget: state.enPassantTarget,
+  };
 }
 
+/**
+ * Castling rights as a 4-bit mask in Zobrist order (K, Q, k, q).
+ */
+function castlingMask(cr) {
+  return (
+    (cr.white.kingSide ? 1 : 0) |
+    (cr.white.queenSide ? 2 : 0) |
+    (cr.black.kingSide ? 4 : 0) |
+    (cr.black.queenSide ? 8 : 0)
+  );
+}
@@ -0,0 +1,230 @@
+/**
+ * San.js
+ *
+ * Standard Algebraic Notation (SAN) helpers, shared by the move history,
+ * PGN import/export and analysis output.
+ * - moveToSAN: spec-compliant SAN for a legal move, with file/rank
+ *   disambiguation, promotions and check/mate suffixes.
+ * - parseSAN: resolve a SAN token ("Nbd7", "exd6 e.p.", "O-O-O", "e8=Q+")
+ *   to the matching legal Move in a position.
+ * - lineToSAN: numbered SAN for a line of moves, e.g. an engine's principal
+ *   variation ("12... Nf6 13. d4 exd4").
+ *
+ * Parsing is deliberately lenient about decorations that other tools emit
+ * (check/mate markers, annotation glyphs, "e.p.", zeros for castling,
+ * promotion without "="), but strict about the move itself: a token that
+ * matches no legal move, or more than one, throws a descriptive Error.
+ */
+
+import { algebraicToIndex, oppositeColor } from "./Board.js";
+import { generateLegalMoves, isInCheck, makeMove } from "./Rules.js";
+
+/**
+ * @typedef {import("./Move.js").Move} Move
+ */
+
+const SAN_PATTERN = /^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQ]))?$/;
+
+/**
+ * Produce SAN for a legal move in the given position (before the move).
+ *
+ * @param {Object} state - rules state (board, activeColor, castlingRights, enPassantTarget)
+ * @param {Move} move
+ * @param {Move[]} [legalMoves] - precomputed legal moves for `state`
+ * @returns {string}
+ */
+export function moveToSAN(state, move, legalMoves = generateLegalMoves(state)) {
+  let san;
+
+  if (move.isCastleKingSide) {
+    san = "O-O";
+  } else if (move.isCastleQueenSide) {
+    san = "O-O-O";
+  } else {
+    const pieceType = move.piece[1];
+    const isCapture = !!(move.captured || move.isEnPassant);
+    san = "";
+
+    if (pieceType === "P") {
+      if (isCapture) san += move.from[0];
+    } else {
+      san += pieceType + disambiguation(move, legalMoves);
+    }
+    if (isCapture) san += "x";
+    san += move.to;
+    if (move.promotion) san += `=${move.promotion}`;
+  }
+
+  const next = positionAfter(state, move);
+  if (isInCheck(next)) {
+    san += generateLegalMoves(next).length === 0 ? "#" : "+";
+  }
+  return san;
+}
+
+/**
+ * Resolve a SAN token against the legal moves of a position.
+ *
+ * @param {Object} state - rules state (board, activeColor, castlingRights, enPassantTarget)
+ * @param {string} san
+ * @param {Move[]} [legalMoves] - precomputed legal moves for `state`
+ * @returns {Move}
+ */
+export function parseSAN(state, san, legalMoves = generateLegalMoves(state)) {
+  const token = normalizeSAN(san);
+
+  if (token === "O-O" || token === "O-O-O") {
+    const kingSide = token === "O-O";
+    const move = legalMoves.find((m) =>
+      kingSide ? m.isCastleKingSide : m.isCastleQueenSide
+    );
+    if (!move) {
+      throw new Error(`Illegal move "${san}": castling is not possible`);
+    }
+    return move;
+  }
+
+  const match = SAN_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`Invalid SAN "${san}"`);
+  }
+
+  const [, pieceLetter, fromFile, fromRank, , to, promotion] = match;
+  const pieceType = pieceLetter || "P";
+
+  const candidates = legalMoves.filter((m) => {
+    if (m.piece[1] !== pieceType || m.to !== to) return false;
+    if (fromFile && m.from[0] !== fromFile) return false;
+    if (fromRank && m.from[1] !== fromRank) return false;
+    if ((m.promotion || null) !== (promotion || null)) return false;
+    return true;
+  });
+
+  if (candidates.length === 0) {
+    const needsPromotion =
+      pieceType === "P" &&
+      !promotion &&
+      legalMoves.some((m) => m.promotion && m.to === to);
+    throw new Error(
+      needsPromotion
+        ? `Illegal move "${san}": promotion piece missing`
+        : `Illegal move "${san}"`
+    );
+  }
+  if (candidates.length > 1) {
+    throw new Error(
+      `Ambiguous move "${san}": could be ${candidates
+        .map((m) => `${m.from}-${m.to}`)
+        .join(", ")}`
+    );
+  }
+  return candidates[0];
+}
+
+/**
+ * Numbered SAN for consecutive moves from a position, e.g. "12... Nf6 13. d4".
+ * Stops at the first move that is not legal in its position, so a stale
+ * line (position changed meanwhile) is cut short instead of throwing.
+ *
+ * @param {Object} state - rules state; fullmoveNumber is used when present. Left unchanged.
+ * @param {Move[]} moves
+ * @returns {string}
+ */
+export function lineToSAN(state, moves) {
+  const work = {
+    board: state.board.slice(),
+    activeColor: state.activeColor,
+    castlingRights: {
+      white: { ...state.castlingRights.white },
+      black: { ...state.castlingRights.black },
+    },
+    enPassantTarget: state.enPassantTarget,
+  };
+  let moveNumber = state.fullmoveNumber || 1;
+  const tokens = [];
+
+  for (const line of moves) {
+    const legalMoves = generateLegalMoves(work);
+    const move = legalMoves.find(
+      (m) =>
+        m.from === line.from &&
+        m.to === line.to &&
+        (m.promotion || null) === (line.promotion || null)
+    );
+    if (!move) break;
+
+    if (work.activeColor === "white") {
+      tokens.push(`${moveNumber}.`);
+    } else if (tokens.length === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+    tokens.push(moveToSAN(work, move, legalMoves));
+
+    if (work.activeColor === "black") moveNumber += 1;
+    makeMove(work, move);
+  }
+  return tokens.join(" ");
+}
+
+/**
+ * Minimal origin qualifier for a piece move: none, file, rank, or both.
+ */
+function disambiguation(move, legalMoves) {
+  const rivals = legalMoves.filter(
+    (m) => m.piece === move.piece && m.to === move.to && m.from !== move.from
+  );
+  if (rivals.length === 0) return "";
+  if (!rivals.some((m) => m.from[0] === move.from[0])) return move.from[0];
+  if (!rivals.some((m) => m.from[1] === move.from[1])) return move.from[1];
+  return move.from;
+}
+
+/**
+ * Position after `move`, sufficient for check and mate detection.
+ * Castling rights are carried over unchanged: they cannot matter for a
+ * side that is in check.
+ */
+function positionAfter(state, move) {
+  const board = state.board.slice();
+  const from = algebraicToIndex(move.from);
+  const to = algebraicToIndex(move.to);
+  const color = move.piece[0];
+
+  board[from] = null;
+  if (move.isEnPassant) {
+    board[color === "w" ? to - 8 : to + 8] = null;
+  }
+  if (move.isCastleKingSide || move.isCastleQueenSide) {
+    const rankBase = color === "w" ? 0 : 56;
+    const [rookFrom, rookTo] = move.isCastleKingSide ? [7, 5] : [0, 3];
+    board[rankBase + rookTo] = board[rankBase + rookFrom];
+    board[rankBase + rookFrom] = null;
+  }
+  board[to] = move.promotion ? `${color}${move.promotion}` : move.piece;
+
+  let enPassantTarget = null;
+  if (move.piece[1] === "P" && Math.abs(to - from) === 16) {
+    enPassantTarget = `${move.from[0]}${color === "w" ? "3" : "6"}`;
+  }
+
+  return {
+    board,
+    activeColor: oppositeColor(state.activeColor),
+    castlingRights: state.castlingRights,
+    enPassantTarget,
+  };
+}
+
+/**
+ * Strip decorations that do not identify the move.
+ * @param {string} san
+ * @returns {string}
+ */
+function normalizeSAN(san) {
+  return String(san)
+    .trim()
+    .replace(/\s*e\.p\.$/, "")
+    .replace(/[+#!?]+$/, "")
+    .replace(/^0-0-0$/, "O-O-O")
+    .replace(/^0-0$/, "O-O");
+}
@@ -0,0 +1,128 @@
+/**
+ * TranspositionTable.js
+ *
+ * Fixed-size transposition table for the search, backed by typed arrays.
+ * - Indexed by the low bits of the Zobrist hash; the full 64-bit key is
+ *   stored to reject collisions.
+ * - Each entry stores depth, bound type, score and best move.
+ * - Replacement: an entry for the same position is always overwritten;
+ *   a different position is replaced only by a search of equal or greater
+ *   depth, or once it is from an older search (see newSearch()).
+ *
+ * Scores are stored from the searching side's point of view, as minimax
+ * returns them; the owner clears the table when that side or the search
+ * settings change (see AI.prepareTable()).
+ */
+
+import { algebraicToIndex } from "./Board.js";
+
+export const BOUND_EXACT = 1;
+export const BOUND_LOWER = 2; // score is at least the stored value (fail-high)
+export const BOUND_UPPER = 3; // score is at most the stored value (fail-low)
+
+const PROMOTION_CODES = ["", "N", "B", "R", "Q"];
+
+/**
+ * Pack a move into 15 bits: from (6), to (6), promotion (3).
+ * @param {import("./Move.js").Move} move
+ * @returns {number}
+ */
+export function encodeMove(move) {
+  const from = algebraicToIndex(move.from);
+  const to = algebraicToIndex(move.to);
+  const promo = move.promotion ? PROMOTION_CODES.indexOf(move.promotion) : 0;
+  return from | (to << 6) | (promo << 12);
+}
+
+export class TranspositionTable {
+  /**
+   * @param {number} [sizeBits=18] - table holds 2^sizeBits entries
+   */
+  constructor(sizeBits = 18) {
+    this.size = 1 << sizeBits;
+    this.mask = this.size - 1;
+
+    this.keyHi = new Uint32Array(this.size);
+    this.keyLo = new Uint32Array(this.size);
+    this.scores = new Int32Array(this.size);
+    this.moves = new Int32Array(this.size); // encoded move, -1 = none
+    this.depths = new Int8Array(this.size);
+    this.bounds = new Uint8Array(this.size); // 0 = empty slot
+    this.ages = new Uint8Array(this.size);
+
+    this.age = 0;
+  }
+
+  /**
+   * Forget all entries.
+   */
+  clear() {
+    this.bounds.fill(0);
+    this.age = 0;
+  }
+
+  /**
+   * Mark the start of a new search so that entries from earlier searches
+   * can be replaced regardless of depth.
+   */
+  newSearch() {
+    this.age = (this.age + 1) & 0xff;
+  }
+
+  /**
+   * Look up a position.
+   *
+   * @param {number} hi
+   * @param {number} lo
+   * @returns {{depth:number, bound:number, score:number, move:number}|null}
+   *   move is an encoded move (see encodeMove) or -1
+   */
+  probe(hi, lo) {
+    const i = lo & this.mask;
+    if (this.bounds[i] === 0 || this.keyHi[i] !== hi || this.keyLo[i] !== lo) {
+      return null;
+    }
+    return {
+      depth: this.depths[i],
+      bound: this.bounds[i],
+      score: this.scores[i],
+      move: this.moves[i],
+    };
+  }
+
+  /**
+   * Store a search result.
+   *
+   * @param {number} hi
+   * @param {number} lo
+   * @param {number} depth - remaining depth searched
+   * @param {number} bound - BOUND_EXACT, BOUND_LOWER or BOUND_UPPER
+   * @param {number} score - from the searching side's point of view
+   * @param {number} move - encoded best move, or -1
+   */
+  store(hi, lo, depth, bound, score, move) {
+    const i = lo & this.mask;
+    const samePosition = this.keyHi[i] === hi && this.keyLo[i] === lo;
+    if (
+      this.bounds[i] !== 0 &&
+      !samePosition &&
+      this.ages[i] === this.age &&
+      this.depths[i] > depth
+    ) {
+      return;
+    }
+
+    // Keep a known best move when the new result has none (fail-low).
+    if (move < 0 && samePosition && this.bounds[i] !== 0) {
+      move = this.moves[i];
+    }
+
+    this.keyHi[i] = hi;
+    this.keyLo[i] = lo;
+    this.depths[i] = depth;
+    this.bounds[i] = bound;
+    this.scores[i] = score;
+    this.moves[i] = move;
+    this.ages[i] = this.age;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Zobrist.js
+ *
+ * 64-bit Zobrist hashing, kept as two unsigned 32-bit halves (hi, lo)
+ * so it stays fast without BigInt.
+ * - Keys are generated once from a fixed seed, so hashes are stable across
+ *   sessions and between the main thread and the engine worker.
+ * - computeHash builds a hash from scratch; the xor* helpers let the search
+ *   update a hash incrementally as moves are made.
+ *
+ * A hash covers piece placement, side to move, castling rights and the
+ * en passant file.
+ */
+
+const PIECE_ORDER = ["wP", "wN", "wB", "wR", "wQ", "wK", "bP", "bN", "bB", "bR", "bQ", "bK"];
+
+/** @type {Record<string,number>} piece code -> 0..11 */
+const PIECE_INDEX = {};
+PIECE_ORDER.forEach((code, i) => {
+  PIECE_INDEX[code] = i;
+});
+
+// Key layout: 12 * 64 piece-square keys, then side, castling (4), en passant files (8).
+const SIDE_KEY = 12 * 64;
+const CASTLE_KEY = SIDE_KEY + 1; // K, Q, k, q
+const EP_KEY = CASTLE_KEY + 4;
+const KEY_COUNT = EP_KEY + 8;
+
+const KEYS_HI = new Uint32Array(KEY_COUNT);
+const KEYS_LO = new Uint32Array(KEY_COUNT);
+
+(function initKeys() {
+  // xorshift32 with a fixed seed: deterministic, well distributed enough.
+  let x = 0x9e3779b9;
+  const next = () => {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    return x >>> 0;
+  };
+  for (let i = 0; i < KEY_COUNT; i += 1) {
+    KEYS_HI[i] = next();
+    KEYS_LO[i] = next();
+  }
+})();
+
+/**
+ * Key slot for a piece on a square.
+ * @param {string} piece e.g. "wN"
+ * @param {number} index 0..63
+ * @returns {number}
+ */
+function pieceSlot(piece, index) {
+  return PIECE_INDEX[piece] * 64 + index;
+}
+
+/**
+ * Compute the full hash of a position.
+ *
+ * @param {Object} state
+ * @param {(string|null)[]} state.board
+ * @param {"white"|"black"} state.activeColor
+ * @param {{white:{kingSide:boolean,queenSide:boolean},black:{kingSide:boolean,queenSide:boolean}}} state.castlingRights
+ * @param {string|null} state.enPassantTarget
+ * @returns {{hi:number, lo:number}}
+ */
+export function computeHash(state) {
+  let hi = 0;
+  let lo = 0;
+
+  for (let i = 0; i < 64; i += 1) {
+    const piece = state.board[i];
+    if (!piece) continue;
+    const slot = pieceSlot(piece, i);
+    hi ^= KEYS_HI[slot];
+    lo ^= KEYS_LO[slot];
+  }
+
+  if (state.activeColor === "black") {
+    hi ^= KEYS_HI[SIDE_KEY];
+    lo ^= KEYS_LO[SIDE_KEY];
+  }
+
+  const castleSlot = CASTLE_KEY;
+  const cr = state.castlingRights;
+  [cr.white.kingSide, cr.white.queenSide, cr.black.kingSide, cr.black.queenSide].forEach(
+    (right, i) => {
+      if (!right) return;
+      hi ^= KEYS_HI[castleSlot + i];
+      lo ^= KEYS_LO[castleSlot + i];
+    }
+  );
+
+  if (state.enPassantTarget) {
+    const slot = EP_KEY + (state.enPassantTarget.charCodeAt(0) - 97);
+    hi ^= KEYS_HI[slot];
+    lo ^= KEYS_LO[slot];
+  }
+
+  return { hi: hi >>> 0, lo: lo >>> 0 };
+}
+
+/**
+ * Format a hash as a 16-digit hex string (usable as a Map key).
+ * @param {number} hi
+ * @param {number} lo
+ * @returns {string}
+ */
+export function hashToKey(hi, lo) {
+  return hi.toString(16).padStart(8, "0") + lo.toString(16).padStart(8, "0");
+}
+
+/* === Incremental update helpers (operate on state.hashHi / state.hashLo) === */
+
+/**
+ * Toggle a piece on a square.
+ * @param {{hashHi:number, hashLo:number}} state
+ * @param {string} piece
+ * @param {number} index 0..63
+ */
+export function xorPiece(state, piece, index) {
+  const slot = pieceSlot(piece, index);
+  state.hashHi = (state.hashHi ^ KEYS_HI[slot]) >>> 0;
+  state.hashLo = (state.hashLo ^ KEYS_LO[slot]) >>> 0;
+}
+
+/**
+ * Toggle the side-to-move key.
+ * @param {{hashHi:number, hashLo:number}} state
+ */
+export function xorSide(state) {
+  state.hashHi = (state.hashHi ^ KEYS_HI[SIDE_KEY]) >>> 0;
+  state.hashLo = (state.hashLo ^ KEYS_LO[SIDE_KEY]) >>> 0;
+}
+
+/**
+ * Toggle one castling right.
+ * @param {{hashHi:number, hashLo:number}} state
+ * @param {0|1|2|3} right - 0: white king side, 1: white queen side, 2: black king side, 3: black queen side
+ */
+export function xorCastling(state, right) {
+  state.hashHi = (state.hashHi ^ KEYS_HI[CASTLE_KEY + right]) >>> 0;
+  state.hashLo = (state.hashLo ^ KEYS_LO[CASTLE_KEY + right]) >>> 0;
+}
+
+/**
+ * Toggle the en passant key for a target square (no-op for null).
+ * @param {{hashHi:number, hashLo:number}} state
+ * @param {string|null} square
+ */
+export function xorEnPassant(state, square) {
+  if (!square) return;
+  const slot = EP_KEY + (square.charCodeAt(0) - 97);
+  state.hashHi = (state.hashHi ^ KEYS_HI[slot]) >>> 0;
+  state.hashLo = (state.hashLo ^ KEYS_LO[slot]) >>> 0;
+}
@@ -2,7 +2,18 @@ import { ThemeManager } from "./ui/ThemeManager.js";
 import { BoardView } from "./ui/BoardView.js";
 import { Controls } from "./ui/Controls.js";
 import { GameEndModal } from "./ui/GameEndModal.js";
+import { PgnImportDialog } from "./ui/PgnImportDialog.js";
+import { ClockView } from "./ui/ClockView.js";
+import { MoveHistoryView } from "./ui/MoveHistoryView.js";
+import { AnalysisView, formatEvaluation } from "./ui/AnalysisView.js";
+import { ReviewView, formatAccuracy } from "./ui/ReviewView.js";
 import { Game } from "./Game.js";
+import { Analysis } from "./Analysis.js";
+import { GameReview } from "./GameReview.js";
+import { parsePGN, replayPGNGame } from "./engine/Pgn.js";
+import { PolyglotBook } from "./engine/Polyglot.js";
+import { formatOpening } from "./engine/Eco.js";
+import { TIME_CONTROLS } from "./engine/Clock.js";
 
 /**
  * Main entry point for client-side chess application
@@ -13,14 +24,56 @@ import { Game } from "./Game.js";
 
 const dom = {
   boardContainer: document.getElementById("board-container"),
+  evalBar: document.getElementById("eval-bar"),
   themeSelect: document.getElementById("theme-select"),
+  modeSelect: document.getElementById("mode-select"),
+  autoFlipCheckbox: document.getElementById("auto-flip-checkbox"),
   colorChoice: document.getElementById("color-choice"),
   difficultySelect: document.getElementById("difficulty-select"),
+  whiteLevelSelect: document.getElementById("white-level-select"),
+  blackLevelSelect: document.getElementById("black-level-select"),
+  thinkingTimeInput: document.getElementById("thinking-time"),
+  timeControlSelect: document.getElementById("time-control-select"),
+  hintsCheckbox: document.getElementById("hints-checkbox"),
+  bookSelect: document.getElementById("book-select"),
+  bookLoadBtn: document.getElementById("book-load-btn"),
+  bookFileInput: document.getElementById("book-file-input"),
+  clockTop: document.getElementById("clock-top"),
+  clockBottom: document.getElementById("clock-bottom"),
   newGameBtn: document.getElementById("new-game-btn"),
   statusText: document.getElementById("status-text"),
   turnIndicator: document.getElementById("turn-indicator"),
   lastMoveIndicator: document.getElementById("last-move-indicator"),
+  openingIndicator: document.getElementById("opening-indicator"),
+  hintControls: document.getElementById("hint-controls"),
+  hintBtn: document.getElementById("hint-btn"),
+  hintText: document.getElementById("hint-text"),
+  watchControls: document.getElementById("watch-controls"),
+  watchToggleBtn: document.getElementById("watch-toggle-btn"),
+  watchStepBtn: document.getElementById("watch-step-btn"),
+  watchDelaySelect: document.getElementById("watch-delay-select"),
+  analysisToggle: document.getElementById("analysis-toggle"),
+  analysisLinesSelect: document.getElementById("analysis-lines-select"),
+  analysisBody: document.getElementById("analysis-body"),
+  analysisStatus: document.getElementById("analysis-status"),
+  analysisLines: document.getElementById("analysis-lines"),
+  reviewSection: document.getElementById("review-section"),
+  reviewStatus: document.getElementById("review-status"),
+  reviewCloseBtn: document.getElementById("review-close-btn"),
+  reviewSummary: document.getElementById("review-summary"),
+  reviewGraph: document.getElementById("review-graph"),
+  reviewMoves: document.getElementById("review-moves"),
+  reviewDetail: document.getElementById("review-detail"),
   moveHistory: document.getElementById("move-history"),
+  historyFirstBtn: document.getElementById("history-first-btn"),
+  historyPrevBtn: document.getElementById("history-prev-btn"),
+  historyNextBtn: document.getElementById("history-next-btn"),
+  historyLastBtn: document.getElementById("history-last-btn"),
+  undoBtn: document.getElementById("undo-btn"),
+  redoBtn: document.getElementById("redo-btn"),
+  exportPgnBtn: document.getElementById("export-pgn-btn"),
+  importPgnBtn: document.getElementById("import-pgn-btn"),
+  pgnImportContainer: document.getElementById("pgn-import-container"),
   gameEndModalContainer: document.getElementById("game-end-modal-container"),
 };
 
@@ -37,54 +90,182 @@ const boardView = new BoardView(dom.boardContainer, {
 
 // Initialize controls
 const controls = new Controls({
+  modeSelect: dom.modeSelect,
+  autoFlipCheckbox: dom.autoFlipCheckbox,
   colorChoiceContainer: dom.colorChoice,
   difficultySelect: dom.difficultySelect,
+  whiteLevelSelect: dom.whiteLevelSelect,
+  blackLevelSelect: dom.blackLevelSelect,
+  thinkingTimeInput: dom.thinkingTimeInput,
+  timeControlSelect: dom.timeControlSelect,
+  hintsCheckbox: dom.hintsCheckbox,
+  bookSelect: dom.bookSelect,
+  bookLoadButton: dom.bookLoadBtn,
+  bookFileInput: dom.bookFileInput,
+  onBookFileChosen: handleBookFileChosen,
   newGameButton: dom.newGameBtn,
   onNewGameRequested: handleNewGameRequested,
+  onThinkingTimeChanged: (ms) => {
+    if (game) game.setThinkingTime(ms);
+  },
+  onAutoFlipChanged: () => {
+    if (!game || boardView.isPromotionPickerOpen()) return;
+    game.clearSelection();
+    renderBoard();
+    clockView.render(game.getClockSnapshot(), getPerspective());
+  },
 });
 
+// Initialize clocks
+const clockView = new ClockView({
+  topEl: dom.clockTop,
+  bottomEl: dom.clockBottom,
+});
+
+// Initialize move history browsing
+const moveHistoryView = new MoveHistoryView({
+  listEl: dom.moveHistory,
+  firstBtn: dom.historyFirstBtn,
+  prevBtn: dom.historyPrevBtn,
+  nextBtn: dom.historyNextBtn,
+  lastBtn: dom.historyLastBtn,
+  onPlySelected: handlePlySelected,
+});
+
+// Initialize analysis of the shown position (runs in its own worker)
+const analysisView = new AnalysisView({
+  evalBarEl: dom.evalBar,
+  toggleEl: dom.analysisToggle,
+  linesSelect: dom.analysisLinesSelect,
+  bodyEl: dom.analysisBody,
+  statusEl: dom.analysisStatus,
+  listEl: dom.analysisLines,
+  onToggle: syncAnalysis,
+  onLineCountChanged: (count) => analysis.setLineCount(count),
+});
+
+const analysis = new Analysis({
+  lines: analysisView.getLineCount(),
+  onUpdate: (result) => analysisView.render(result),
+});
+
+// Initialize post-game review (runs in its own worker)
+const reviewView = new ReviewView({
+  sectionEl: dom.reviewSection,
+  statusEl: dom.reviewStatus,
+  closeBtn: dom.reviewCloseBtn,
+  summaryEl: dom.reviewSummary,
+  graphEl: dom.reviewGraph,
+  listEl: dom.reviewMoves,
+  detailEl: dom.reviewDetail,
+  onPlySelected: handlePlySelected,
+  onMoveSelected: handleReviewMoveSelected,
+  onClose: () => {
+    clearReview();
+    renderBoard();
+  },
+});
+
+const gameReview = new GameReview();
+
 // Initialize game end modal
-const gameEndModal = new GameEndModal(dom.gameEndModalContainer, handleNewGameRequested);
+const gameEndModal = new GameEndModal(dom.gameEndModalContainer, handleNewGameRequested, {
+  onExportPGN: handleExportPGN,
+  onReviewGame: handleReviewGame,
+});
+
+dom.exportPgnBtn.addEventListener("click", handleExportPGN);
+dom.undoBtn.addEventListener("click", handleUndo);
+dom.redoBtn.addEventListener("click", handleRedo);
+dom.watchToggleBtn.addEventListener("click", handleWatchToggle);
+dom.watchStepBtn.addEventListener("click", handleWatchStep);
+dom.hintBtn.addEventListener("click", handleHint);
+
+// Initialize PGN import dialog
+const pgnImportDialog = new PgnImportDialog(dom.pgnImportContainer, {
+  onParse: (text) => parsePGN(text),
+  onLoad: handleImportedGame,
+});
+
+dom.importPgnBtn.addEventListener("click", () => {
+  pgnImportDialog.show();
+});
 
 // Game state
 let game = null;
 let isProcessingMove = false;
+/** Ply shown while browsing the move history; null = live position */
+let viewedPly = null;
+/** Latest hint from Game.requestHint(); shown while its position is live */
+let shownHint = null;
+let isHintPending = false;
+/** Review of the current game: result is null while it runs */
+let review = null;
+/** Error chosen in the review; its best move is marked while its position is shown */
+let reviewFocus = null;
 
 /**
  * Initialize new game with current control settings
+ * @param {import("./engine/GameState.js").GameState} [initialState] - continue from this state
+ * @param {Record<string, string>} [tags] - PGN tags of an imported game, kept on export
  */
-async function initializeGame() {
+async function initializeGame(initialState, tags) {
   // Hide modal if visible
   gameEndModal.hide();
   // Reset game over tracking
   previousGameOver = false;
 
+  // Stop any search still running for the previous game
+  if (game) {
+    game.dispose();
+  }
+  isProcessingMove = false;
+  stopThinkingCountdown();
+  clearWatchTimer();
+  watch.paused = false;
+  boardView.hidePromotionPicker();
+  viewedPly = null;
+  shownHint = null;
+  isHintPending = false;
+  clearReview();
+  dom.statusText.classList.remove("busy");
+
   const playerColor = controls.getSelectedColor();
+  const mode = controls.getMode();
   const difficulty = controls.getDifficulty();
+  const thinkingTime = controls.getThinkingTime();
+  const timeControl = (TIME_CONTROLS[controls.getTimeControl()] || TIME_CONTROLS.none).stages;
 
   try {
     game = new Game({
       playerColor,
+      mode,
       difficulty,
-      onUpdate: syncUIWithGame,
+      levels: controls.getEngineLevels(),
+      thinkingTime,
+      timeControl,
+      hints: controls.getHintsAllowed(),
+      book: controls.getOpeningBook(),
+      // The constructor already notifies, before `game` is this instance;
+      // it is synced below. Updates of a replaced game are ignored too.
+      onUpdate: (snapshot, source) => {
+        if (source === game) syncUIWithGame(snapshot);
+      },
+      initialState,
+      tags,
     });
 
     const snapshot = game.getSnapshot();
 
-    boardView.render(game.getBoard(), {
-      perspective: game.getPlayerColor(),
-      lastMove: snapshot.lastMove,
-      legalMoves: [],
-      selected: null,
-    });
-
+    renderBoard();
     syncUIWithGame(snapshot);
+    clockView.render(game.getClockSnapshot(), getPerspective());
 
     // If AI should move first
-    if (game.getCurrentTurn() !== game.getPlayerColor() && !game.isGameOver()) {
+    if (game.isComputerTurn() && !game.isGameOver()) {
       requestAnimationFrame(() => {
         if (!game || game.isGameOver()) return;
-        if (game.getCurrentTurn() !== game.getPlayerColor()) {
+        if (game.isComputerTurn()) {
           triggerAIMove();
         }
       });
@@ -99,17 +280,188 @@ async function initializeGame() {
  * Handle new game request
  */
 async function handleNewGameRequested() {
-  if (isProcessingMove) return;
   await initializeGame();
 }
 
+/**
+ * Replay an imported PGN game and continue playing from its final position,
+ * or show its result when it was finished.
+ * Throws (shown inside the dialog) when a move cannot be replayed.
+ * @param {import("./engine/Pgn.js").ParsedPgnGame} parsed
+ */
+function handleImportedGame(parsed) {
+  const state = replayPGNGame(parsed);
+  initializeGame(state, parsed.tags);
+}
+
+/**
+ * Download the current game as a .pgn file
+ */
+function handleExportPGN() {
+  if (!game) return;
+
+  const pgn = game.getPGN();
+  const blob = new Blob([pgn], { type: "application/x-chess-pgn" });
+  const url = URL.createObjectURL(blob);
+  const date = new Date().toISOString().slice(0, 10);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `chess-game-${date}.pgn`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a Polyglot opening book chosen in the settings; it is used from the
+ * next game on.
+ * @param {File} file
+ */
+async function handleBookFileChosen(file) {
+  try {
+    const data = await file.arrayBuffer();
+    const book = new PolyglotBook(data);
+    controls.setCustomBook(file.name, data);
+    dom.statusText.textContent =
+      `Loaded opening book "${file.name}" (${book.size} entries); it is used from the next game.`;
+  } catch (error) {
+    dom.statusText.textContent = `Could not load "${file.name}": ${error.message}`;
+  }
+}
+
+/**
+ * Take back the player's last move (and the computer's reply).
+ * A running search is cancelled by Game.undo().
+ */
+function handleUndo() {
+  if (!game || !game.undo()) return;
+  afterTakebackOrRedo();
+}
+
+/**
+ * Replay moves that were taken back
+ */
+function handleRedo() {
+  if (!game || !game.redo()) return;
+  afterTakebackOrRedo();
+}
+
+function afterTakebackOrRedo() {
+  boardView.hidePromotionPicker();
+  viewedPly = null;
+  // The review no longer matches the history.
+  clearReview();
+  syncUIWithGame(game.getSnapshot());
+  renderBoard();
+  clockView.render(game.getClockSnapshot(), getPerspective());
+
+  // The cancelled search settles asynchronously; start a new one after it.
+  if (!game.isGameOver() && game.isComputerTurn()) {
+    requestAnimationFrame(() => {
+      if (!game || game.isGameOver() || game.isThinking()) return;
+      if (game.isComputerTurn()) {
+        triggerAIMove();
+      }
+    });
+  }
+}
+
+/**
+ * Show the position after `ply` moves of the history (browsing only).
+ * @param {number} ply
+ */
+function handlePlySelected(ply) {
+  if (!game || boardView.isPromotionPickerOpen()) return;
+  const historyLength = game.getSnapshot().history.length;
+  viewedPly = ply >= historyLength ? null : ply;
+  game.clearSelection();
+  renderBoard();
+  syncUIWithGame(game.getSnapshot());
+}
+
+/**
+ * Render the board: the live position, or the browsed one from the history.
+ * Clears any selection highlights.
+ */
+function renderBoard() {
+  if (!game) return;
+  const position = viewedPly === null ? null : game.getPositionAt(viewedPly);
+  if (!position) viewedPly = null;
+
+  const { board, lastMove } = position || {
+    board: game.getBoard(),
+    lastMove: game.getSnapshot().lastMove,
+  };
+  boardView.render(board, {
+    perspective: getPerspective(),
+    selected: null,
+    legalMoves: [],
+    lastMove,
+  });
+  dom.boardContainer.classList.toggle("board-viewing-history", viewedPly !== null);
+  if (reviewFocus && viewedPly !== reviewFocus.ply) reviewFocus = null;
+  boardView.setHint(getBoardHint());
+  reviewView.setCurrent(viewedPly === null ? game.getSnapshot().history.length : viewedPly, reviewFocus);
+  analysisView.setPerspective(getPerspective());
+  syncAnalysis();
+}
+
+/**
+ * Analyse the position on the board, if analysis is switched on. It pauses
+ * while the computer searches its move so both never compete for the CPU.
+ */
+function syncAnalysis() {
+  if (!game || !analysisView.isEnabled()) {
+    analysis.stop();
+    return;
+  }
+  if (isProcessingMove || isHintPending) {
+    analysis.stop();
+    analysisView.showMessage("Paused while the computer thinks");
+    return;
+  }
+  if (gameReview.isRunning()) {
+    analysis.stop();
+    analysisView.showMessage("Paused while the game is reviewed");
+    return;
+  }
+  const ply = viewedPly === null ? game.getSnapshot().history.length : viewedPly;
+  const position = game.getStateAt(ply);
+  if (!position) {
+    analysis.stop();
+    analysisView.showMessage("This position cannot be analyzed");
+    return;
+  }
+  analysis.analyze(position);
+}
+
+/**
+ * Side shown at the bottom of the board: the player's, or in two-player
+ * games with auto-flip the side to move.
+ * @returns {"white"|"black"}
+ */
+function getPerspective() {
+  if (game.getMode() === "human" && controls.getAutoFlip()) {
+    return game.getCurrentTurn();
+  }
+  return game.getPlayerColor();
+}
+
 /**
  * Handle board square selection
  */
 async function handleSquareSelected(square) {
+  if (!game) return;
+  // Moves are only made from the live position: a click while browsing
+  // returns to it instead.
+  if (viewedPly !== null) {
+    handlePlySelected(Infinity);
+    return;
+  }
   if (isProcessingMove) return;
-  if (!game || isProcessingMove) return;
-  if (game.getCurrentTurn() !== game.getPlayerColor()) return;
+  if (!game.isHumanTurn()) return;
   if (game.isGameOver()) return;
 
   const result = game.handlePlayerSquareSelection(square);
@@ -121,24 +473,45 @@ async function handleSquareSelected(square) {
       legalMoves: result.legalTargets,
       lastMove: result.lastMove,
     });
+    if (result.promotion) {
+      await completePromotion(result.promotion);
+    }
     return;
   }
 
-  // Move executed
-  const snapshot = game.getSnapshot();
-  syncUIWithGame(snapshot);
+  renderAfterPlayerMove();
+}
 
-  boardView.render(game.getBoard(), {
-    perspective: game.getPlayerColor(),
-    selected: null,
-    legalMoves: [],
-    lastMove: snapshot.lastMove,
-  });
+/**
+ * Ask which piece to promote to, then make the move.
+ * Cancelling keeps the pawn selected.
+ * @param {{from:string, to:string}} promotion
+ */
+async function completePromotion({ from, to }) {
+  const pickingGame = game;
+  const piece = await boardView.showPromotionPicker(to, game.getCurrentTurn());
+  if (!piece || game !== pickingGame || game.isGameOver()) return;
+
+  const result = game.handlePlayerMove({ from, to, promotion: piece });
+  if (!result.success) {
+    console.warn("Promotion failed:", result.error);
+    return;
+  }
+  renderAfterPlayerMove();
+}
+
+/**
+ * Redraw after the player's move and hand the turn to the computer
+ */
+function renderAfterPlayerMove() {
+  syncUIWithGame(game.getSnapshot());
+  renderBoard();
+  clockView.render(game.getClockSnapshot(), getPerspective());
 
   if (!game.isGameOver()) {
     requestAnimationFrame(() => {
       if (!game || game.isGameOver()) return;
-      if (game.getCurrentTurn() !== game.getPlayerColor()) {
+      if (game.isComputerTurn()) {
         triggerAIMove();
       }
     });
@@ -150,37 +523,341 @@ async function handleSquareSelected(square) {
  */
 async function triggerAIMove() {
   if (!game || game.isGameOver()) return;
-  if (game.getCurrentTurn() === game.getPlayerColor()) return;
+  if (!game.isComputerTurn()) return;
 
+  // The game may be replaced (new game / import) while the worker searches.
+  const searchingGame = game;
   isProcessingMove = true;
   syncBusyState(true);
+  syncAnalysis();
+  startThinkingCountdown(game.getThinkingBudget(), getThinkerLabel());
 
   try {
-    const aiMove = await game.computeAIMove();
+    const aiMove = await game.computeAIMove({
+      onProgress: (info) => {
+        if (game !== searchingGame) return;
+        thinkingCountdown.info = info;
+        renderThinkingStatus();
+      },
+    });
+    if (game !== searchingGame) return;
     if (!aiMove) {
       syncUIWithGame(game.getSnapshot());
       return;
     }
 
     game.applyAIMove(aiMove);
-    const snapshot = game.getSnapshot();
-    syncUIWithGame(snapshot);
-
-    boardView.render(game.getBoard(), {
-      perspective: game.getPlayerColor(),
-      selected: null,
-      legalMoves: [],
-      lastMove: snapshot.lastMove,
-    });
+    syncUIWithGame(game.getSnapshot());
+    // While browsing the history the board keeps showing the browsed ply.
+    if (viewedPly === null) renderBoard();
+    if (game.getMode() === "watch") scheduleWatchMove();
   } catch (error) {
+    if (error.name === "AbortError" || game !== searchingGame) return;
     console.error("AI move error:", error);
     dom.statusText.textContent = "An error occurred while computing AI move.";
   } finally {
-    isProcessingMove = false;
-    syncBusyState(false);
+    if (game === searchingGame) {
+      stopThinkingCountdown();
+      isProcessingMove = false;
+      syncBusyState(false);
+      syncAnalysis();
+    }
   }
 }
 
+/**
+ * Ask the engine for a move for the human side to move and mark it on the
+ * board. The computer's own search (which starts once a move is made)
+ * cancels a hint still being searched.
+ */
+async function handleHint() {
+  if (!game || !game.canHint() || isProcessingMove || isHintPending || viewedPly !== null) return;
+
+  const hintingGame = game;
+  isHintPending = true;
+  syncHintControls();
+  syncAnalysis();
+
+  try {
+    const hint = await game.requestHint();
+    if (game !== hintingGame || !hint) return;
+    shownHint = hint;
+    boardView.setHint(getLiveHint());
+  } catch (error) {
+    if (error.name === "AbortError" || game !== hintingGame) return;
+    console.error("Hint error:", error);
+  } finally {
+    if (game === hintingGame) {
+      isHintPending = false;
+      syncHintControls();
+      syncAnalysis();
+    }
+  }
+}
+
+/**
+ * The shown hint while the position it was given for is on the board.
+ * @returns {import("./Game.js").Hint|null}
+ */
+function getLiveHint() {
+  if (!game || !shownHint || viewedPly !== null || game.isGameOver()) return null;
+  const live = shownHint.ply === game.getSnapshot().history.length && game.isHintCurrent(shownHint);
+  return live ? shownHint : null;
+}
+
+/**
+ * Move marked on the board: the engine's choice for the review error being
+ * shown, otherwise the live hint.
+ * @returns {{from:string, to:string}|null}
+ */
+function getBoardHint() {
+  if (reviewFocus && viewedPly === reviewFocus.ply) return reviewFocus.bestMove;
+  return getLiveHint();
+}
+
+function syncHintControls() {
+  const allowed = !!game && game.areHintsAllowed();
+  dom.hintControls.hidden = !allowed;
+  if (!allowed) return;
+
+  const used = game.getHintCount("white") + game.getHintCount("black");
+  dom.hintBtn.disabled = !game.canHint() || isProcessingMove || isHintPending || viewedPly !== null;
+  dom.hintBtn.textContent = isHintPending ? "Thinking..." : "Hint";
+  dom.hintBtn.title = `Suggest a move (hints used: ${used})`;
+
+  const hint = getLiveHint();
+  dom.hintText.textContent = hint
+    ? `${hint.san}${hint.explanation ? `: ${hint.explanation}` : ""}`
+    : "";
+}
+
+/**
+ * "Review game" in the game-end modal: evaluate every position of the
+ * finished game, or show the review once it is done.
+ */
+async function handleReviewGame() {
+  if (!game) return;
+  if (review) {
+    if (review.result) {
+      gameEndModal.hide();
+      dom.reviewSection.scrollIntoView({ block: "nearest" });
+    }
+    return;
+  }
+
+  const reviewedGame = game;
+  review = { result: null };
+  const showProgress = (done, total) => {
+    gameEndModal.setReviewState({ status: "running", done, total });
+    reviewView.showProgress(done, total);
+  };
+  showProgress(0, game.getSnapshot().history.length + 1);
+
+  try {
+    const promise = gameReview.run(game, showProgress);
+    syncAnalysis();
+    const result = await promise;
+    if (game !== reviewedGame) return;
+    review.result = result;
+    reviewView.render(result);
+    gameEndModal.setReviewState({
+      status: "done",
+      accuracy: {
+        white: result.accuracy.white === null ? null : formatAccuracy(result.accuracy.white),
+        black: result.accuracy.black === null ? null : formatAccuracy(result.accuracy.black),
+      },
+    });
+    renderBoard();
+  } catch (error) {
+    if (error.name === "AbortError" || game !== reviewedGame) return;
+    console.error("Review error:", error);
+    review = null;
+    gameEndModal.setReviewState({ status: "error", message: error.message });
+    reviewView.showMessage(`Review failed: ${error.message}`);
+  } finally {
+    if (game === reviewedGame) syncAnalysis();
+  }
+}
+
+/**
+ * Show the position before a reviewed move, with the engine's choice marked.
+ * @param {import("./GameReview.js").ReviewedMove} move
+ */
+function handleReviewMoveSelected(move) {
+  if (!game || boardView.isPromotionPickerOpen()) return;
+  // renderBoard() drops the focus if the position cannot be shown.
+  reviewFocus = move;
+  handlePlySelected(move.ply);
+}
+
+/**
+ * Cancel or discard the review of the current game.
+ */
+function clearReview() {
+  gameReview.cancel();
+  review = null;
+  reviewFocus = null;
+  reviewView.hide();
+  gameEndModal.setReviewState({ status: "idle" });
+}
+
+/**
+ * Who is searching, for the status line: "Computer", or the side and
+ * level when the computer plays both sides.
+ * @returns {string}
+ */
+function getThinkerLabel() {
+  if (game.getMode() !== "watch") return "Computer";
+  const color = game.getCurrentTurn();
+  return `${color === "white" ? "White" : "Black"} (Level ${game.getLevel(color)})`;
+}
+
+/**
+ * Computer vs computer playback: the next move is searched after a delay
+ * unless paused. Clocks do not run during the delay or a pause.
+ */
+const watch = {
+  paused: false,
+  timerId: null,
+};
+
+function clearWatchTimer() {
+  if (watch.timerId !== null) {
+    clearTimeout(watch.timerId);
+    watch.timerId = null;
+  }
+}
+
+/**
+ * Queue the next engine move of a watched game.
+ */
+function scheduleWatchMove() {
+  clearWatchTimer();
+  if (!game || game.getMode() !== "watch" || game.isGameOver()) return;
+  game.pauseClock();
+  syncWatchControls();
+  if (watch.paused) return;
+
+  const watchedGame = game;
+  watch.timerId = setTimeout(() => {
+    watch.timerId = null;
+    if (game !== watchedGame || watch.paused) return;
+    game.resumeClock();
+    triggerAIMove();
+  }, Number(dom.watchDelaySelect.value) || 0);
+}
+
+/**
+ * Pause (abandoning the move being searched) or resume a watched game
+ */
+function handleWatchToggle() {
+  if (!game || game.getMode() !== "watch" || game.isGameOver()) return;
+  watch.paused = !watch.paused;
+
+  if (watch.paused) {
+    clearWatchTimer();
+    game.cancelSearch();
+    game.pauseClock();
+  } else if (!isProcessingMove) {
+    game.resumeClock();
+    triggerAIMove();
+  }
+  syncWatchControls();
+}
+
+/**
+ * Play a single engine move while paused
+ */
+function handleWatchStep() {
+  if (!game || !watch.paused || isProcessingMove || game.isGameOver()) return;
+  game.resumeClock();
+  triggerAIMove();
+  syncWatchControls();
+}
+
+function syncWatchControls() {
+  const watching = !!game && game.getMode() === "watch";
+  dom.watchControls.hidden = !watching;
+  if (!watching) return;
+
+  const over = game.isGameOver();
+  dom.watchToggleBtn.textContent = watch.paused ? "Play" : "Pause";
+  dom.watchToggleBtn.disabled = over;
+  dom.watchStepBtn.disabled = over || !watch.paused || isProcessingMove;
+}
+
+/**
+ * Remaining search budget shown in the status line while the computer thinks
+ */
+const thinkingCountdown = {
+  timerId: null,
+  deadline: 0,
+  /** Latest completed iteration from Game.computeAIMove, or null */
+  info: null,
+  label: "Computer",
+};
+
+/** Plies of the principal variation shown in the status line */
+const STATUS_PV_PLIES = 6;
+
+function startThinkingCountdown(budgetMs, label = "Computer") {
+  stopThinkingCountdown();
+  thinkingCountdown.deadline = Date.now() + budgetMs;
+  thinkingCountdown.info = null;
+  thinkingCountdown.label = label;
+  renderThinkingStatus();
+  thinkingCountdown.timerId = setInterval(renderThinkingStatus, 200);
+}
+
+function stopThinkingCountdown() {
+  if (thinkingCountdown.timerId !== null) {
+    clearInterval(thinkingCountdown.timerId);
+    thinkingCountdown.timerId = null;
+  }
+}
+
+function renderThinkingStatus() {
+  const remaining = Math.max(0, thinkingCountdown.deadline - Date.now());
+  const { info } = thinkingCountdown;
+  if (info && info.book) {
+    const { name } = info.book;
+    dom.statusText.textContent = `${thinkingCountdown.label} plays book move ${info.line}${name ? ` (${name})` : ""}`;
+    return;
+  }
+  const searchText = info ? ` (depth ${info.depth}, ${formatScore(info)}${formatLine(info)})` : "";
+  dom.statusText.textContent =
+    `${thinkingCountdown.label} is thinking... ${(remaining / 1000).toFixed(1)}s left${searchText}`;
+}
+
+/**
+ * Search score from White's point of view: "+0.35", "-1.20", "#3", "#-2".
+ * @param {{score:number, mate:number|null, color:"white"|"black"}} info
+ */
+function formatScore({ score, mate, color }) {
+  const sign = color === "white" ? 1 : -1;
+  return formatEvaluation(score * sign, mate === null ? null : mate * sign);
+}
+
+/**
+ * The first plies of the principal variation, e.g. ", 3. Nf3 d5 4. d4 ...".
+ * @param {{pv?:Object[], line:string}} info
+ */
+function formatLine({ pv = [], line }) {
+  if (!line) return "";
+  // Move numbers are separate tokens; keep them with their move.
+  const tokens = line.split(" ");
+  const kept = [];
+  let plies = 0;
+  for (const token of tokens) {
+    const isNumber = /^\d+\.(\.\.)?$/.test(token);
+    if (!isNumber && plies === STATUS_PV_PLIES) break;
+    if (!isNumber) plies += 1;
+    kept.push(token);
+  }
+  const truncated = pv.length > plies;
+  return `, ${kept.join(" ").replace(/ \d+\.$/, "")}${truncated ? " ..." : ""}`;
+}
+
 // Track previous game over state to detect transitions
 let previousGameOver = false;
 
@@ -193,26 +870,68 @@ function syncUIWithGame(snapshot) {
   dom.statusText.textContent = snapshot.statusText || '';
   dom.turnIndicator.textContent = snapshot.turnText || '';
   dom.lastMoveIndicator.textContent = snapshot.lastMoveText || '';
+  const history = snapshot.history || [];
+  const lastBookMove = game && history.length ? game.getBookMove(history.length - 1) : null;
+  if (lastBookMove) {
+    dom.lastMoveIndicator.textContent +=
+      lastBookMove.name ? ` (book: ${lastBookMove.name})` : " (book)";
+  }
+  const opening = game ? game.getOpening() : null;
+  dom.openingIndicator.textContent = opening ? formatOpening(opening) : "";
+  dom.exportPgnBtn.disabled = false;
+  dom.undoBtn.disabled = !game || !game.canUndo();
+  dom.redoBtn.disabled = !game || !game.canRedo();
+  syncWatchControls();
+  syncHintControls();
 
   // Move history
-  dom.moveHistory.innerHTML = "";
-  (snapshot.history || []).forEach((entry, index) => {
-    const li = document.createElement("li");
-    li.textContent = entry;
-    li.dataset.index = String(index);
-    dom.moveHistory.appendChild(li);
-  });
+  moveHistoryView.render(
+    history,
+    snapshot.historyStartPly || 0,
+    viewedPly === null ? history.length : viewedPly
+  );
+  if (viewedPly !== null) {
+    dom.turnIndicator.textContent =
+      viewedPly === 0
+        ? "Viewing the start position (End to return)"
+        : `Viewing ${formatPlyLabel(snapshot.historyStartPly || 0, viewedPly)} ${
+            history[viewedPly - 1]
+          } (End to return)`;
+  }
 
   // Check for game end transition
   const isGameOver = snapshot.gameOver || false;
   if (isGameOver && !previousGameOver && snapshot.result) {
     // Game just ended - show modal
-    const playerColor = snapshot.playerColor;
+    boardView.hidePromotionPicker();
+    // Only a game against the computer has a "you".
+    const playerColor = snapshot.vsComputer ? snapshot.playerColor : null;
     gameEndModal.show(snapshot.result, playerColor);
   }
   previousGameOver = isGameOver;
 }
 
+/**
+ * Move label such as "12." or "12..." for the ply-th history move
+ * @param {number} startPly - game ply of the first history move
+ * @param {number} ply - 1-based index into the history
+ * @returns {string}
+ */
+function formatPlyLabel(startPly, ply) {
+  const gamePly = startPly + ply - 1;
+  const moveNumber = Math.floor(gamePly / 2) + 1;
+  return gamePly % 2 === 0 ? `${moveNumber}.` : `${moveNumber}...`;
+}
+
+/**
+ * Refresh clocks and detect flag-fall (runs on a short interval)
+ */
+function tickClocks() {
+  if (!game || !game.hasClock()) return;
+  game.checkClock();
+  clockView.render(game.getClockSnapshot(), getPerspective());
+}
+
 /**
  * Visual busy state for when AI is thinking
  */
@@ -234,6 +953,9 @@ async function main() {
   // Initialize theme
   themeManager.init();
 
+  // Drive clock display and flag-fall detection
+  setInterval(tickClocks, 100);
+
   // Start the game
   dom.statusText.textContent = "Ready. Select settings and click 'New Game' to start.";
 }
@@ -0,0 +1,184 @@
+/**
+ * AnalysisView.js
+ *
+ * Renders engine analysis (see Analysis.js):
+ * - An evaluation bar beside the board; White's share grows with White's
+ *   advantage and the bar is flipped with the board perspective.
+ * - The analysis panel: on/off switch, number of lines, search status
+ *   (depth, nodes, speed) and the candidate lines with their scores.
+ *
+ * Presentation-only: main.js decides which position is analysed and when.
+ */
+
+export class AnalysisView {
+  /**
+   * @param {Object} elements
+   * @param {HTMLElement} elements.evalBarEl - evaluation bar beside the board
+   * @param {HTMLInputElement} elements.toggleEl - analysis on/off checkbox
+   * @param {HTMLSelectElement} elements.linesSelect - number of candidate moves
+   * @param {HTMLElement} elements.bodyEl - panel content shown while enabled
+   * @param {HTMLElement} elements.statusEl
+   * @param {HTMLOListElement} elements.listEl - candidate lines
+   * @param {(enabled: boolean) => void} [elements.onToggle]
+   * @param {(count: number) => void} [elements.onLineCountChanged]
+   */
+  constructor({ evalBarEl, toggleEl, linesSelect, bodyEl, statusEl, listEl, onToggle, onLineCountChanged }) {
+    this.evalBarEl = evalBarEl;
+    this.toggleEl = toggleEl;
+    this.linesSelect = linesSelect;
+    this.bodyEl = bodyEl;
+    this.statusEl = statusEl;
+    this.listEl = listEl;
+    this.onToggle = onToggle || (() => { });
+    this.onLineCountChanged = onLineCountChanged || (() => { });
+
+    this.evalFillEl = document.createElement("div");
+    this.evalFillEl.className = "eval-bar-fill";
+    this.evalLabelEl = document.createElement("span");
+    this.evalLabelEl.className = "eval-bar-label";
+    this.evalBarEl.append(this.evalFillEl, this.evalLabelEl);
+
+    this.toggleEl.addEventListener("change", () => {
+      this.syncVisibility();
+      this.onToggle(this.isEnabled());
+    });
+    this.linesSelect.addEventListener("change", () => {
+      this.onLineCountChanged(this.getLineCount());
+    });
+    this.syncVisibility();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.toggleEl.checked;
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLineCount() {
+    return Number(this.linesSelect.value) || 1;
+  }
+
+  /**
+   * Orientation of the evaluation bar: White's share starts at the bottom
+   * when White is at the bottom of the board.
+   * @param {"white"|"black"} perspective
+   */
+  setPerspective(perspective) {
+    this.evalBarEl.classList.toggle("eval-bar-flipped", perspective === "black");
+  }
+
+  /**
+   * Show an analysis update.
+   * @param {import("../Analysis.js").AnalysisResult} result
+   */
+  render(result) {
+    this.statusEl.textContent = describeStatus(result);
+    this.renderEvalBar(result);
+
+    this.listEl.innerHTML = "";
+    for (const line of result.lines) {
+      const item = document.createElement("li");
+      item.className = "analysis-line";
+
+      const score = document.createElement("span");
+      score.className = "analysis-line-score";
+      score.textContent = formatEvaluation(line.score, line.mate);
+
+      const moves = document.createElement("span");
+      moves.className = "analysis-line-moves";
+      moves.textContent = line.san;
+
+      item.append(score, moves);
+      this.listEl.appendChild(item);
+    }
+  }
+
+  /**
+   * Replace the status line (e.g. while analysis is paused); the last lines
+   * stay visible.
+   * @param {string} text
+   */
+  showMessage(text) {
+    this.statusEl.textContent = text;
+  }
+
+  renderEvalBar(result) {
+    let share = 0.5;
+    let label = "";
+    if (result.status === "checkmate") {
+      share = result.winner === "white" ? 1 : 0;
+      label = result.winner === "white" ? "1-0" : "0-1";
+    } else if (result.status === "stalemate") {
+      label = "½";
+    } else if (result.lines.length > 0) {
+      const [best] = result.lines;
+      share = best.mate !== null ? (best.mate > 0 ? 1 : 0) : winningShare(best.score);
+      label = formatEvaluation(best.score, best.mate);
+    }
+
+    this.evalFillEl.style.height = `${(share * 100).toFixed(1)}%`;
+    this.evalLabelEl.textContent = label;
+    this.evalBarEl.title = label ? `Evaluation: ${label}` : "Evaluation";
+  }
+
+  syncVisibility() {
+    const enabled = this.isEnabled();
+    this.evalBarEl.hidden = !enabled;
+    this.bodyEl.hidden = !enabled;
+  }
+}
+
+/**
+ * Evaluation from White's point of view: "+0.35", "-1.20", "0.00", or
+ * "#3" / "#-2" for a mate in that many moves (negative: Black mates).
+ * @param {number} score - centipawns
+ * @param {number|null} mate
+ * @returns {string}
+ */
+export function formatEvaluation(score, mate) {
+  if (mate !== null) return `#${mate}`;
+  const pawns = score / 100;
+  return `${pawns > 0 ? "+" : ""}${pawns.toFixed(2)}`;
+}
+
+/**
+ * Share of the bar given to White: a logistic curve, so a pawn is clearly
+ * visible and a decisive advantage fills most of the bar.
+ * @param {number} score - centipawns from White's point of view
+ * @returns {number} 0..1
+ */
+function winningShare(score) {
+  return 1 / (1 + 10 ** (-score / 400));
+}
+
+/**
+ * @param {import("../Analysis.js").AnalysisResult} result
+ * @returns {string}
+ */
+function describeStatus(result) {
+  switch (result.status) {
+    case "checkmate":
+      return `Checkmate: ${result.winner === "white" ? "White" : "Black"} wins`;
+    case "stalemate":
+      return "Stalemate";
+    case "error":
+      return `Analysis unavailable: ${result.message}`;
+    default:
+      if (result.depth === 0) return "Analyzing...";
+      return `Depth ${result.depth}, ${formatCount(result.nodes)} nodes, ${formatCount(result.nps)} nodes/s`;
+  }
+}
+
+/**
+ * @param {number} count
+ * @returns {string} e.g. "950", "12.3k", "1.45M"
+ */
+function formatCount(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(2)}M`;
+  if (count >= 1e4) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
@@ -5,7 +5,10 @@
  * - Rendering an 8x8 board grid.
  * - Displaying pieces as Unicode glyphs.
  * - Highlighting selected square, legal moves, and last move.
- * - Emitting square selection events to the outside world.
+ * - Marking a suggested move (hint) until it is cleared.
+ * - Emitting square selection events to the outside world, from clicks
+ *   or from pointer drag-and-drop (mouse, touch and pen).
+ * - Showing a promotion piece picker over the board.
  *
  * This module does NOT implement chess rules; it is presentation-only.
  */
@@ -25,6 +28,16 @@ const PIECE_TO_GLYPH = {
   bK: "♚",
 };
 
+const PROMOTION_PIECES = [
+  { type: "Q", name: "Queen" },
+  { type: "R", name: "Rook" },
+  { type: "B", name: "Bishop" },
+  { type: "N", name: "Knight" },
+];
+
+/** Pointer travel (px) before a press on a piece turns into a drag. */
+const DRAG_THRESHOLD = 4;
+
 export class BoardView {
   /**
    * @param {HTMLElement} container - container element for the board.
@@ -45,8 +58,27 @@ export class BoardView {
     this.selectedSquare = null;
     this.legalTargets = new Set();
     this.lastMove = null;
+    this.perspective = "white";
+    /** @type {{from: string, to: string}|null} */
+    this.hint = null;
+
+    /**
+     * Open promotion picker, if any.
+     * @type {{overlay: HTMLElement, resolve: (piece: string|null) => void}|null}
+     */
+    this.promotionPicker = null;
 
-    this.handleSquareClick = this.handleSquareClick.bind(this);
+    /**
+     * Pointer press / drag in progress, if any.
+     * @type {{pointerId:number, from:string, squareEl:HTMLElement, startX:number, startY:number, floating:HTMLElement|null, overSquare:string|null}|null}
+     */
+    this.drag = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerCancel = this.handlePointerCancel.bind(this);
+    this.handlePromotionKeydown = this.handlePromotionKeydown.bind(this);
 
     this.initBoard();
   }
@@ -55,6 +87,8 @@ export class BoardView {
    * Initialize board DOM once. Default orientation a1 bottom-left.
    */
   initBoard() {
+    this.cancelDrag();
+    this.hidePromotionPicker();
     this.container.innerHTML = "";
     this.squareEls.clear();
 
@@ -72,7 +106,10 @@ export class BoardView {
         squareEl.classList.add(isLight ? "light" : "dark");
 
         squareEl.dataset.square = square;
-        squareEl.addEventListener("click", this.handleSquareClick);
+        squareEl.addEventListener("pointerdown", this.handlePointerDown);
+        squareEl.addEventListener("pointermove", this.handlePointerMove);
+        squareEl.addEventListener("pointerup", this.handlePointerUp);
+        squareEl.addEventListener("pointercancel", this.handlePointerCancel);
 
         const pieceEl = document.createElement("div");
         pieceEl.classList.add("chess-piece");
@@ -101,6 +138,7 @@ export class BoardView {
         ? new Set(legalMoves)
         : new Set(legalMoves || []);
     this.lastMove = lastMove || null;
+    this.perspective = perspective === "black" ? "black" : "white";
 
     const ranks = perspective === "white" ? [8,7,6,5,4,3,2,1] : [1,2,3,4,5,6,7,8];
     const files =
@@ -192,14 +230,268 @@ export class BoardView {
   }
 
   /**
-   * Handle a user clicking a square.
-   * Translates DOM event into algebraic square and forwards to callback.
+   * Mark a suggested move's squares, or clear the mark with null. The mark
+   * is independent of render() and updateHighlights().
+   * @param {{from: string, to: string}|null} move
+   */
+  setHint(move) {
+    this.hint = move ? { from: move.from, to: move.to } : null;
+    this.squareEls.forEach((squareEl, square) => {
+      squareEl.classList.toggle("highlight-hint-from", !!this.hint && this.hint.from === square);
+      squareEl.classList.toggle("highlight-hint-to", !!this.hint && this.hint.to === square);
+    });
+  }
+
+  /**
+   * Show the promotion picker over the file of `square`, extending from the
+   * board edge toward the center.
+   * Resolves with the chosen piece type, or null when cancelled (cancel
+   * button, click outside the picker, Escape, or hidePromotionPicker()).
+   *
+   * @param {string} square - promotion square, e.g. "e8"
+   * @param {"white"|"black"} color - color of the promoting pawn
+   * @returns {Promise<"Q"|"R"|"B"|"N"|null>}
    */
-  handleSquareClick(event) {
+  showPromotionPicker(square, color) {
+    this.hidePromotionPicker();
+
+    const fileIndex = square.charCodeAt(0) - 97;
+    const rank = Number(square[1]);
+    const column = this.perspective === "white" ? fileIndex : 7 - fileIndex;
+    const atTop = (this.perspective === "white") === (rank === 8);
+    const prefix = color === "white" ? "w" : "b";
+
+    const overlay = document.createElement("div");
+    overlay.className = "promotion-overlay";
+
+    const picker = document.createElement("div");
+    picker.className = `promotion-picker ${atTop ? "promotion-picker-top" : "promotion-picker-bottom"}`;
+    picker.setAttribute("role", "dialog");
+    picker.setAttribute("aria-label", "Choose promotion piece");
+    picker.style.left = `${column * 12.5}%`;
+
+    return new Promise((resolve) => {
+      const choose = (piece) => {
+        if (!this.promotionPicker || this.promotionPicker.overlay !== overlay) return;
+        this.hidePromotionPicker(piece);
+      };
+
+      PROMOTION_PIECES.forEach(({ type, name }) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "promotion-choice";
+        button.textContent = PIECE_TO_GLYPH[`${prefix}${type}`];
+        button.setAttribute("aria-label", name);
+        button.title = name;
+        button.addEventListener("click", (event) => {
+          event.stopPropagation();
+          choose(type);
+        });
+        picker.appendChild(button);
+      });
+
+      const cancel = document.createElement("button");
+      cancel.type = "button";
+      cancel.className = "promotion-cancel";
+      cancel.textContent = "✕";
+      cancel.setAttribute("aria-label", "Cancel promotion");
+      cancel.title = "Cancel";
+      cancel.addEventListener("click", (event) => {
+        event.stopPropagation();
+        choose(null);
+      });
+      picker.appendChild(cancel);
+
+      overlay.addEventListener("click", () => choose(null));
+      overlay.appendChild(picker);
+      this.container.appendChild(overlay);
+
+      this.promotionPicker = { overlay, resolve };
+      document.addEventListener("keydown", this.handlePromotionKeydown);
+      picker.querySelector(".promotion-choice").focus();
+    });
+  }
+
+  /**
+   * Close the promotion picker, if open.
+   * @param {"Q"|"R"|"B"|"N"|null} [piece] - value to resolve the picker with
+   */
+  hidePromotionPicker(piece = null) {
+    if (!this.promotionPicker) return;
+    const { overlay, resolve } = this.promotionPicker;
+    this.promotionPicker = null;
+    document.removeEventListener("keydown", this.handlePromotionKeydown);
+    overlay.remove();
+    resolve(piece);
+  }
+
+  /**
+   * Whether the promotion picker is open.
+   * @returns {boolean}
+   */
+  isPromotionPickerOpen() {
+    return !!this.promotionPicker;
+  }
+
+  handlePromotionKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.hidePromotionPicker(null);
+    }
+  }
+
+  /* ===== Pointer input: click-click and drag-and-drop ===== */
+
+  /**
+   * A press selects like a click. If it leaves a piece selected on the
+   * pressed square, the press may continue into a drag of that piece.
+   */
+  handlePointerDown(event) {
+    if (event.button !== 0 || this.drag) return;
     const squareEl = event.currentTarget;
     const square = squareEl.dataset.square;
     if (!square) return;
+
+    event.preventDefault();
     this.onSquareSelected(square);
+
+    const pieceEl = squareEl.querySelector(".chess-piece");
+    if (this.selectedSquare !== square || !pieceEl.textContent) return;
+
+    this.drag = {
+      pointerId: event.pointerId,
+      from: square,
+      squareEl,
+      startX: event.clientX,
+      startY: event.clientY,
+      floating: null,
+      overSquare: null,
+    };
+    squareEl.setPointerCapture(event.pointerId);
   }
-}
 
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (!drag.floating) {
+      const dx = event.clientX - drag.startX;
+      const dy = event.clientY - drag.startY;
+      if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      this.startDrag(drag);
+    }
+
+    drag.floating.style.left = `${event.clientX}px`;
+    drag.floating.style.top = `${event.clientY}px`;
+
+    const over = this.squareAt(event.clientX, event.clientY);
+    if (over !== drag.overSquare) {
+      if (drag.overSquare) {
+        this.squareEls.get(drag.overSquare).classList.remove("drag-over");
+      }
+      if (over) this.squareEls.get(over).classList.add("drag-over");
+      drag.overSquare = over;
+    }
+  }
+
+  /**
+   * Drop: a different square is emitted as the target, exactly like a
+   * second click. If no move results, the piece snaps back.
+   */
+  handlePointerUp(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (!drag.floating) {
+      // Plain click: the press already selected.
+      this.endDrag();
+      return;
+    }
+
+    const target = this.squareAt(event.clientX, event.clientY);
+    const { floating, squareEl, from } = drag;
+    this.endDrag({ keepFloating: true });
+
+    if (target && target !== from) {
+      this.onSquareSelected(target);
+    }
+
+    // A completed move re-renders the board, emptying the origin square;
+    // otherwise (illegal drop, pending promotion) the piece slides back.
+    const moved = !squareEl.querySelector(".chess-piece").textContent;
+    if (moved || !target || target === from) {
+      floating.remove();
+      return;
+    }
+    this.snapBack(floating, squareEl);
+  }
+
+  handlePointerCancel(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.cancelDrag();
+  }
+
+  /**
+   * Abort any press or drag, leaving the selection as it is.
+   */
+  cancelDrag() {
+    if (!this.drag) return;
+    this.endDrag();
+  }
+
+  startDrag(drag) {
+    const source = drag.squareEl;
+    const pieceEl = source.querySelector(".chess-piece");
+
+    const floating = document.createElement("div");
+    floating.className = "chess-piece chess-piece-floating";
+    floating.textContent = pieceEl.textContent;
+    floating.style.fontSize = getComputedStyle(source).fontSize;
+    document.body.appendChild(floating);
+
+    source.classList.add("drag-source");
+    this.container.classList.add("dragging");
+    drag.floating = floating;
+  }
+
+  endDrag({ keepFloating = false } = {}) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+
+    if (drag.squareEl.hasPointerCapture(drag.pointerId)) {
+      drag.squareEl.releasePointerCapture(drag.pointerId);
+    }
+    drag.squareEl.classList.remove("drag-source");
+    this.container.classList.remove("dragging");
+    if (drag.overSquare) {
+      const overEl = this.squareEls.get(drag.overSquare);
+      if (overEl) overEl.classList.remove("drag-over");
+    }
+    if (drag.floating && !keepFloating) drag.floating.remove();
+  }
+
+  /**
+   * Slide a floating piece back onto its square, then drop it.
+   */
+  snapBack(floating, squareEl) {
+    const rect = squareEl.getBoundingClientRect();
+    floating.classList.add("chess-piece-returning");
+    floating.style.left = `${rect.left + rect.width / 2}px`;
+    floating.style.top = `${rect.top + rect.height / 2}px`;
+    setTimeout(() => floating.remove(), 150);
+  }
+
+  /**
+   * Board square under a viewport point, or null.
+   * @param {number} x
+   * @param {number} y
+   * @returns {string|null}
+   */
+  squareAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const squareEl = el && el.closest(".chess-square");
+    if (!squareEl || !this.container.contains(squareEl)) return null;
+    return squareEl.dataset.square || null;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * ClockView.js
+ *
+ * Renders the two chess clocks above and below the board:
+ * - The clock of the side at the bottom of the board follows the perspective.
+ * - The running clock is highlighted; low time gets a warning style.
+ *
+ * Presentation-only: times come from Game.getClockSnapshot().
+ */
+
+const LOW_TIME_MS = 20000;
+
+export class ClockView {
+  /**
+   * @param {Object} elements
+   * @param {HTMLElement} elements.topEl - clock shown above the board
+   * @param {HTMLElement} elements.bottomEl - clock shown below the board
+   */
+  constructor({ topEl, bottomEl }) {
+    this.topEl = topEl;
+    this.bottomEl = bottomEl;
+    this.hide();
+  }
+
+  /**
+   * Render remaining times.
+   * @param {{white:number, black:number, running:"white"|"black"|null}|null} snapshot
+   * @param {"white"|"black"} perspective - side shown at the bottom
+   */
+  render(snapshot, perspective) {
+    if (!snapshot) {
+      this.hide();
+      return;
+    }
+
+    const bottomColor = perspective === "black" ? "black" : "white";
+    const topColor = bottomColor === "white" ? "black" : "white";
+
+    this.renderClock(this.topEl, topColor, snapshot);
+    this.renderClock(this.bottomEl, bottomColor, snapshot);
+  }
+
+  renderClock(el, color, snapshot) {
+    if (!el) return;
+    const ms = snapshot[color];
+    el.hidden = false;
+    el.textContent = `${color === "white" ? "White" : "Black"} ${formatClockTime(ms)}`;
+    el.classList.toggle("chess-clock-running", snapshot.running === color);
+    el.classList.toggle("chess-clock-low", ms < LOW_TIME_MS);
+    el.classList.toggle("chess-clock-flagged", ms <= 0);
+  }
+
+  hide() {
+    if (this.topEl) this.topEl.hidden = true;
+    if (this.bottomEl) this.bottomEl.hidden = true;
+  }
+}
+
+/**
+ * Format ms as h:mm:ss, m:ss, or m:ss.t under ten seconds.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatClockTime(ms) {
+  const clamped = Math.max(0, ms);
+  if (clamped < 10000) {
+    const tenths = Math.floor(clamped / 100);
+    return `0:0${Math.floor(tenths / 10)}.${tenths % 10}`;
+  }
+  const totalSeconds = Math.ceil(clamped / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
@@ -2,41 +2,102 @@
  * Controls.js
  *
  * Handles:
+ * - Opponent selection (computer / two players / computer vs computer)
+ *   and board auto-flip
  * - Color selection (white / black / random)
- * - Difficulty selection (1-5)
+ * - Difficulty selection (1-5), or a level per side in computer vs computer
+ * - Thinking time input
+ * - Clock (time control) selection
+ * - Whether hints are allowed in the next game
+ * - Opening book for the computer: built-in, a loaded Polyglot file, or none
  * - New game button
  *
- * Provides getters for current settings and notifies when a new game is requested.
+ * Provides getters for current settings and notifies when a new game is
+ * requested or the thinking time or auto-flip setting changes.
  */
 
 export class Controls {
   /**
    * @param {Object} options
+   * @param {HTMLSelectElement} [options.modeSelect]
+   * @param {HTMLInputElement} [options.autoFlipCheckbox]
    * @param {HTMLElement} options.colorChoiceContainer
    * @param {HTMLSelectElement} options.difficultySelect
+   * @param {HTMLSelectElement} [options.whiteLevelSelect]
+   * @param {HTMLSelectElement} [options.blackLevelSelect]
+   * @param {HTMLInputElement} [options.thinkingTimeInput]
+   * @param {HTMLSelectElement} [options.timeControlSelect]
+   * @param {HTMLInputElement} [options.hintsCheckbox]
+   * @param {HTMLSelectElement} [options.bookSelect]
+   * @param {HTMLButtonElement} [options.bookLoadButton]
+   * @param {HTMLInputElement} [options.bookFileInput] - hidden file input opened by bookLoadButton
    * @param {HTMLButtonElement} options.newGameButton
    * @param {() => void} options.onNewGameRequested
+   * @param {(ms: number) => void} [options.onThinkingTimeChanged]
+   * @param {(enabled: boolean) => void} [options.onAutoFlipChanged]
+   * @param {(file: File) => void} [options.onBookFileChosen] - validate and pass to setCustomBook()
    */
   constructor({
+    modeSelect,
+    autoFlipCheckbox,
     colorChoiceContainer,
     difficultySelect,
+    whiteLevelSelect,
+    blackLevelSelect,
+    thinkingTimeInput,
+    timeControlSelect,
+    hintsCheckbox,
+    bookSelect,
+    bookLoadButton,
+    bookFileInput,
     newGameButton,
     onNewGameRequested,
+    onThinkingTimeChanged,
+    onAutoFlipChanged,
+    onBookFileChosen,
   }) {
+    this.modeSelect = modeSelect || null;
+    this.autoFlipCheckbox = autoFlipCheckbox || null;
     this.colorChoiceContainer = colorChoiceContainer;
     this.difficultySelect = difficultySelect;
+    this.whiteLevelSelect = whiteLevelSelect || null;
+    this.blackLevelSelect = blackLevelSelect || null;
+    this.thinkingTimeInput = thinkingTimeInput || null;
+    this.timeControlSelect = timeControlSelect || null;
+    this.hintsCheckbox = hintsCheckbox || null;
+    this.bookSelect = bookSelect || null;
+    this.bookLoadButton = bookLoadButton || null;
+    this.bookFileInput = bookFileInput || null;
     this.newGameButton = newGameButton;
     this.onNewGameRequested = onNewGameRequested || (() => { });
+    this.onThinkingTimeChanged = onThinkingTimeChanged || (() => { });
+    this.onAutoFlipChanged = onAutoFlipChanged || (() => { });
+    this.onBookFileChosen = onBookFileChosen || (() => { });
 
     this.selectedColor = "white"; // "white" | "black" | "random"
+    /** Loaded Polyglot book contents, offered as the "custom" book. */
+    this.customBook = null;
 
     this.handleColorClick = this.handleColorClick.bind(this);
     this.handleNewGameClick = this.handleNewGameClick.bind(this);
+    this.handleThinkingTimeChange = this.handleThinkingTimeChange.bind(this);
+    this.handleModeChange = this.handleModeChange.bind(this);
 
     this.init();
   }
 
   init() {
+    if (this.modeSelect) {
+      this.modeSelect.addEventListener("change", this.handleModeChange);
+      this.syncModeControls();
+    }
+
+    if (this.autoFlipCheckbox) {
+      this.autoFlipCheckbox.addEventListener("change", () => {
+        this.onAutoFlipChanged(this.getAutoFlip());
+      });
+    }
+
     if (this.colorChoiceContainer) {
       this.colorChoiceContainer.addEventListener(
         "click",
@@ -54,6 +115,45 @@ export class Controls {
     if (this.newGameButton) {
       this.newGameButton.addEventListener("click", this.handleNewGameClick);
     }
+
+    if (this.thinkingTimeInput) {
+      this.thinkingTimeInput.addEventListener(
+        "change",
+        this.handleThinkingTimeChange
+      );
+    }
+
+    if (this.bookLoadButton && this.bookFileInput) {
+      this.bookLoadButton.addEventListener("click", () => this.bookFileInput.click());
+      this.bookFileInput.addEventListener("change", () => {
+        const [file] = this.bookFileInput.files;
+        // Allow choosing the same file again.
+        this.bookFileInput.value = "";
+        if (file) this.onBookFileChosen(file);
+      });
+    }
+  }
+
+  /**
+   * Handle opponent changes; takes effect with the next new game.
+   */
+  handleModeChange() {
+    this.syncModeControls();
+  }
+
+  /**
+   * Enable the inputs that matter for the selected opponent.
+   */
+  syncModeControls() {
+    const mode = this.getMode();
+    if (this.difficultySelect) {
+      this.difficultySelect.disabled = mode === "human";
+      setGroupHidden(this.difficultySelect, mode === "watch");
+    }
+    if (this.whiteLevelSelect) setGroupHidden(this.whiteLevelSelect, mode !== "watch");
+    if (this.autoFlipCheckbox) this.autoFlipCheckbox.disabled = mode !== "human";
+    if (this.hintsCheckbox) this.hintsCheckbox.disabled = mode === "watch";
+    if (this.bookSelect) this.bookSelect.disabled = mode === "human";
   }
 
   /**
@@ -74,6 +174,16 @@ export class Controls {
     target.classList.add("active");
   }
 
+  /**
+   * Handle edits to the thinking time input; applies mid-game.
+   */
+  handleThinkingTimeChange() {
+    const ms = this.getThinkingTime();
+    // Reflect clamping back into the input.
+    this.thinkingTimeInput.value = String(ms / 1000);
+    this.onThinkingTimeChanged(ms);
+  }
+
   /**
    * Handle "New Game" button click.
    */
@@ -81,6 +191,24 @@ export class Controls {
     this.onNewGameRequested();
   }
 
+  /**
+   * Get selected opponent (see GameMode in Game.js).
+   * @returns {"computer"|"human"|"watch"}
+   */
+  getMode() {
+    if (!this.modeSelect) return "computer";
+    const mode = this.modeSelect.value;
+    return mode === "human" || mode === "watch" ? mode : "computer";
+  }
+
+  /**
+   * Whether the board should turn to the side to move (two-player games only).
+   * @returns {boolean}
+   */
+  getAutoFlip() {
+    return !!this.autoFlipCheckbox && this.autoFlipCheckbox.checked;
+  }
+
   /**
    * Get selected player color; resolves "random" to actual side at Game creation.
    * @returns {"white"|"black"|"random"}
@@ -94,10 +222,62 @@ export class Controls {
    * @returns {number} 1-5
    */
   getDifficulty() {
-    if (!this.difficultySelect) return 3;
-    const val = Number(this.difficultySelect.value || 3);
-    if (Number.isNaN(val) || val < 1 || val > 5) return 3;
-    return val;
+    return readLevel(this.difficultySelect);
+  }
+
+  /**
+   * Get the level of each engine for computer vs computer games.
+   * @returns {{white:number, black:number}} 1-5 each
+   */
+  getEngineLevels() {
+    return {
+      white: readLevel(this.whiteLevelSelect),
+      black: readLevel(this.blackLevelSelect),
+    };
+  }
+
+  /**
+   * Get selected time control key (see TIME_CONTROLS in Clock.js).
+   * @returns {string} "none" when the game is untimed
+   */
+  getTimeControl() {
+    if (!this.timeControlSelect) return "none";
+    return this.timeControlSelect.value || "none";
+  }
+
+  /**
+   * Whether human players may ask for hints in the next game.
+   * @returns {boolean}
+   */
+  getHintsAllowed() {
+    return !this.hintsCheckbox || this.hintsCheckbox.checked;
+  }
+
+  /**
+   * Offer a loaded Polyglot book and select it.
+   * @param {string} name - file name
+   * @param {ArrayBuffer} data
+   */
+  setCustomBook(name, data) {
+    this.customBook = data;
+    if (!this.bookSelect) return;
+    const option = this.bookSelect.querySelector('option[value="custom"]');
+    if (option) {
+      option.disabled = false;
+      option.textContent = `Polyglot: ${name}`;
+    }
+    this.bookSelect.value = "custom";
+  }
+
+  /**
+   * Get the opening book for the next game (see Game's book option).
+   * @returns {"builtin"|ArrayBuffer|null}
+   */
+  getOpeningBook() {
+    if (!this.bookSelect) return "builtin";
+    if (this.bookSelect.value === "none") return null;
+    if (this.bookSelect.value === "custom") return this.customBook;
+    return "builtin";
   }
 
   /**
@@ -105,11 +285,33 @@ export class Controls {
    * @returns {number}
    */
   getThinkingTime() {
-    const input = document.getElementById("thinking-time");
+    const input = this.thinkingTimeInput;
     if (!input) return 10000;
     const val = Number(input.value || 10);
+    if (Number.isNaN(val)) return 10000;
     // Clamp between 1s and 60s
-    return Math.max(1000, Math.min(60000, val * 1000));
+    return Math.max(1000, Math.min(60000, Math.round(val) * 1000));
   }
 }
 
+/**
+ * Read a 1-5 level from a select, defaulting to 3.
+ * @param {HTMLSelectElement|null} select
+ * @returns {number}
+ */
+function readLevel(select) {
+  if (!select) return 3;
+  const val = Number(select.value || 3);
+  if (Number.isNaN(val) || val < 1 || val > 5) return 3;
+  return val;
+}
+
+/**
+ * Show or hide the control group containing `el`.
+ * @param {HTMLElement} el
+ * @param {boolean} hidden
+ */
+function setGroupHidden(el, hidden) {
+  const group = el.closest(".control-group") || el;
+  group.hidden = hidden;
+}
@@ -2,19 +2,27 @@
  * GameEndModal.js
  *
  * Displays a modal when the game ends showing:
- * - Winner (if checkmate)
+ * - Winner (if checkmate); "You" / "Computer" against the computer,
+ *   White / Black when two people played
  * - Draw status and reason
  * - Option to start a new game
+ * - Option to export the game as PGN
+ * - Option to review the game, with its progress and each side's accuracy
  */
 
 export class GameEndModal {
   /**
    * @param {HTMLElement} container - Container element for the modal
    * @param {() => void} onNewGame - Callback when "New Game" is clicked
+   * @param {Object} [callbacks]
+   * @param {() => void} [callbacks.onExportPGN] - Callback when "Export PGN" is clicked
+   * @param {() => void} [callbacks.onReviewGame] - Callback when "Review game" / "Show review" is clicked
    */
-  constructor(container, onNewGame) {
+  constructor(container, onNewGame, { onExportPGN, onReviewGame } = {}) {
     this.container = container;
     this.onNewGame = onNewGame || (() => {});
+    this.onExportPGN = onExportPGN || (() => {});
+    this.onReviewGame = onReviewGame || (() => {});
     this.modal = null;
     this.init();
   }
@@ -32,8 +40,11 @@ export class GameEndModal {
         <div class="game-end-icon" id="game-end-icon"></div>
         <h2 id="game-end-title" class="game-end-title"></h2>
         <p class="game-end-message" id="game-end-message"></p>
+        <p class="game-end-review" id="game-end-review" hidden></p>
         <div class="game-end-actions">
           <button class="btn btn-primary" id="game-end-new-game-btn">New Game</button>
+          <button class="btn" id="game-end-review-btn">Review game</button>
+          <button class="btn" id="game-end-export-pgn-btn">Export PGN</button>
           <button class="btn" id="game-end-close-btn">Close</button>
         </div>
       </div>
@@ -43,6 +54,8 @@ export class GameEndModal {
 
     // Bind event handlers
     const newGameBtn = this.modal.querySelector('#game-end-new-game-btn');
+    const exportBtn = this.modal.querySelector('#game-end-export-pgn-btn');
+    const reviewBtn = this.modal.querySelector('#game-end-review-btn');
     const closeBtn = this.modal.querySelector('#game-end-close-btn');
     const backdrop = this.modal.querySelector('.game-end-modal-backdrop');
 
@@ -51,6 +64,14 @@ export class GameEndModal {
       this.onNewGame();
     });
 
+    exportBtn.addEventListener('click', () => {
+      this.onExportPGN();
+    });
+
+    reviewBtn.addEventListener('click', () => {
+      this.onReviewGame();
+    });
+
     closeBtn.addEventListener('click', () => {
       this.hide();
     });
@@ -74,10 +95,11 @@ export class GameEndModal {
   /**
    * Show the modal with game result
    * @param {Object} result - Game result information
-   * @param {string} result.outcome - "checkmate" | "stalemate" | "draw"
+   * @param {string} result.outcome - "checkmate" | "timeout" | "resignation" | "stalemate" | "draw"
    * @param {"white"|"black"|null} result.winner - Winner color or null
    * @param {string} result.reason - Reason for draw/end
-   * @param {"white"|"black"} playerColor - Player's color
+   * @param {"white"|"black"|null} playerColor - Player's color; null when
+   *   no single player is "you" (two-player games)
    */
   show(result, playerColor) {
     if (!this.modal) return;
@@ -90,11 +112,40 @@ export class GameEndModal {
     let title = '';
     let message = '';
 
+    const winnerName = result.winner === 'white' ? 'White' : 'Black';
+
     if (result.outcome === 'checkmate') {
       const isPlayerWinner = result.winner === playerColor;
-      icon = isPlayerWinner ? '🎉' : '😔';
-      title = isPlayerWinner ? 'You Win!' : 'Computer Wins';
-      message = `Checkmate! ${result.winner === 'white' ? 'White' : 'Black'} wins.`;
+      if (playerColor) {
+        icon = isPlayerWinner ? '🎉' : '😔';
+        title = isPlayerWinner ? 'You Win!' : 'Computer Wins';
+      } else {
+        icon = '🏆';
+        title = `${winnerName} Wins!`;
+      }
+      message = `Checkmate! ${winnerName} wins.`;
+    } else if (result.outcome === 'timeout') {
+      const isPlayerWinner = result.winner === playerColor;
+      const loser = result.winner === 'white' ? 'Black' : 'White';
+      if (playerColor) {
+        icon = isPlayerWinner ? '🎉' : '⏰';
+        title = isPlayerWinner ? 'You Win!' : 'Computer Wins';
+      } else {
+        icon = '⏰';
+        title = `${winnerName} Wins on Time`;
+      }
+      message = `${loser} ran out of time. ${winnerName} wins on time.`;
+    } else if (result.outcome === 'resignation') {
+      const isPlayerWinner = result.winner === playerColor;
+      const loser = result.winner === 'white' ? 'Black' : 'White';
+      if (playerColor) {
+        icon = isPlayerWinner ? '🎉' : '🏳️';
+        title = isPlayerWinner ? 'You Win!' : 'Computer Wins';
+      } else {
+        icon = '🏳️';
+        title = `${winnerName} Wins`;
+      }
+      message = `${loser} resigned. ${winnerName} wins.`;
     } else if (result.outcome === 'stalemate') {
       icon = '🤝';
       title = 'Draw';
@@ -116,9 +167,10 @@ export class GameEndModal {
 
     // Add appropriate class for styling
     this.modal.className = 'game-end-modal';
-    if (result.outcome === 'checkmate' && result.winner === playerColor) {
+    const isDecisive = result.winner === 'white' || result.winner === 'black';
+    if (isDecisive && (!playerColor || result.winner === playerColor)) {
       this.modal.classList.add('game-end-modal-victory');
-    } else if (result.outcome === 'checkmate') {
+    } else if (isDecisive) {
       this.modal.classList.add('game-end-modal-defeat');
     } else {
       this.modal.classList.add('game-end-modal-draw');
@@ -128,6 +180,39 @@ export class GameEndModal {
     document.body.style.overflow = 'hidden'; // Prevent background scrolling
   }
 
+  /**
+   * Show the state of the game review
+   * @param {Object} review
+   * @param {"idle"|"running"|"done"|"error"} review.status
+   * @param {number} [review.done] - positions evaluated (running)
+   * @param {number} [review.total] - positions to evaluate (running)
+   * @param {{white:string|null, black:string|null}} [review.accuracy] - formatted accuracy per side (done)
+   * @param {string} [review.message] - error message
+   */
+  setReviewState(review) {
+    if (!this.modal) return;
+
+    const reviewBtn = this.modal.querySelector('#game-end-review-btn');
+    const reviewEl = this.modal.querySelector('#game-end-review');
+
+    reviewBtn.disabled = review.status === 'running';
+    reviewBtn.textContent = review.status === 'done' ? 'Show review' : 'Review game';
+
+    let text = '';
+    if (review.status === 'running') {
+      text = `Reviewing the game... ${review.done}/${review.total} positions`;
+    } else if (review.status === 'done') {
+      text = ['white', 'black']
+        .filter((color) => review.accuracy[color] !== null)
+        .map((color) => `${color === 'white' ? 'White' : 'Black'}: ${review.accuracy[color]} accuracy`)
+        .join(' · ');
+    } else if (review.status === 'error') {
+      text = `Review failed: ${review.message}`;
+    }
+    reviewEl.textContent = text;
+    reviewEl.hidden = !text;
+  }
+
   /**
    * Hide the modal
    */
@@ -0,0 +1,152 @@
+/**
+ * MoveHistoryView.js
+ *
+ * Renders the move list as numbered move pairs ("12. Nf3 Nc6") and lets the
+ * user browse earlier positions:
+ * - Clicking a move selects the position after that ply.
+ * - First / previous / next / last buttons and the Home, ArrowLeft,
+ *   ArrowRight and End keys step through the plies.
+ *
+ * Presentation-only: the view reports the requested ply through
+ * onPlySelected(ply) and main.js decides what the board shows. A ply is the
+ * number of history moves played, so 0 is the start position and
+ * history.length is the live position.
+ */
+
+export class MoveHistoryView {
+  /**
+   * @param {Object} elements
+   * @param {HTMLOListElement} elements.listEl - the move list
+   * @param {HTMLButtonElement} [elements.firstBtn]
+   * @param {HTMLButtonElement} [elements.prevBtn]
+   * @param {HTMLButtonElement} [elements.nextBtn]
+   * @param {HTMLButtonElement} [elements.lastBtn]
+   * @param {(ply:number) => void} elements.onPlySelected
+   */
+  constructor({ listEl, firstBtn, prevBtn, nextBtn, lastBtn, onPlySelected }) {
+    this.listEl = listEl;
+    this.buttons = { firstBtn, prevBtn, nextBtn, lastBtn };
+    this.onPlySelected = onPlySelected;
+    this.plyCount = 0;
+    this.currentPly = 0;
+
+    this.listEl.addEventListener("click", (event) => {
+      const moveEl = event.target.closest("[data-ply]");
+      if (!moveEl || !this.listEl.contains(moveEl)) return;
+      this.select(Number(moveEl.dataset.ply));
+    });
+
+    if (firstBtn) firstBtn.addEventListener("click", () => this.select(0));
+    if (prevBtn) prevBtn.addEventListener("click", () => this.select(this.currentPly - 1));
+    if (nextBtn) nextBtn.addEventListener("click", () => this.select(this.currentPly + 1));
+    if (lastBtn) lastBtn.addEventListener("click", () => this.select(this.plyCount));
+
+    document.addEventListener("keydown", (event) => this.handleKeydown(event));
+  }
+
+  /**
+   * Render the move list.
+   * @param {string[]} history - SAN moves
+   * @param {number} startPly - game ply of history[0] (0 = White's first move)
+   * @param {number} currentPly - ply shown on the board
+   */
+  render(history, startPly, currentPly) {
+    this.plyCount = history.length;
+    this.currentPly = currentPly;
+    this.listEl.innerHTML = "";
+
+    let row = null;
+    history.forEach((san, index) => {
+      const gamePly = startPly + index;
+      const isWhite = gamePly % 2 === 0;
+
+      if (isWhite || !row) {
+        row = document.createElement("li");
+        row.className = "history-row";
+
+        const number = document.createElement("span");
+        number.className = "history-move-number";
+        number.textContent = `${Math.floor(gamePly / 2) + 1}.`;
+        row.appendChild(number);
+
+        if (!isWhite) {
+          const placeholder = document.createElement("span");
+          placeholder.className = "history-move history-move-empty";
+          placeholder.textContent = "...";
+          row.appendChild(placeholder);
+        }
+        this.listEl.appendChild(row);
+      }
+
+      const ply = index + 1;
+      const moveEl = document.createElement("button");
+      moveEl.type = "button";
+      moveEl.className = "history-move";
+      moveEl.textContent = san;
+      moveEl.dataset.ply = String(ply);
+      if (ply === currentPly) {
+        moveEl.classList.add("history-move-current");
+        moveEl.setAttribute("aria-current", "step");
+      }
+      row.appendChild(moveEl);
+    });
+
+    const { firstBtn, prevBtn, nextBtn, lastBtn } = this.buttons;
+    if (firstBtn) firstBtn.disabled = currentPly <= 0;
+    if (prevBtn) prevBtn.disabled = currentPly <= 0;
+    if (nextBtn) nextBtn.disabled = currentPly >= this.plyCount;
+    if (lastBtn) lastBtn.disabled = currentPly >= this.plyCount;
+
+    this.scrollToCurrent();
+  }
+
+  /**
+   * Request a ply, clamped to the available history.
+   * @param {number} ply
+   */
+  select(ply) {
+    const clamped = Math.max(0, Math.min(this.plyCount, ply));
+    if (clamped === this.currentPly) return;
+    this.onPlySelected(clamped);
+  }
+
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    const target = event.target;
+    if (
+      target instanceof HTMLElement &&
+      (target.isContentEditable || target.matches("input, textarea, select"))
+    ) {
+      return;
+    }
+
+    const plies = {
+      Home: 0,
+      ArrowLeft: this.currentPly - 1,
+      ArrowRight: this.currentPly + 1,
+      End: this.plyCount,
+    };
+    if (!(event.key in plies)) return;
+
+    event.preventDefault();
+    this.select(plies[event.key]);
+  }
+
+  /**
+   * Keep the highlighted move visible without scrolling the page.
+   */
+  scrollToCurrent() {
+    const current = this.listEl.querySelector(".history-move-current");
+    if (!current) {
+      this.listEl.scrollTop = this.currentPly === 0 ? 0 : this.listEl.scrollHeight;
+      return;
+    }
+    const listRect = this.listEl.getBoundingClientRect();
+    const moveRect = current.getBoundingClientRect();
+    if (moveRect.top < listRect.top) {
+      this.listEl.scrollTop -= listRect.top - moveRect.top;
+    } else if (moveRect.bottom > listRect.bottom) {
+      this.listEl.scrollTop += moveRect.bottom - listRect.bottom;
+    }
+  }
+}
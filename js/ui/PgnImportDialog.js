@@ -0,0 +1,178 @@
+/**
+ * PgnImportDialog.js
+ *
+ * Modal dialog for importing games from PGN:
+ * - Paste PGN text or load a .pgn file
+ * - Pick one game when the input contains several
+ * - Report parse / replay errors inline
+ *
+ * Parsing and replaying are delegated to the caller; this module only
+ * handles presentation.
+ */
+
+export class PgnImportDialog {
+  /**
+   * @param {HTMLElement} container - Container element for the dialog
+   * @param {Object} callbacks
+   * @param {(text: string) => import("../engine/Pgn.js").ParsedPgnGame[]} callbacks.onParse
+   *   Parse PGN text; may throw with a descriptive message.
+   * @param {(game: import("../engine/Pgn.js").ParsedPgnGame) => void} callbacks.onLoad
+   *   Load the chosen game; may throw with a descriptive message.
+   */
+  constructor(container, { onParse, onLoad }) {
+    this.container = container;
+    this.onParse = onParse;
+    this.onLoad = onLoad;
+    this.games = [];
+    this.modal = null;
+    this.init();
+  }
+
+  init() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'pgn-import-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-labelledby', 'pgn-import-title');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.innerHTML = `
+      <div class="game-end-modal-backdrop"></div>
+      <div class="pgn-import-content">
+        <h2 id="pgn-import-title" class="pgn-import-title">Import PGN</h2>
+        <textarea id="pgn-import-text" class="pgn-import-text" rows="10"
+          placeholder="Paste PGN here or choose a file below" spellcheck="false"></textarea>
+        <input type="file" id="pgn-import-file" accept=".pgn,application/x-chess-pgn,text/plain" />
+        <div class="control-group pgn-import-games" hidden>
+          <label for="pgn-import-game-select">Game:</label>
+          <select id="pgn-import-game-select"></select>
+        </div>
+        <p class="pgn-import-error" id="pgn-import-error" role="alert"></p>
+        <div class="game-end-actions">
+          <button class="btn btn-primary" id="pgn-import-load-btn">Load Game</button>
+          <button class="btn" id="pgn-import-cancel-btn">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    this.container.appendChild(this.modal);
+
+    this.textEl = this.modal.querySelector('#pgn-import-text');
+    this.fileEl = this.modal.querySelector('#pgn-import-file');
+    this.gamesGroupEl = this.modal.querySelector('.pgn-import-games');
+    this.gameSelectEl = this.modal.querySelector('#pgn-import-game-select');
+    this.errorEl = this.modal.querySelector('#pgn-import-error');
+
+    this.textEl.addEventListener('input', () => this.refreshGameList());
+
+    this.fileEl.addEventListener('change', async () => {
+      const file = this.fileEl.files && this.fileEl.files[0];
+      if (!file) return;
+      this.textEl.value = await file.text();
+      this.refreshGameList();
+    });
+
+    this.modal.querySelector('#pgn-import-load-btn').addEventListener('click', () => {
+      this.handleLoad();
+    });
+    this.modal.querySelector('#pgn-import-cancel-btn').addEventListener('click', () => {
+      this.hide();
+    });
+    this.modal.querySelector('.game-end-modal-backdrop').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.handleEscape = (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    };
+    document.addEventListener('keydown', this.handleEscape);
+
+    this.hide();
+  }
+
+  /**
+   * Re-parse the current text and rebuild the game picker.
+   * @returns {boolean} whether parsing succeeded
+   */
+  refreshGameList() {
+    this.setError('');
+    this.games = [];
+    this.gameSelectEl.innerHTML = '';
+    this.gamesGroupEl.hidden = true;
+
+    const text = this.textEl.value.trim();
+    if (!text) return false;
+
+    try {
+      this.games = this.onParse(text);
+    } catch (error) {
+      this.setError(error.message);
+      return false;
+    }
+
+    if (this.games.length === 0) {
+      this.setError('No games found in the PGN text.');
+      return false;
+    }
+
+    this.games.forEach((game, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      const white = game.tags.White || '?';
+      const black = game.tags.Black || '?';
+      const event = game.tags.Event && game.tags.Event !== '?' ? ` (${game.tags.Event})` : '';
+      option.textContent = `${index + 1}. ${white} – ${black} ${game.result}${event}`;
+      this.gameSelectEl.appendChild(option);
+    });
+    this.gamesGroupEl.hidden = this.games.length < 2;
+    return true;
+  }
+
+  handleLoad() {
+    if (!this.refreshGameList()) {
+      if (!this.errorEl.textContent) this.setError('Paste PGN text or choose a file first.');
+      return;
+    }
+
+    const game = this.games[Number(this.gameSelectEl.value) || 0];
+    try {
+      this.onLoad(game);
+      this.hide();
+    } catch (error) {
+      this.setError(error.message);
+    }
+  }
+
+  setError(message) {
+    this.errorEl.textContent = message;
+  }
+
+  /**
+   * Show the dialog with an empty form.
+   */
+  show() {
+    if (!this.modal) return;
+    this.textEl.value = '';
+    this.fileEl.value = '';
+    this.refreshGameList();
+    this.modal.classList.add('pgn-import-modal-visible');
+    document.body.style.overflow = 'hidden';
+    this.textEl.focus();
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    if (!this.modal) return;
+    this.modal.classList.remove('pgn-import-modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Check if dialog is currently visible
+   */
+  isVisible() {
+    return this.modal && this.modal.classList.contains('pgn-import-modal-visible');
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * ReviewView.js
+ *
+ * Renders a post-game review (see GameReview.js) in the side panel:
+ * - Progress while positions are being evaluated, with a Cancel button.
+ * - Accuracy and the number of inaccuracies, mistakes and blunders per side.
+ * - An evaluation graph across the game (White's winning chances); clicking
+ *   it shows that position, and a cursor marks the position on the board.
+ * - The list of errors; choosing one shows the position before it and the
+ *   engine's preferred line.
+ *
+ * Presentation-only: main.js decides which position is shown.
+ */
+
+import { winPercent } from "../engine/Accuracy.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/** Graph size in SVG units; the SVG scales to the panel width. */
+const GRAPH_WIDTH = 300;
+const GRAPH_HEIGHT = 80;
+
+/** Classifications listed as errors, mildest first. */
+const ERROR_CLASSES = ["inaccuracy", "mistake", "blunder"];
+
+const CLASS_LABELS = {
+  best: "Best move",
+  good: "Good move",
+  inaccuracy: "Inaccuracy",
+  mistake: "Mistake",
+  blunder: "Blunder",
+};
+
+export class ReviewView {
+  /**
+   * @param {Object} elements
+   * @param {HTMLElement} elements.sectionEl - panel section, hidden without a review
+   * @param {HTMLElement} elements.statusEl
+   * @param {HTMLButtonElement} elements.closeBtn - cancels or closes the review
+   * @param {HTMLElement} elements.summaryEl
+   * @param {HTMLElement} elements.graphEl
+   * @param {HTMLOListElement} elements.listEl - errors
+   * @param {HTMLElement} elements.detailEl - the chosen error and the engine's line
+   * @param {(ply: number) => void} [elements.onPlySelected] - graph clicked
+   * @param {(move: import("../GameReview.js").ReviewedMove) => void} [elements.onMoveSelected] - error chosen
+   * @param {() => void} [elements.onClose]
+   */
+  constructor({ sectionEl, statusEl, closeBtn, summaryEl, graphEl, listEl, detailEl, onPlySelected, onMoveSelected, onClose }) {
+    this.sectionEl = sectionEl;
+    this.statusEl = statusEl;
+    this.closeBtn = closeBtn;
+    this.summaryEl = summaryEl;
+    this.graphEl = graphEl;
+    this.listEl = listEl;
+    this.detailEl = detailEl;
+    this.onPlySelected = onPlySelected || (() => { });
+    this.onMoveSelected = onMoveSelected || (() => { });
+    this.onClose = onClose || (() => { });
+    /** @type {import("../GameReview.js").ReviewResult|null} */
+    this.result = null;
+    this.cursorEl = null;
+
+    this.closeBtn.addEventListener("click", () => this.onClose());
+    this.graphEl.addEventListener("click", (event) => {
+      if (!this.result) return;
+      const rect = this.graphEl.getBoundingClientRect();
+      if (rect.width === 0) return;
+      const lastPly = this.result.evaluations.length - 1;
+      const ply = Math.round(((event.clientX - rect.left) / rect.width) * lastPly);
+      this.onPlySelected(Math.max(0, Math.min(lastPly, ply)));
+    });
+    this.hide();
+  }
+
+  /**
+   * Show the panel with the number of positions evaluated so far.
+   * @param {number} done
+   * @param {number} total
+   */
+  showProgress(done, total) {
+    this.result = null;
+    this.sectionEl.hidden = false;
+    this.closeBtn.textContent = "Cancel";
+    this.statusEl.textContent = `Reviewing the game... ${done}/${total} positions`;
+    this.summaryEl.innerHTML = "";
+    this.graphEl.innerHTML = "";
+    this.listEl.innerHTML = "";
+    this.detailEl.textContent = "";
+  }
+
+  /**
+   * Show the panel with a message instead of a review (e.g. an error).
+   * @param {string} text
+   */
+  showMessage(text) {
+    this.showProgress(0, 0);
+    this.closeBtn.textContent = "Close";
+    this.statusEl.textContent = text;
+  }
+
+  /**
+   * Show a finished review.
+   * @param {import("../GameReview.js").ReviewResult} result
+   */
+  render(result) {
+    this.result = result;
+    this.sectionEl.hidden = false;
+    this.closeBtn.textContent = "Close";
+    const errors = result.moves.filter((move) => ERROR_CLASSES.includes(move.classification));
+    this.statusEl.textContent = errors.length
+      ? "Choose an error to see the engine's preferred line."
+      : "No inaccuracies, mistakes or blunders.";
+
+    this.summaryEl.innerHTML = "";
+    for (const color of ["white", "black"]) {
+      if (result.accuracy[color] === null) continue;
+      const row = document.createElement("div");
+      row.className = "review-summary-row";
+
+      const side = document.createElement("span");
+      side.className = "review-summary-side";
+      side.textContent = `${color === "white" ? "White" : "Black"} ${formatAccuracy(result.accuracy[color])}`;
+
+      const counts = document.createElement("span");
+      counts.className = "review-summary-counts";
+      counts.textContent = ERROR_CLASSES.map((name) =>
+        `${result.counts[color][name]} ${CLASS_LABELS[name].toLowerCase()}${result.counts[color][name] === 1 ? "" : "s"}`
+      ).join(", ");
+
+      row.append(side, counts);
+      this.summaryEl.appendChild(row);
+    }
+
+    this.renderGraph(result);
+
+    this.listEl.innerHTML = "";
+    for (const move of errors) {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `review-move review-move-${move.classification}`;
+      button.dataset.ply = String(move.ply);
+      button.textContent = `${move.label} ${move.san} (${CLASS_LABELS[move.classification].toLowerCase()})`;
+      button.addEventListener("click", () => this.onMoveSelected(move));
+      item.appendChild(button);
+      this.listEl.appendChild(item);
+    }
+    this.detailEl.textContent = "";
+  }
+
+  /**
+   * Mark the position on the board and the chosen error, if any.
+   * @param {number} ply - shown position, 0 = start
+   * @param {import("../GameReview.js").ReviewedMove|null} focus - chosen error
+   */
+  setCurrent(ply, focus) {
+    if (!this.result) return;
+    if (this.cursorEl) {
+      const x = plyToX(ply, this.result.evaluations.length);
+      this.cursorEl.setAttribute("x1", String(x));
+      this.cursorEl.setAttribute("x2", String(x));
+    }
+    this.listEl.querySelectorAll(".review-move").forEach((button) => {
+      button.classList.toggle("review-move-selected", !!focus && button.dataset.ply === String(focus.ply));
+    });
+    this.detailEl.textContent = focus ? describeMove(focus) : "";
+  }
+
+  hide() {
+    this.result = null;
+    this.cursorEl = null;
+    this.sectionEl.hidden = true;
+  }
+
+  /**
+   * Internal: White's winning chances per position as an area chart, with a
+   * dot on every error in its class colour.
+   */
+  renderGraph(result) {
+    const count = result.evaluations.length;
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("viewBox", `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+    svg.setAttribute("class", "review-graph-svg");
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", "Evaluation graph: White's winning chances across the game");
+
+    const points = result.evaluations.map((centipawns, ply) =>
+      `${plyToX(ply, count).toFixed(1)},${percentToY(winPercent(centipawns)).toFixed(1)}`
+    );
+    const area = createSvgElement("polygon", {
+      class: "review-graph-white",
+      points: [`0,${GRAPH_HEIGHT}`, ...points, `${GRAPH_WIDTH},${GRAPH_HEIGHT}`].join(" "),
+    });
+    const midline = createSvgElement("line", {
+      class: "review-graph-midline",
+      x1: 0,
+      x2: GRAPH_WIDTH,
+      y1: GRAPH_HEIGHT / 2,
+      y2: GRAPH_HEIGHT / 2,
+    });
+    this.cursorEl = createSvgElement("line", {
+      class: "review-graph-cursor",
+      x1: GRAPH_WIDTH,
+      x2: GRAPH_WIDTH,
+      y1: 0,
+      y2: GRAPH_HEIGHT,
+    });
+    svg.append(area, midline, this.cursorEl);
+
+    for (const move of result.moves) {
+      if (!ERROR_CLASSES.includes(move.classification)) continue;
+      const dot = createSvgElement("circle", {
+        class: `review-graph-dot review-dot-${move.classification}`,
+        cx: plyToX(move.ply + 1, count),
+        cy: percentToY(winPercent(result.evaluations[move.ply + 1])),
+        r: 3,
+      });
+      const title = createSvgElement("title", {});
+      title.textContent = `${move.label} ${move.san}: ${CLASS_LABELS[move.classification].toLowerCase()}`;
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    }
+
+    this.graphEl.innerHTML = "";
+    this.graphEl.appendChild(svg);
+  }
+}
+
+/**
+ * Accuracy as shown in the review and the game-end summary, e.g. "87.5%".
+ * @param {number} accuracy - 0..100
+ * @returns {string}
+ */
+export function formatAccuracy(accuracy) {
+  return `${accuracy.toFixed(1)}%`;
+}
+
+/**
+ * @param {import("../GameReview.js").ReviewedMove} move
+ * @returns {string} e.g. "14... Nf6 is a blunder: Black's winning chances
+ *   fall from 46% to 7%. Engine preferred 14... Qe7 15. Nc3 Nf6"
+ */
+function describeMove(move) {
+  const side = move.color === "white" ? "White" : "Black";
+  const text = `${move.label} ${move.san} is ${move.classification === "inaccuracy" ? "an" : "a"} ${move.classification}: ` +
+    `${side}'s winning chances fall from ${Math.round(move.winBefore)}% to ${Math.round(move.winAfter)}%.`;
+  return move.bestLine ? `${text} Engine preferred ${move.bestLine}` : text;
+}
+
+function createSvgElement(name, attributes) {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, String(value));
+  }
+  return element;
+}
+
+/**
+ * @param {number} ply - position index
+ * @param {number} count - number of positions
+ * @returns {number}
+ */
+function plyToX(ply, count) {
+  return count > 1 ? (ply / (count - 1)) * GRAPH_WIDTH : GRAPH_WIDTH / 2;
+}
+
+/**
+ * @param {number} percent - White's winning chances, 0..100
+ * @returns {number}
+ */
+function percentToY(percent) {
+  return GRAPH_HEIGHT * (1 - percent / 100);
+}
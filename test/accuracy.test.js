@@ -0,0 +1,88 @@
+/**
+ * accuracy.test.js
+ *
+ * Game review measures: winning chances and move accuracy against values
+ * of the Lichess curves they follow, and the thresholds of each move class.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MATE_CENTIPAWNS,
+  toCentipawns,
+  winPercent,
+  classifyMove,
+  moveAccuracy,
+} from "../js/engine/Accuracy.js";
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ * @param {string} [message]
+ */
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 0.01, `${message || ""} ${actual} is not ${expected}`);
+}
+
+/** Centipawns and the expected score in percent. */
+const WIN_PERCENT = [
+  [0, 50],
+  [100, 59.1],
+  [-100, 40.9],
+  [300, 75.11],
+  [1000, 97.54],
+  [MATE_CENTIPAWNS, 100],
+  [-MATE_CENTIPAWNS, 0],
+];
+
+/** Drop in winning chances and the expected move accuracy. */
+const MOVE_ACCURACY = [
+  [0, 100],
+  [5, 79.82],
+  [10, 63.58],
+  [20, 40.02],
+  [50, 8.53],
+  [100, 0],
+];
+
+test("winPercent", () => {
+  for (const [centipawns, expected] of WIN_PERCENT) {
+    assertClose(winPercent(centipawns), expected, `winPercent(${centipawns})`);
+  }
+});
+
+test("winPercent is symmetric between the sides", () => {
+  for (const centipawns of [35, 150, 480, 2500]) {
+    assertClose(winPercent(centipawns) + winPercent(-centipawns), 100);
+  }
+});
+
+test("moveAccuracy", () => {
+  for (const [drop, expected] of MOVE_ACCURACY) {
+    assertClose(moveAccuracy(drop), expected, `moveAccuracy(${drop})`);
+  }
+  // A move that improves on the evaluation counts as no loss.
+  assertClose(moveAccuracy(-8), 100);
+});
+
+test("classifyMove", () => {
+  assert.equal(classifyMove(40, true), "best");
+  assert.equal(classifyMove(4.99, false), "good");
+  assert.equal(classifyMove(5, false), "inaccuracy");
+  assert.equal(classifyMove(9.99, false), "inaccuracy");
+  assert.equal(classifyMove(10, false), "mistake");
+  assert.equal(classifyMove(15, false), "blunder");
+});
+
+test("mates rank above any material score, quicker mates higher", () => {
+  assert.equal(toCentipawns(85, null), 85);
+  assert.equal(toCentipawns(0, 1), 9990);
+  assert.equal(toCentipawns(0, 3), 9970);
+  assert.equal(toCentipawns(0, -2), -9980);
+  // Very long mates are still worth more than material.
+  assert.equal(toCentipawns(0, 500), 9000);
+});
@@ -0,0 +1,183 @@
+/**
+ * clock.test.js
+ *
+ * Chess clock timing on a hand-driven time source: increment, both delay
+ * modes, multi-stage controls, flag-fall and save/restore for takebacks.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ChessClock, TIME_CONTROLS, formatTimeControl } from "../js/engine/Clock.js";
+
+/**
+ * A clock whose time only moves when the test says so.
+ * @param {import("../js/engine/Clock.js").TimeControlStage[]} stages
+ * @returns {{clock:ChessClock, advance:(ms:number) => void}}
+ */
+function manualClock(stages) {
+  let time = 0;
+  const clock = new ChessClock(stages, { now: () => time });
+  return {
+    clock,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
+
+test("sudden death charges the time used", () => {
+  const { clock, advance } = manualClock(TIME_CONTROLS["5+0"].stages);
+  clock.start("white");
+  advance(12000);
+  assert.equal(clock.getRemaining("white"), 288000);
+  assert.equal(clock.getRemaining("black"), 300000);
+
+  assert.equal(clock.press("white"), true);
+  assert.equal(clock.running, "black");
+  advance(3000);
+  assert.deepEqual(clock.getSnapshot(), { white: 288000, black: 297000, running: "black" });
+});
+
+test("Fischer increment is added after each move", () => {
+  const { clock, advance } = manualClock(TIME_CONTROLS["3+2"].stages);
+  clock.start("white");
+  advance(5000);
+  clock.press("white");
+  assert.equal(clock.getRemaining("white"), 177000);
+
+  // The increment is added even when it exceeds the time used.
+  advance(500);
+  clock.press("black");
+  assert.equal(clock.getRemaining("black"), 181500);
+});
+
+test("Bronstein delay refunds the time used up to the delay", () => {
+  const { clock, advance } = manualClock(TIME_CONTROLS["25d5"].stages);
+  clock.start("white");
+  advance(3000);
+  assert.equal(clock.getRemaining("white"), 1497000);
+  clock.press("white");
+  assert.equal(clock.getRemaining("white"), 1500000);
+
+  advance(8000);
+  clock.press("black");
+  assert.equal(clock.getRemaining("black"), 1497000);
+});
+
+test("simple delay starts the clock only after the delay", () => {
+  const { clock, advance } = manualClock(TIME_CONTROLS["30d5"].stages);
+  clock.start("white");
+  advance(4000);
+  assert.equal(clock.getRemaining("white"), 1800000);
+  clock.press("white");
+  assert.equal(clock.getRemaining("white"), 1800000);
+
+  advance(7000);
+  assert.equal(clock.getRemaining("black"), 1798000);
+  clock.press("black");
+  assert.equal(clock.getRemaining("black"), 1798000);
+});
+
+test("completing a stage adds the next stage's time", () => {
+  const stages = [
+    { moves: 2, time: 60000, increment: 1000 },
+    { moves: null, time: 30000 },
+  ];
+  const { clock, advance } = manualClock(stages);
+  clock.start("white");
+  for (let move = 1; move <= 2; move += 1) {
+    advance(10000);
+    clock.press("white");
+    advance(1000);
+    clock.press("black");
+  }
+  // Two moves of 10 s with 1 s increments, then the second stage's 30 s.
+  assert.equal(clock.getRemaining("white"), 60000 - 20000 + 2000 + 30000);
+  assert.equal(clock.stageIndex.white, 1);
+  assert.equal(clock.movesInStage.white, 0);
+
+  // The second stage has no increment.
+  advance(5000);
+  clock.press("white");
+  assert.equal(clock.getRemaining("white"), 67000);
+  assert.equal(clock.movesInStage.white, 1);
+});
+
+test("the last stage repeats when it has a move count", () => {
+  const { clock, advance } = manualClock([{ moves: 1, time: 10000 }]);
+  clock.start("white");
+  advance(4000);
+  clock.press("white");
+  assert.equal(clock.getRemaining("white"), 16000);
+  assert.equal(clock.stageIndex.white, 0);
+});
+
+test("the flag falls when the time runs out", () => {
+  const { clock, advance } = manualClock([{ moves: null, time: 10000, increment: 5000 }]);
+  clock.start("white");
+  advance(9999);
+  assert.equal(clock.isFlagged("white"), false);
+  advance(1);
+  assert.equal(clock.isFlagged("white"), true);
+  assert.equal(clock.getRemaining("white"), 0);
+
+  // A move made after the flag fell earns no increment.
+  advance(2000);
+  assert.equal(clock.press("white"), false);
+  assert.equal(clock.getRemaining("white"), 0);
+  assert.equal(clock.running, null);
+});
+
+test("stop charges the running side and freezes both clocks", () => {
+  const { clock, advance } = manualClock(TIME_CONTROLS["5+0"].stages);
+  clock.start("white");
+  advance(1000);
+  clock.stop();
+  advance(60000);
+  assert.deepEqual(clock.getSnapshot(), { white: 299000, black: 300000, running: null });
+});
+
+test("restore puts back the time and stage of a saved state", () => {
+  const stages = [
+    { moves: 1, time: 60000 },
+    { moves: null, time: 30000, increment: 2000 },
+  ];
+  const { clock, advance } = manualClock(stages);
+  clock.start("white");
+  const before = clock.save();
+
+  advance(10000);
+  clock.press("white");
+  advance(20000);
+  clock.press("black");
+  assert.equal(clock.stageIndex.white, 1);
+
+  clock.restore(before);
+  assert.deepEqual(clock.save(), {
+    remaining: { white: 60000, black: 60000 },
+    stageIndex: { white: 0, black: 0 },
+    movesInStage: { white: 0, black: 0 },
+  });
+  assert.equal(clock.running, null);
+
+  // A restored clock runs from the moment it is started again.
+  advance(5000);
+  clock.start("white");
+  advance(1000);
+  assert.equal(clock.getRemaining("white"), 59000);
+
+  // The saved state is a copy.
+  before.remaining.white = 1;
+  assert.equal(clock.save().remaining.white, 60000);
+});
+
+test("time controls are written as PGN TimeControl values", () => {
+  assert.equal(formatTimeControl(TIME_CONTROLS["40/90+30"].stages), "40/5400+30:1800+30");
+  assert.equal(formatTimeControl(TIME_CONTROLS["3+2"].stages), "180+2");
+  assert.equal(formatTimeControl(TIME_CONTROLS["25d5"].stages), "?");
+  assert.equal(formatTimeControl(TIME_CONTROLS.none.stages), "-");
+});
@@ -0,0 +1,52 @@
+/**
+ * endgame.test.js
+ *
+ * Won endings are converted: level 5 plays both sides of basic mates
+ * against a lone king and must deliver mate, neither repeating the
+ * position nor giving material away.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { AI } from "../js/engine/AI.js";
+import { GameState } from "../js/engine/GameState.js";
+
+/**
+ * Play a position out at level 5 for both sides.
+ * The budget is generous so that every search reaches the level's full
+ * depth, which keeps the games the same on slow and fast machines.
+ * @param {string} fen
+ * @param {number} maxMoves - full moves before giving up
+ * @returns {Promise<{result:Object, moves:number}>}
+ */
+async function playOut(fen, maxMoves) {
+  const game = GameState.fromFEN(fen);
+  const ai = new AI();
+  let plies = 0;
+  while (plies < maxMoves * 2 && !game.isGameOver()) {
+    const move = await ai.findBestMove(game.serialize(), {
+      level: 5,
+      forColor: game.activeColor,
+      timeout: 10000,
+    });
+    game.applyMove(move);
+    plies += 1;
+  }
+  return { result: game.result, moves: Math.ceil(plies / 2) };
+}
+
+test("king and rook mate a lone king", async () => {
+  const { result, moves } = await playOut("8/8/8/4k3/8/8/8/R3K3 w - - 0 1", 30);
+  assert.equal(result.outcome, "checkmate", `${result.outcome} after ${moves} moves`);
+  assert.equal(result.winner, "white");
+});
+
+test("bishop and knight mate a lone king in the bishop's corner", async () => {
+  const { result, moves } = await playOut("8/8/8/3k4/8/8/8/2B1K1N1 w - - 0 1", 40);
+  assert.equal(result.outcome, "checkmate", `${result.outcome} after ${moves} moves`);
+  assert.equal(result.winner, "white");
+});
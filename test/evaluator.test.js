@@ -0,0 +1,88 @@
+/**
+ * evaluator.test.js
+ *
+ * Static evaluation checks: the piece-square tables point the right way for
+ * both colours, and the evaluation treats White and Black alike.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFEN } from "../js/engine/Fen.js";
+import { evaluate } from "../js/engine/Evaluator.js";
+
+/** Positions from the opening, middlegame and endgame. */
+const POSITIONS = [
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+  "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3",
+  "r2q1rk1/pp2bppp/2n1pn2/3p4/3P4/2NBPN2/PP3PPP/R2Q1RK1 w - - 0 10",
+  "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+  "8/5pk1/6p1/8/3R4/6P1/r4PK1/8 w - - 0 40",
+  "8/8/8/3k4/8/8/8/2B1K1N1 w - - 0 1",
+  "8/8/8/4k3/8/8/8/R3K3 w - - 0 1",
+];
+
+/**
+ * The same position with colours swapped and the board turned upside down.
+ * @param {string} fen
+ * @returns {string}
+ */
+function mirrorFEN(fen) {
+  const [placement, side, castling] = fen.split(" ");
+  const swapCase = (text) =>
+    text.replace(/[a-z]/gi, (c) => (c === c.toUpperCase() ? c.toLowerCase() : c.toUpperCase()));
+  const rights = castling === "-"
+    ? "-"
+    : ["K", "Q", "k", "q"].filter((right) => swapCase(castling).includes(right)).join("");
+  return [
+    swapCase(placement.split("/").reverse().join("/")),
+    side === "w" ? "b" : "w",
+    rights,
+    "-",
+    "0",
+    "1",
+  ].join(" ");
+}
+
+const whiteScore = (fen) => evaluate(parseFEN(fen), "white");
+
+/** Negation without -0, which strict equality tells apart from 0. */
+const negate = (score) => 0 - score;
+
+for (const fen of POSITIONS) {
+  test(`mirrored position evaluates to the negated score: ${fen}`, () => {
+    assert.equal(whiteScore(mirrorFEN(fen)), negate(whiteScore(fen)));
+  });
+}
+
+test("the score for one side is the negated score for the other", () => {
+  for (const fen of POSITIONS) {
+    const state = parseFEN(fen);
+    assert.equal(evaluate(state, "black"), negate(evaluate(state, "white")));
+  }
+});
+
+test("central pawn advances are rewarded for both colours", () => {
+  const start = whiteScore("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1");
+  assert.ok(whiteScore("rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1") > start);
+  assert.ok(whiteScore("rnbqkbnr/pppp1ppp/8/4p3/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1") < start);
+});
+
+test("the king shelters in the middlegame and centralises in the endgame", () => {
+  const castled = whiteScore("r1bq1rk1/pppp1ppp/2n2n2/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQ1RK1 w - - 0 1");
+  const uncastled = whiteScore("r1bq1rk1/pppp1ppp/2n2n2/2b1p3/2B1P3/5N2/PPPPKPPP/RNBQ1R2 w - - 0 1");
+  assert.ok(castled > uncastled);
+
+  const corner = whiteScore("7k/p7/8/8/8/8/P7/K7 w - - 0 1");
+  const centre = whiteScore("7k/p7/8/8/3K4/8/P7/8 w - - 0 1");
+  assert.ok(centre > corner);
+});
+
+test("pawns gain value as they near promotion in the endgame", () => {
+  const second = whiteScore("4k3/8/8/8/8/8/4P3/4K3 w - - 0 1");
+  const sixth = whiteScore("4k3/8/4P3/8/8/8/8/4K3 w - - 0 1");
+  assert.ok(sixth > second);
+});
@@ -0,0 +1,91 @@
+/**
+ * fen.test.js
+ *
+ * FEN import/export: positions survive a parse/serialize round trip, and
+ * every malformed field is rejected with an "Invalid FEN" error.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFEN, toFEN, STARTING_FEN } from "../js/engine/Fen.js";
+import { GameState } from "../js/engine/GameState.js";
+
+const ROUND_TRIP = [
+  STARTING_FEN,
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1",
+  "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+  "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+  "r3k3/8/8/8/8/8/8/4K2R w Kq - 12 40",
+  "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3",
+];
+
+for (const fen of ROUND_TRIP) {
+  test(`round trip: ${fen}`, () => {
+    assert.equal(toFEN(parseFEN(fen)), fen);
+    assert.equal(GameState.fromFEN(fen).toFEN(), fen);
+  });
+}
+
+test("parsed fields", () => {
+  const state = parseFEN("r3k3/8/8/8/8/8/8/4K2R b Kq - 12 40");
+  assert.equal(state.board[4], "wK");
+  assert.equal(state.board[7], "wR");
+  assert.equal(state.board[56], "bR");
+  assert.equal(state.board[60], "bK");
+  assert.equal(state.board.filter(Boolean).length, 4);
+  assert.equal(state.activeColor, "black");
+  assert.deepEqual(state.castlingRights, {
+    white: { kingSide: true, queenSide: false },
+    black: { kingSide: false, queenSide: true },
+  });
+  assert.equal(state.enPassantTarget, null);
+  assert.equal(state.halfmoveClock, 12);
+  assert.equal(state.fullmoveNumber, 40);
+});
+
+test("the clocks may be omitted", () => {
+  const state = parseFEN("4k3/8/8/8/8/8/8/4K3 w - -");
+  assert.equal(state.halfmoveClock, 0);
+  assert.equal(state.fullmoveNumber, 1);
+  assert.equal(toFEN(state), "4k3/8/8/8/8/8/8/4K3 w - - 0 1");
+});
+
+const REJECTED = [
+  { name: "not a string", fen: null, message: /expected a non-empty string/ },
+  { name: "empty string", fen: "   ", message: /expected a non-empty string/ },
+  { name: "too few fields", fen: "4k3/8/8/8/8/8/8/4K3 w -", message: /expected 6 space-separated fields/ },
+  { name: "too many fields", fen: "4k3/8/8/8/8/8/8/4K3 w - - 0 1 x", message: /expected 6 space-separated fields/ },
+  { name: "seven ranks", fen: "4k3/8/8/8/8/8/4K3 w - - 0 1", message: /must have 8 ranks, got 7/ },
+  { name: "unknown piece", fen: "4k3/8/8/8/3X4/8/8/4K3 w - - 0 1", message: /unknown piece "X" on rank 4/ },
+  { name: "rank too long", fen: "4k3/8/8/8/8/8/8/4K3p w - - 0 1", message: /rank 1 .* describes more than 8 squares/ },
+  { name: "rank too short", fen: "4k3/8/8/8/7/8/8/4K3 w - - 0 1", message: /rank 4 .* does not describe 8 squares/ },
+  { name: "pawn on the first rank", fen: "4k3/8/8/8/8/8/8/P3K3 w - - 0 1", message: /pawn on rank 1/ },
+  { name: "pawn on the eighth rank", fen: "p3k3/8/8/8/8/8/8/4K3 w - - 0 1", message: /pawn on rank 8/ },
+  { name: "no black king", fen: "8/8/8/8/8/8/8/4K3 w - - 0 1", message: /exactly one black king, found 0/ },
+  { name: "two white kings", fen: "4k3/8/8/8/8/8/8/3KK3 w - - 0 1", message: /exactly one white king, found 2/ },
+  { name: "active colour", fen: "4k3/8/8/8/8/8/8/4K3 x - - 0 1", message: /active color must be "w" or "b", got "x"/ },
+  { name: "castling letters", fen: "r3k2r/8/8/8/8/8/8/R3K2R w KX - 0 1", message: /malformed castling field "KX"/ },
+  { name: "repeated castling right", fen: "r3k2r/8/8/8/8/8/8/R3K2R w KK - 0 1", message: /malformed castling field "KK"/ },
+  { name: "castling without the rook", fen: "r3k2r/8/8/8/8/8/8/R3K3 w K - 0 1", message: /castling right "K" requires king on e1 and rook on h1/ },
+  { name: "castling with a moved king", fen: "r3k2r/8/8/8/8/8/8/R2K3R w Q - 0 1", message: /castling right "Q" requires king on e1 and rook on a1/ },
+  { name: "en passant square", fen: "4k3/8/8/8/8/8/8/4K3 w - z9 0 1", message: /malformed en passant square "z9"/ },
+  { name: "en passant without a double push", fen: "4k3/8/8/8/8/8/8/4K3 w - e6 0 1", message: /en passant square e6 does not follow a double pawn push/ },
+  { name: "en passant on the wrong rank", fen: "4k3/8/8/8/4P3/8/8/4K3 w - e3 0 1", message: /en passant square e3 does not follow a double pawn push/ },
+  { name: "halfmove clock", fen: "4k3/8/8/8/8/8/8/4K3 w - - -1 1", message: /halfmove clock must be a non-negative integer, got "-1"/ },
+  { name: "fullmove number", fen: "4k3/8/8/8/8/8/8/4K3 w - - 0 0", message: /fullmove number must be a positive integer, got "0"/ },
+  { name: "side not to move in check", fen: "4k3/8/8/8/8/8/8/4K2r b - - 0 1", message: /the side not to move is in check/ },
+];
+
+for (const { name, fen, message } of REJECTED) {
+  test(`rejects ${name}`, () => {
+    assert.throws(() => parseFEN(fen), (error) => {
+      assert.match(error.message, /^Invalid FEN: /);
+      assert.match(error.message, message);
+      return true;
+    });
+  });
+}
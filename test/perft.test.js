@@ -0,0 +1,130 @@
+/**
+ * perft.test.js
+ *
+ * Rules regression suite: legal move generation checked against published
+ * perft counts (https://www.chessprogramming.org/Perft_Results).
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFEN } from "../js/engine/Fen.js";
+import {
+  perft,
+  divide,
+  generateLegalMoves,
+  makeMove,
+  unmakeMove,
+} from "../js/engine/Rules.js";
+
+/**
+ * Positions with expected node counts per depth (index 0 = depth 1).
+ * Depths are kept modest so the suite runs in seconds.
+ */
+const POSITIONS = [
+  {
+    name: "initial position",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    counts: [20, 400, 8902, 197281],
+  },
+  {
+    name: "Kiwipete (castling, pins, en passant)",
+    fen: "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+    counts: [48, 2039, 97862],
+  },
+  {
+    name: "position 3 (en passant discovered checks)",
+    fen: "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+    counts: [14, 191, 2812, 43238],
+  },
+  {
+    name: "position 4 (promotions, castling through attacks)",
+    fen: "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1",
+    counts: [6, 264, 9467],
+  },
+  {
+    name: "position 4 mirrored",
+    fen: "r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1",
+    counts: [6, 264, 9467],
+  },
+  {
+    name: "position 5 (promotion with capture and check)",
+    fen: "rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8",
+    counts: [44, 1486, 62379],
+  },
+  {
+    name: "position 6 (symmetrical middlegame)",
+    fen: "r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10",
+    counts: [46, 2079, 89890],
+  },
+];
+
+for (const { name, fen, counts } of POSITIONS) {
+  test(`perft: ${name}`, () => {
+    const state = parseFEN(fen);
+    counts.forEach((expected, i) => {
+      assert.equal(perft(state, i + 1), expected, `depth ${i + 1}`);
+    });
+  });
+}
+
+test("divide sums to perft and names moves in coordinate notation", () => {
+  const state = parseFEN(POSITIONS[0].fen);
+  const split = divide(state, 2);
+  assert.equal(Object.keys(split).length, 20);
+  assert.equal(split.e2e4, 20);
+  assert.equal(split.g1f3, 20);
+  assert.equal(
+    Object.values(split).reduce((sum, n) => sum + n, 0),
+    400
+  );
+
+  const promo = divide(parseFEN("8/P7/8/8/8/8/8/k6K w - - 0 1"), 1);
+  assert.deepEqual(
+    Object.keys(promo).filter((key) => key.startsWith("a7")).sort(),
+    ["a7a8b", "a7a8n", "a7a8q", "a7a8r"]
+  );
+});
+
+test("perft leaves the given state unchanged", () => {
+  const state = parseFEN(POSITIONS[1].fen);
+  const before = JSON.stringify(state);
+  perft(state, 2);
+  divide(state, 2);
+  assert.equal(JSON.stringify(state), before);
+});
+
+test("no castling when the rook is missing, whatever the rights say", () => {
+  // Rights claim both sides, but the h1 rook is gone.
+  const state = parseFEN("r3k2r/8/8/8/8/8/8/R3K3 w Qkq - 0 1");
+  state.castlingRights.white.kingSide = true;
+
+  const moves = generateLegalMoves(state);
+  assert.ok(!moves.some((m) => m.isCastleKingSide), "O-O without a rook");
+  assert.ok(moves.some((m) => m.isCastleQueenSide), "O-O-O still allowed");
+});
+
+test("makeMove drops rights for missing rooks and unmakeMove restores them", () => {
+  const state = parseFEN("r3k2r/8/8/8/8/8/8/R3K3 w Qkq - 0 1");
+  state.castlingRights.white.kingSide = true;
+  const before = JSON.stringify(state);
+
+  const move = generateLegalMoves(state).find(
+    (m) => m.from === "a1" && m.to === "a2"
+  );
+  const undo = makeMove(state, move);
+  assert.deepEqual(state.castlingRights.white, {
+    kingSide: false,
+    queenSide: false,
+  });
+  assert.deepEqual(state.castlingRights.black, {
+    kingSide: true,
+    queenSide: true,
+  });
+
+  unmakeMove(state, move, undo);
+  assert.equal(JSON.stringify(state), before);
+});
@@ -0,0 +1,143 @@
+/**
+ * pgn.test.js
+ *
+ * PGN import/export: games written by writePGN parse back to the same
+ * moves and replay to the same position, and the parser keeps comments,
+ * NAGs, variations and every game of a multi-game file.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { writePGN, parsePGN, replayPGNGame } from "../js/engine/Pgn.js";
+
+const SCHOLARS_MATE = ["e4", "e5", "Bc4", "Nc6", "Qh5", "Nf6", "Qxf7#"];
+
+test("a written game parses and replays to the same position", () => {
+  const text = writePGN({
+    tags: { White: "Alice", Black: "Bob" },
+    moves: SCHOLARS_MATE,
+    comments: { 0: "Best by test", 4: "Threatening mate" },
+    result: "1-0",
+  });
+
+  assert.deepEqual(text.split("\n").slice(0, 8), [
+    '[Event "?"]',
+    '[Site "?"]',
+    '[Date "????.??.??"]',
+    '[Round "-"]',
+    '[White "Alice"]',
+    '[Black "Bob"]',
+    '[Result "1-0"]',
+    "",
+  ]);
+  // A black move after a comment is numbered again.
+  assert.equal(
+    text.split("\n\n")[1].replace(/\s+/g, " ").trim(),
+    "1. e4 {Best by test} 1... e5 2. Bc4 Nc6 3. Qh5 {Threatening mate} 3... Nf6 4. Qxf7# 1-0"
+  );
+
+  const [parsed] = parsePGN(text);
+  assert.equal(parsed.tags.White, "Alice");
+  assert.equal(parsed.result, "1-0");
+  assert.deepEqual(parsed.moves.map((node) => node.san), SCHOLARS_MATE);
+  assert.deepEqual(parsed.moves[0].comments, ["Best by test"]);
+  assert.deepEqual(parsed.moves[4].comments, ["Threatening mate"]);
+
+  const state = replayPGNGame(parsed);
+  assert.deepEqual(state.moveHistory, SCHOLARS_MATE);
+  assert.equal(state.toFEN(), "r1bqkb1r/pppp1Qpp/2n2n2/4p3/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 0 4");
+  assert.equal(state.result.outcome, "checkmate");
+  assert.equal(state.result.winner, "white");
+});
+
+test("a game from a set-up position keeps its FEN and move numbers", () => {
+  const initialFEN = "6k1/8/8/8/8/8/r4PPP/6K1 b - - 5 40";
+  const text = writePGN({ moves: ["Kf8", "g3", "Ke7"], initialFEN });
+
+  assert.match(text, /\[SetUp "1"\]\n\[FEN "6k1\/8\/8\/8\/8\/8\/r4PPP\/6K1 b - - 5 40"\]/);
+  assert.match(text, /40\.\.\. Kf8 41\. g3 Ke7 \*/);
+
+  const state = replayPGNGame(parsePGN(text)[0]);
+  assert.equal(state.toFEN(), "8/4k3/8/8/8/6P1/r4P1P/6K1 w - - 1 42");
+  assert.equal(state.result.outcome, "ongoing");
+});
+
+test("long movetext wraps at 80 columns", () => {
+  const moves = ["Nf3", "Nf6", "Ng1", "Ng8"];
+  const text = writePGN({ moves: [...moves, ...moves, ...moves, ...moves, ...moves, ...moves] });
+  const movetext = text.split("\n\n")[1].trimEnd().split("\n");
+
+  assert.ok(movetext.length > 1);
+  for (const line of movetext) assert.ok(line.length <= 80, line);
+});
+
+test("NAGs, suffix annotations and nested variations are parsed", () => {
+  const [game] = parsePGN(
+    "{Opening} 1. e4 e5!? 2. Nf3 $1 (2. f4 exf4 (2... d5) 3. Nf3) ; the usual\n2... Nc6 *"
+  );
+
+  assert.deepEqual(game.comments, ["Opening"]);
+  assert.deepEqual(game.moves.map((node) => node.san), ["e4", "e5", "Nf3", "Nc6"]);
+  assert.deepEqual(game.moves[1].nags, [5]);
+  assert.deepEqual(game.moves[2].nags, [1]);
+  assert.deepEqual(game.moves[2].comments, ["the usual"]);
+  assert.equal(game.result, "*");
+
+  const [kingsGambit] = game.moves[2].variations;
+  assert.deepEqual(kingsGambit.map((node) => node.san), ["f4", "exf4", "Nf3"]);
+  assert.deepEqual(kingsGambit[1].variations[0].map((node) => node.san), ["d5"]);
+
+  const [plain] = parsePGN("1. e4 e5 2. Nf3 (2. f4) Nc6 *", { keepVariations: false });
+  assert.deepEqual(plain.moves[2].variations, []);
+});
+
+test("every game of a multi-game file is read", () => {
+  const games = parsePGN(
+    [
+      '[Event "First"]',
+      '[Result "1/2-1/2"]',
+      "",
+      "1. e4 e5 1/2-1/2",
+      "",
+      '[Event "Second"]',
+      '[Result "0-1"]',
+      "",
+      "1. d4 d5 2. c4 0-1",
+      "",
+      '[Event "Third"]',
+      '[Result "1-0"]',
+      "",
+      "1. c4",
+      "",
+    ].join("\n")
+  );
+
+  assert.deepEqual(games.map((game) => game.tags.Event), ["First", "Second", "Third"]);
+  assert.deepEqual(games.map((game) => game.result), ["1/2-1/2", "0-1", "1-0"]);
+  assert.deepEqual(games.map((game) => game.moves.length), [2, 3, 1]);
+
+  // Results that the final position does not explain are recorded as given.
+  assert.equal(replayPGNGame(games[0]).result.reason, "Agreement");
+  assert.equal(replayPGNGame(games[1]).result.outcome, "resignation");
+  assert.equal(replayPGNGame(games[1]).result.winner, "black");
+});
+
+test("an illegal move is reported with its ply and token", () => {
+  const [game] = parsePGN("1. e4 e5 2. Ke3 *");
+  assert.throws(() => replayPGNGame(game), /^Error: PGN: ply 3 \("Ke3"\): Illegal move "Ke3"$/);
+
+  const [ambiguous] = parsePGN("1. Nc3 a6 2. Ne4 a5 3. Nf3 a4 4. Ng5 *");
+  assert.throws(() => replayPGNGame(ambiguous), /PGN: ply 7 \("Ng5"\): Ambiguous move "Ng5"/);
+});
+
+test("malformed movetext is rejected", () => {
+  assert.throws(() => parsePGN("1. e4 e5) *"), /PGN: unmatched "\)" in movetext/);
+  assert.throws(() => parsePGN("1. e4 (1. d4 *"), /PGN: game result inside a variation/);
+  assert.throws(() => parsePGN("1. e4 (1. d4"), /PGN: unterminated variation/);
+  assert.throws(() => parsePGN("1. e4 {unfinished"), /PGN: unterminated comment/);
+  assert.throws(() => parsePGN('[Event "x'), /PGN: unterminated tag pair/);
+});
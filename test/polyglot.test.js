@@ -0,0 +1,147 @@
+/**
+ * polyglot.test.js
+ *
+ * Opening book checks: Polyglot keys against the reference values from the
+ * format's documentation (http://hgm.nubati.net/book_format.html), move
+ * decoding from a hand-built book, and the book depth of each level.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFEN } from "../js/engine/Fen.js";
+import { polyglotKey, PolyglotBook } from "../js/engine/Polyglot.js";
+import { createOpeningBook, pickBookMove } from "../js/engine/OpeningBook.js";
+
+/** Reference keys; the moves leading to each position are in the name. */
+const KEYS = [
+  {
+    name: "starting position",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    key: "463b96181691fc9c",
+  },
+  {
+    name: "1. e4",
+    fen: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1",
+    key: "823c9b50fd114196",
+  },
+  {
+    name: "1. e4 d5 (en passant square, no capture possible)",
+    fen: "rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2",
+    key: "0756b94461c50fb0",
+  },
+  {
+    name: "1. e4 d5 2. e5",
+    fen: "rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2",
+    key: "662fafb965db29d4",
+  },
+  {
+    name: "1. e4 d5 2. e5 f5 (en passant capture possible)",
+    fen: "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3",
+    key: "22a48b5a8e47ff78",
+  },
+  {
+    name: "1. e4 d5 2. e5 f5 3. Ke2 (castling rights lost)",
+    fen: "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 0 3",
+    key: "652a607ca3f242c1",
+  },
+  {
+    name: "1. a4 b5 2. h4 b4 3. c4 bxc3 4. Ra3",
+    fen: "rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 0 4",
+    key: "5c3f9b829b279560",
+  },
+];
+
+/**
+ * @param {{hi:number, lo:number}} key
+ * @returns {string} 16 hex digits
+ */
+function toHex({ hi, lo }) {
+  return hi.toString(16).padStart(8, "0") + lo.toString(16).padStart(8, "0");
+}
+
+/**
+ * A Polyglot book holding the given moves for one position.
+ * @param {string} fen
+ * @param {{from:number, to:number, weight:number}[]} entries - square indices, a1 = 0
+ * @returns {PolyglotBook}
+ */
+function bookFor(fen, entries) {
+  const { hi, lo } = polyglotKey(parseFEN(fen));
+  const view = new DataView(new ArrayBuffer(entries.length * 16));
+  entries.forEach(({ from, to, weight }, i) => {
+    view.setUint32(i * 16, hi);
+    view.setUint32(i * 16 + 4, lo);
+    view.setUint16(i * 16 + 8, (from << 6) | to);
+    view.setUint16(i * 16 + 10, weight);
+  });
+  return new PolyglotBook(view.buffer);
+}
+
+for (const { name, fen, key } of KEYS) {
+  test(`polyglot key: ${name}`, () => {
+    assert.equal(toHex(polyglotKey(parseFEN(fen))), key);
+  });
+}
+
+test("castling is decoded from the king taking its own rook", () => {
+  const fen = "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1";
+  // e1h1 and e1a1, as Polyglot writes O-O and O-O-O.
+  const book = bookFor(fen, [
+    { from: 4, to: 7, weight: 3 },
+    { from: 4, to: 0, weight: 1 },
+  ]);
+  const moves = book.getMoves(parseFEN(fen));
+
+  assert.equal(moves.length, 2);
+  assert.deepEqual([moves[0].move.from, moves[0].move.to, moves[0].weight], ["e1", "g1", 3]);
+  assert.ok(moves[0].move.isCastleKingSide);
+  assert.deepEqual([moves[1].move.from, moves[1].move.to, moves[1].weight], ["e1", "c1", 1]);
+  assert.ok(moves[1].move.isCastleQueenSide);
+});
+
+test("book entries that are not legal moves are skipped", () => {
+  const fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  // e2e4, then e1g1 with pieces in the way.
+  const book = bookFor(fen, [
+    { from: 12, to: 28, weight: 1 },
+    { from: 4, to: 6, weight: 1 },
+  ]);
+  const moves = book.getMoves(parseFEN(fen));
+
+  assert.deepEqual(moves.map(({ move }) => `${move.from}${move.to}`), ["e2e4"]);
+});
+
+test("each level plays from the book only up to its depth", () => {
+  const book = createOpeningBook("builtin");
+  // After 1. e4 e5: two plies played.
+  const state = parseFEN("rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2");
+
+  assert.equal(pickBookMove(book, state, 1), null);
+  const entry = pickBookMove(book, state, 2);
+  assert.ok(entry);
+  assert.ok(book.getMoves(state).some(({ move }) => move.from === entry.move.from && move.to === entry.move.to));
+
+  const start = parseFEN("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1");
+  assert.ok(pickBookMove(book, start, 1));
+});
+
+test("book moves are picked by weight, never with weight 0", () => {
+  const fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  // e2e4 (weight 0), d2d4 (1), c2c4 (3).
+  const book = bookFor(fen, [
+    { from: 12, to: 28, weight: 0 },
+    { from: 11, to: 27, weight: 1 },
+    { from: 10, to: 26, weight: 3 },
+  ]);
+  const state = parseFEN(fen);
+  const pick = (roll) => pickBookMove(book, state, 5, () => roll).move.to;
+
+  assert.equal(pick(0), "d4");
+  assert.equal(pick(0.24), "d4");
+  assert.equal(pick(0.25), "c4");
+  assert.equal(pick(0.99), "c4");
+});
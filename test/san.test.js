@@ -0,0 +1,139 @@
+/**
+ * san.test.js
+ *
+ * Standard Algebraic Notation: moves are written with the least
+ * disambiguation that identifies them, and every SAN written parses back
+ * to the same move.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFEN } from "../js/engine/Fen.js";
+import { generateLegalMoves } from "../js/engine/Rules.js";
+import { moveToSAN, parseSAN, lineToSAN } from "../js/engine/San.js";
+
+/** Each move as [from, to, promotion?] and the SAN it must be written as. */
+const CASES = [
+  {
+    name: "file disambiguation",
+    fen: "rnbqkb1r/ppp1pppp/5n2/3p4/3P4/5N2/PPP1PPPP/RNBQKB1R b KQkq - 1 2",
+    moves: [
+      [["b8", "d7"], "Nbd7"],
+      [["f6", "d7"], "Nfd7"],
+      [["f6", "e4"], "Ne4"],
+    ],
+  },
+  {
+    name: "rank disambiguation",
+    fen: "k7/8/8/8/8/4R3/8/4R1K1 w - - 0 1",
+    moves: [
+      [["e1", "e2"], "R1e2"],
+      [["e3", "e2"], "R3e2"],
+      [["e3", "a3"], "Ra3+"],
+    ],
+  },
+  {
+    name: "file and rank disambiguation",
+    fen: "1k6/8/8/8/4Q2Q/1K6/8/7Q w - - 0 1",
+    moves: [
+      [["h4", "e1"], "Qh4e1"],
+      [["e4", "e1"], "Qee1"],
+      [["h1", "e1"], "Q1e1"],
+    ],
+  },
+  {
+    name: "en passant",
+    fen: "4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 2",
+    moves: [
+      [["e5", "d6"], "exd6"],
+      [["e5", "e6"], "e6"],
+    ],
+  },
+  {
+    name: "promotion",
+    fen: "k7/4P3/8/8/8/8/8/4K3 w - - 0 1",
+    moves: [
+      [["e7", "e8", "Q"], "e8=Q+"],
+      [["e7", "e8", "R"], "e8=R+"],
+      [["e7", "e8", "N"], "e8=N"],
+    ],
+  },
+  {
+    name: "castling",
+    fen: "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1",
+    moves: [
+      [["e1", "c1"], "O-O-O"],
+      [["e1", "g1"], "O-O"],
+      [["a1", "a8"], "Rxa8+"],
+    ],
+  },
+  {
+    name: "checkmate",
+    fen: "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1",
+    moves: [[["a1", "a8"], "Ra8#"]],
+  },
+];
+
+/**
+ * @param {Object} state - rules state
+ * @param {[string, string, string?]} move - from, to, promotion
+ */
+function findMove(state, [from, to, promotion = null]) {
+  const move = generateLegalMoves(state).find(
+    (m) => m.from === from && m.to === to && (m.promotion || null) === promotion
+  );
+  assert.ok(move, `${from}${to} is not legal`);
+  return move;
+}
+
+for (const { name, fen, moves } of CASES) {
+  test(`moveToSAN and parseSAN: ${name}`, () => {
+    const state = parseFEN(fen);
+    for (const [coords, san] of moves) {
+      const move = findMove(state, coords);
+      assert.equal(moveToSAN(state, move), san);
+      assert.deepEqual(parseSAN(state, san), move);
+    }
+  });
+}
+
+test("decorations written by other tools are accepted", () => {
+  const enPassant = parseFEN("4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 2");
+  assert.ok(parseSAN(enPassant, "exd6 e.p.").isEnPassant);
+
+  const castling = parseFEN("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1");
+  assert.ok(parseSAN(castling, "0-0-0").isCastleQueenSide);
+  assert.ok(parseSAN(castling, "O-O!?").isCastleKingSide);
+
+  const promotion = parseFEN("k7/4P3/8/8/8/8/8/4K3 w - - 0 1");
+  assert.equal(parseSAN(promotion, "e8Q").promotion, "Q");
+  assert.equal(parseSAN(promotion, "e8=Q#").promotion, "Q");
+});
+
+test("moves that do not identify exactly one legal move are rejected", () => {
+  const knights = parseFEN(CASES[0].fen);
+  assert.throws(() => parseSAN(knights, "Nd7"), /Ambiguous move "Nd7": could be [bf][86]-d7, [bf][86]-d7/);
+  assert.throws(() => parseSAN(knights, "Nd6"), /^Error: Illegal move "Nd6"$/);
+  assert.throws(() => parseSAN(knights, "Zz9"), /Invalid SAN "Zz9"/);
+  assert.throws(() => parseSAN(knights, "O-O"), /Illegal move "O-O": castling is not possible/);
+
+  const promotion = parseFEN("k7/4P3/8/8/8/8/8/4K3 w - - 0 1");
+  assert.throws(() => parseSAN(promotion, "e8"), /Illegal move "e8": promotion piece missing/);
+});
+
+test("lineToSAN numbers a line from the side to move", () => {
+  const state = parseFEN("rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2");
+  const line = [
+    { from: "b8", to: "c6" },
+    { from: "f1", to: "b5" },
+    { from: "a7", to: "a6" },
+  ];
+  assert.equal(lineToSAN(state, line), "2... Nc6 3. Bb5 a6");
+
+  // A move that is not legal ends the line.
+  assert.equal(lineToSAN(state, [line[0], { from: "f1", to: "a7" }, line[2]]), "2... Nc6");
+});
@@ -0,0 +1,120 @@
+/**
+ * undo.test.js
+ *
+ * Takeback and redo: undoing moves one at a time passes back through
+ * exactly the states the game went through, repetition counts and result
+ * included, and redoing them arrives at the same states again.
+ *
+ * Run from the repository root with Node.js 20+:
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GameState } from "../js/engine/GameState.js";
+import { parseSAN } from "../js/engine/San.js";
+
+/**
+ * Everything a takeback must restore, copied so that later moves cannot
+ * change it.
+ * @param {GameState} game
+ */
+function snapshot(game) {
+  return {
+    fen: game.toFEN(),
+    repetitionMap: [...game.repetitionMap.entries()].sort(),
+    result: game.result ? { ...game.result } : null,
+    lastMove: game.lastMove ? { ...game.lastMove } : null,
+    lastMoveText: game.lastMoveText,
+    moveHistory: game.moveHistory.slice(),
+  };
+}
+
+/**
+ * Play `moves` from `game`, then undo them all and redo them all, checking
+ * the state after each step against the one recorded on the way forward.
+ * @param {GameState} game
+ * @param {string[]} moves - SAN
+ * @returns {Object[]} the snapshots, one per ply
+ */
+function playUndoRedo(game, moves) {
+  const states = [snapshot(game)];
+  for (const san of moves) {
+    game.applyMove(parseSAN(game.asRulesState(), san));
+    states.push(snapshot(game));
+  }
+
+  for (let ply = moves.length - 1; ply >= 0; ply -= 1) {
+    assert.ok(game.undoMove(), `undo to ply ${ply}`);
+    assert.deepEqual(snapshot(game), states[ply], `after undo to ply ${ply}`);
+  }
+  assert.equal(game.canUndo(), false);
+  assert.equal(game.undoMove(), null);
+
+  for (let ply = 1; ply <= moves.length; ply += 1) {
+    assert.ok(game.redoMove(), `redo to ply ${ply}`);
+    assert.deepEqual(snapshot(game), states[ply], `after redo to ply ${ply}`);
+  }
+  assert.equal(game.canRedo(), false);
+  assert.equal(game.redoMove(), null);
+  return states;
+}
+
+test("threefold repetition is counted down and up again", () => {
+  const game = GameState.createStarting("white");
+  const shuffle = ["Nf3", "Nf6", "Ng1", "Ng8"];
+  const states = playUndoRedo(game, [...shuffle, ...shuffle]);
+
+  assert.ok(!states[7].result || states[7].result.outcome === "ongoing");
+  assert.equal(states[8].result.outcome, "draw");
+  // The start position is seen for the third time.
+  assert.ok(states[8].repetitionMap.some(([, count]) => count === 3));
+  assert.ok(states[7].repetitionMap.every(([, count]) => count < 3));
+});
+
+test("castling rights and en passant are restored", () => {
+  const game = GameState.createStarting("white");
+  const states = playUndoRedo(game, [
+    "e4", "d5", "e5", "f5", "exf6", "Nxf6", "Nf3", "Bg4", "Bc4", "e6", "O-O", "Bd6",
+  ]);
+
+  assert.equal(states[5].fen, "rnbqkbnr/ppp1p1pp/5P2/3p4/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 3");
+  assert.equal(states[4].fen.split(" ")[3], "f6");
+  assert.equal(states[11].fen.split(" ")[2], "kq");
+  assert.deepEqual(states[11].lastMove, { from: "e1", to: "g1" });
+});
+
+test("a game that ends in mate can be taken back", () => {
+  const game = GameState.createStarting("white");
+  const states = playUndoRedo(game, ["f3", "e5", "g4", "Qh4#"]);
+
+  assert.deepEqual(states[4].result, { outcome: "checkmate", winner: "black", reason: "Checkmate" });
+  assert.equal(states[4].lastMoveText, "2... Qh4#");
+  assert.equal(game.isGameOver(), true);
+
+  game.undoMove();
+  assert.equal(game.isGameOver(), false);
+  assert.deepEqual(game.moveHistory, ["f3", "e5", "g4"]);
+});
+
+test("a new move after a takeback clears the redo stack", () => {
+  const game = GameState.createStarting("white");
+  game.applyMove(parseSAN(game.asRulesState(), "e4"));
+  game.applyMove(parseSAN(game.asRulesState(), "e5"));
+  game.undoMove();
+  assert.equal(game.canRedo(), true);
+
+  game.applyMove(parseSAN(game.asRulesState(), "c5"));
+  assert.equal(game.canRedo(), false);
+  assert.deepEqual(game.moveHistory, ["e4", "c5"]);
+});
+
+test("a game set up from FEN undoes back to its start", () => {
+  const fen = "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 3 20";
+  const game = GameState.fromFEN(fen);
+  const states = playUndoRedo(game, ["O-O-O", "O-O", "Rhe1", "Rfe8"]);
+
+  assert.equal(states[0].fen, fen);
+  assert.equal(states[2].fen, "r4rk1/8/8/8/8/8/8/2KR3R w - - 5 21");
+});
@@ -0,0 +1,71 @@
+/**
+ * bench.js
+ *
+ * Engine benchmark: fixed-depth searches over a small set of positions,
+ * reporting nodes, time and nodes per second.
+ *
+ * Usage (from the repository root, Node 20+):
+ *   node tools/bench.js [depth] [level]
+ *
+ * depth defaults to 3 and level to 4 (quiescence enabled). Each position
+ * is searched by a fresh AI so the transposition table starts empty.
+ */
+
+import { AI } from "../js/engine/AI.js";
+import { GameState } from "../js/engine/GameState.js";
+
+const POSITIONS = [
+  ["Start position", "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"],
+  ["Italian game", "r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4"],
+  ["Queen's gambit declined", "rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq - 2 4"],
+  ["Middlegame", "r2q1rk1/pp2bppp/2n1pn2/3p4/3P4/2NBPN2/PP3PPP/R2Q1RK1 w - - 0 10"],
+  ["Rook endgame", "8/5pk1/6p1/8/3R4/6P1/r4PK1/8 w - - 0 40"],
+];
+
+async function main() {
+  const depth = Number(process.argv[2]) || 3;
+  const level = Number(process.argv[3]) || 4;
+
+  console.log(`Benchmark: depth ${depth}, level ${level}`);
+
+  let totalNodes = 0;
+  let totalTime = 0;
+
+  for (const [name, fen] of POSITIONS) {
+    const state = GameState.fromFEN(fen).serialize();
+    const ai = new AI();
+    const start = process.hrtime.bigint();
+    const move = await ai.findBestMove(state, {
+      level,
+      forColor: state.activeColor,
+      depth,
+      timeout: Infinity,
+    });
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    totalNodes += ai.nodes;
+    totalTime += ms;
+    console.log(
+      `${name.padEnd(26)} ${String(ai.nodes).padStart(9)} nodes ${ms
+        .toFixed(0)
+        .padStart(7)} ms ${formatNps(ai.nodes, ms).padStart(9)} nps  ${
+        move ? `${move.from}${move.to}${move.promotion || ""}` : "-"
+      }`
+    );
+  }
+
+  console.log(
+    `${"Total".padEnd(26)} ${String(totalNodes).padStart(9)} nodes ${totalTime
+      .toFixed(0)
+      .padStart(7)} ms ${formatNps(totalNodes, totalTime).padStart(9)} nps`
+  );
+}
+
+function formatNps(nodes, ms) {
+  return ms > 0 ? String(Math.round((nodes * 1000) / ms)) : "-";
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
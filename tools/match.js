@@ -0,0 +1,284 @@
+/**
+ * match.js
+ *
+ * Headless engine match: plays games between two engine configurations
+ * from a set of opening lines, alternating colors, and reports
+ * wins/draws/losses with an Elo difference and 95% error bars. All games
+ * are written to a PGN file.
+ *
+ * Usage (from the repository root, Node 20+):
+ *   node tools/match.js [options]
+ *
+ * Options:
+ *   --games N      number of games (default 16; each opening is played
+ *                  once with each color)
+ *   --a LEVEL      level of engine A (default 3)
+ *   --b LEVEL      level of engine B (default 4)
+ *   --time MS      search budget per move (default 500)
+ *   --depth N      fixed search depth for both engines instead of the
+ *                  level's depth (default: level's depth)
+ *   --max-moves N  adjudicate a draw after N full moves (default 150)
+ *   --pgn FILE     where to write the games (default match.pgn)
+ *   --a-root DIR   load engine A from another checkout of this repository
+ *   --b-root DIR   load engine B from another checkout (e.g. a git worktree
+ *                  of the commit before an Evaluator.js change)
+ *
+ * Results are from engine A's point of view: a positive Elo difference
+ * means A is stronger.
+ */
+
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { AI } from "../js/engine/AI.js";
+import { GameState } from "../js/engine/GameState.js";
+import { generateLegalMoves } from "../js/engine/Rules.js";
+import { parseSAN } from "../js/engine/San.js";
+import { writePGN, resultToPGN, formatPGNDate } from "../js/engine/Pgn.js";
+
+/** Balanced opening lines (SAN); each is played with both colors. */
+const OPENINGS = [
+  ["Ruy Lopez", "e4 e5 Nf3 Nc6 Bb5 a6"],
+  ["Italian Game", "e4 e5 Nf3 Nc6 Bc4 Bc5"],
+  ["Sicilian Defence", "e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6"],
+  ["French Defence", "e4 e6 d4 d5 Nc3 Nf6"],
+  ["Caro-Kann Defence", "e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5"],
+  ["Queen's Gambit Declined", "d4 d5 c4 e6 Nc3 Nf6"],
+  ["King's Indian Defence", "d4 Nf6 c4 g6 Nc3 Bg7 e4 d6"],
+  ["English Opening", "c4 e5 Nc3 Nf6 g3 d5"],
+];
+
+/** Fewer games than this give no confidence interval. */
+const MIN_INTERVAL_GAMES = 8;
+
+const DEFAULTS = {
+  games: 16,
+  a: 3,
+  b: 4,
+  time: 500,
+  depth: 0,
+  "max-moves": 150,
+  pgn: "match.pgn",
+  "a-root": null,
+  "b-root": null,
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const engines = {
+    a: await loadEngine(options.a, options["a-root"]),
+    b: await loadEngine(options.b, options["b-root"]),
+  };
+  if (engines.a.name === engines.b.name) {
+    engines.a.name += " (A)";
+    engines.b.name += " (B)";
+  }
+
+  console.log(
+    `Match: ${engines.a.name} vs ${engines.b.name}, ${options.games} games, ` +
+      `${options.depth ? `depth ${options.depth}` : `${options.time} ms/move`}`
+  );
+
+  const tally = { wins: 0, draws: 0, losses: 0 };
+  const pgnGames = [];
+  const date = formatPGNDate(new Date());
+
+  for (let i = 0; i < options.games; i++) {
+    const [openingName, line] = OPENINGS[Math.floor(i / 2) % OPENINGS.length];
+    const aIsWhite = i % 2 === 0;
+    const white = aIsWhite ? engines.a : engines.b;
+    const black = aIsWhite ? engines.b : engines.a;
+
+    const state = await playGame(line, { white, black }, options);
+    const result = resultToPGN(state.result);
+    const score = result === "1/2-1/2" ? 0.5 : (result === "1-0") === aIsWhite ? 1 : 0;
+    if (score === 1) tally.wins += 1;
+    else if (score === 0) tally.losses += 1;
+    else tally.draws += 1;
+
+    console.log(
+      `Game ${String(i + 1).padStart(3)}: ${white.name} - ${black.name}  ${result.padEnd(7)} ` +
+        `${state.result.reason || state.result.outcome} (${openingName}, ${Math.ceil(state.moveHistory.length / 2)} moves)`
+    );
+
+    pgnGames.push(
+      writePGN({
+        tags: {
+          Event: "Engine match",
+          Site: "Browser Chess Pure JS",
+          Date: date,
+          Round: String(i + 1),
+          White: white.name,
+          Black: black.name,
+          Opening: openingName,
+          Termination: state.result.reason || "",
+        },
+        moves: state.moveHistory,
+        result,
+      })
+    );
+  }
+
+  await writeFile(options.pgn, pgnGames.join("\n"));
+
+  const { wins, draws, losses } = tally;
+  const elo = eloDifference(wins, draws, losses);
+  console.log("");
+  console.log(`${engines.a.name} vs ${engines.b.name}: +${wins} =${draws} -${losses}`);
+  console.log(
+    `Score ${((wins + draws / 2) / options.games * 100).toFixed(1)}%, ` +
+      `Elo difference ${formatElo(elo.elo)} ${formatInterval(elo)}`
+  );
+  console.log(`Games written to ${options.pgn}`);
+}
+
+/**
+ * Play one game from an opening line.
+ * Each side gets a fresh AI so no transposition table carries over.
+ * @returns {Promise<GameState>} final state; result is always set
+ */
+async function playGame(line, { white, black }, options) {
+  const state = GameState.createStarting("white");
+  for (const san of line.split(" ")) {
+    state.applyMove(parseSAN(state.asRulesState(), san));
+  }
+
+  const players = {
+    white: { engine: white, ai: new white.AI() },
+    black: { engine: black, ai: new black.AI() },
+  };
+  const maxPlies = options["max-moves"] * 2;
+
+  while (!state.isGameOver()) {
+    if (state.moveHistory.length >= maxPlies) {
+      state.result = { outcome: "draw", winner: null, reason: "Adjudicated: move limit" };
+      break;
+    }
+
+    const color = state.activeColor;
+    const { engine, ai } = players[color];
+    const move = await ai.findBestMove(state.serialize(), {
+      level: engine.level,
+      forColor: color,
+      timeout: options.time,
+      depth: options.depth || undefined,
+    });
+
+    // Match against our own move list: engines loaded from another
+    // checkout may build move objects differently.
+    const legal = move
+      ? generateLegalMoves(state.asRulesState()).find(
+          (m) =>
+            m.from === move.from &&
+            m.to === move.to &&
+            (m.promotion || null) === (move.promotion || null)
+        )
+      : null;
+    if (!legal) {
+      const winner = color === "white" ? "black" : "white";
+      state.result = { outcome: "forfeit", winner, reason: `${engine.name} made no legal move` };
+      break;
+    }
+    state.applyMove(legal);
+  }
+  return state;
+}
+
+/**
+ * Load an engine configuration, optionally from another checkout.
+ * @param {number} level
+ * @param {string|null} root
+ * @returns {Promise<{name:string, level:number, AI:typeof AI}>}
+ */
+async function loadEngine(level, root) {
+  if (!root) {
+    return { name: `Level ${level}`, level, AI };
+  }
+  const resolved = path.resolve(root);
+  const module = await import(pathToFileURL(path.join(resolved, "js/engine/AI.js")).href);
+  return { name: `Level ${level} (${path.basename(resolved)})`, level, AI: module.AI };
+}
+
+/**
+ * Elo difference for a match score with a 95% confidence interval, from
+ * the per-game score variance (normal approximation). With fewer than
+ * MIN_INTERVAL_GAMES games, or when every game ended the same way (zero
+ * variance), the approximation says nothing and the interval is null.
+ * @returns {{elo:number, low:number|null, high:number|null}}
+ */
+function eloDifference(wins, draws, losses) {
+  const games = wins + draws + losses;
+  if (games === 0) return { elo: 0, low: null, high: null };
+
+  const score = (wins + draws / 2) / games;
+  const variance =
+    (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games;
+  if (games < MIN_INTERVAL_GAMES || variance === 0) {
+    return { elo: scoreToElo(score), low: null, high: null };
+  }
+  const margin = 1.96 * Math.sqrt(variance / games);
+
+  return {
+    elo: scoreToElo(score),
+    low: scoreToElo(score - margin),
+    high: scoreToElo(score + margin),
+  };
+}
+
+function scoreToElo(score) {
+  if (score <= 0) return -Infinity;
+  if (score >= 1) return Infinity;
+  return -400 * Math.log10(1 / score - 1);
+}
+
+function formatInterval({ low, high }) {
+  if (low === null || high === null) return "(95%: unknown, too few games or no spread in results)";
+  return `(95%: ${formatElo(low)} to ${formatElo(high)})`;
+}
+
+function formatElo(elo) {
+  if (!Number.isFinite(elo)) return elo > 0 ? "+inf" : "-inf";
+  const rounded = Math.round(elo);
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Parse "--name value" / "--name=value" flags over DEFAULTS.
+ * @param {string[]} args
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match || !(match[1] in DEFAULTS)) {
+      throw new Error(`Unknown option "${args[i]}" (see the header of tools/match.js)`);
+    }
+    const [, name, inline] = match;
+    const value = inline !== undefined ? inline : args[++i];
+    if (value === undefined) throw new Error(`Missing value for --${name}`);
+
+    if (typeof DEFAULTS[name] === "number") {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`--${name} expects a non-negative integer, got "${value}"`);
+      }
+      options[name] = number;
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (options.games < 1) throw new Error("--games expects at least 1");
+  for (const side of ["a", "b"]) {
+    if (options[side] < 1 || options[side] > 5) {
+      throw new Error(`--${side} expects a level from 1 to 5`);
+    }
+  }
+  return options;
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,347 @@
+/**
+ * uci.js
+ *
+ * UCI (Universal Chess Interface) front-end for the engine, so it can run
+ * inside chess GUIs and tournament managers.
+ *
+ * Usage (Node 20+): register `node /path/to/tools/uci.js` as the engine
+ * command in the GUI, or talk to it on stdin/stdout.
+ *
+ * Supported commands:
+ *   uci, isready, ucinewgame, quit
+ *   setoption name Skill Level value <1-5>
+ *   setoption name MultiPV value <1-5>
+ *   setoption name OwnBook value <true|false>
+ *   setoption name BookFile value <path to a Polyglot .bin book; empty for the built-in book>
+ *   position startpos|fen <fen> [moves <m1> <m2> ...]
+ *   go [depth N] [movetime MS] [wtime MS btime MS winc MS binc MS movestogo N] [infinite]
+ *   stop
+ *
+ * The search runs in a worker thread so that `stop` and `isready` are
+ * answered while it thinks; `stop` is passed to AI.findBestMove through a
+ * shared flag. Moves use long algebraic notation ("e2e4", "e7e8q").
+ * With OwnBook on, timed searches play from the opening book first.
+ */
+
+import { readFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { Worker, isMainThread, parentPort } from "node:worker_threads";
+
+import { AI } from "../js/engine/AI.js";
+import { GameState } from "../js/engine/GameState.js";
+import { generateLegalMoves } from "../js/engine/Rules.js";
+import { createOpeningBook } from "../js/engine/OpeningBook.js";
+
+const ENGINE_NAME = "Browser Chess Pure JS";
+const DEFAULT_LEVEL = 5;
+const MAX_MULTI_PV = 5;
+
+/** Depth limit for searches bounded only by time or `stop`. */
+const MAX_DEPTH = 64;
+
+/** Time kept in reserve when budgeting from the clock (ms). */
+const MOVE_OVERHEAD = 50;
+
+if (isMainThread) {
+  runProtocol();
+} else {
+  runSearchWorker();
+}
+
+/* === Main thread: protocol === */
+
+function runProtocol() {
+  const stopFlag = new Int32Array(new SharedArrayBuffer(4));
+  const worker = new Worker(new URL(import.meta.url), { workerData: null });
+
+  let level = DEFAULT_LEVEL;
+  let multiPV = 1;
+  let ownBook = false;
+  let state = GameState.createStarting("white");
+  /** @type {{infinite:boolean, stopped:boolean, bestmove:string|null}|null} */
+  let search = null;
+
+  const send = (line) => process.stdout.write(`${line}\n`);
+
+  worker.on("message", (message) => {
+    if (message.type === "info") {
+      formatInfo(message.info).forEach(send);
+    } else if (message.type === "book") {
+      const { name } = message.book;
+      send(`info string book move${name ? ` (${name})` : ""}`);
+    } else if (message.type === "bestmove") {
+      // After "go infinite" the move is only reported once "stop" arrives.
+      if (search && search.infinite && !search.stopped) {
+        search.bestmove = message.move;
+        return;
+      }
+      search = null;
+      send(`bestmove ${message.move}`);
+    }
+  });
+  worker.on("error", (error) => {
+    process.stderr.write(`info string engine error: ${error.message}\n`);
+    process.exit(1);
+  });
+
+  const handlers = {
+    uci() {
+      send(`id name ${ENGINE_NAME}`);
+      send("id author Browser Chess Pure JS contributors");
+      send(`option name Skill Level type spin default ${DEFAULT_LEVEL} min 1 max 5`);
+      send(`option name MultiPV type spin default 1 min 1 max ${MAX_MULTI_PV}`);
+      send("option name OwnBook type check default false");
+      send("option name BookFile type string default <empty>");
+      send("uciok");
+    },
+    isready() {
+      send("readyok");
+    },
+    ucinewgame() {
+      state = GameState.createStarting("white");
+      worker.postMessage({ type: "newgame" });
+    },
+    setoption(args) {
+      const match = /^name\s+(.+?)\s+value(?:\s+(.*))?$/i.exec(args.join(" "));
+      if (!match) return;
+      const name = match[1].toLowerCase();
+      const text = (match[2] || "").trim();
+      const value = Number(text);
+      if (name === "skill level") {
+        if (Number.isInteger(value) && value >= 1 && value <= 5) level = value;
+      } else if (name === "multipv") {
+        if (Number.isInteger(value) && value >= 1 && value <= MAX_MULTI_PV) multiPV = value;
+      } else if (name === "ownbook") {
+        ownBook = text.toLowerCase() === "true";
+      } else if (name === "bookfile") {
+        try {
+          const book = text && text !== "<empty>" ? readFileSync(text) : "builtin";
+          createOpeningBook(book);
+          worker.postMessage({ type: "book", book });
+        } catch (error) {
+          send(`info string cannot load book: ${error.message}`);
+        }
+      }
+    },
+    position(args) {
+      try {
+        state = parsePosition(args);
+      } catch (error) {
+        send(`info string ${error.message}`);
+      }
+    },
+    go(args) {
+      if (search) return;
+      const limits = parseGoLimits(args);
+      const color = state.activeColor;
+      const timeout = limits.infinite ? Infinity : budgetFor(limits, color);
+
+      search = { infinite: limits.infinite, stopped: false, bestmove: null };
+      Atomics.store(stopFlag, 0, 0);
+      worker.postMessage({
+        type: "search",
+        state: state.serialize(),
+        options: {
+          level,
+          multiPV,
+          forColor: color,
+          timeout,
+          depth: limits.depth || (limits.infinite ? MAX_DEPTH : undefined),
+          // Analysis ("go infinite") wants a search, not a book move.
+          useBook: ownBook && !limits.infinite,
+        },
+        stopFlag,
+      });
+    },
+    stop() {
+      if (!search) return;
+      search.stopped = true;
+      Atomics.store(stopFlag, 0, 1);
+      if (search.bestmove) {
+        send(`bestmove ${search.bestmove}`);
+        search = null;
+      }
+    },
+    quit() {
+      worker.terminate();
+      process.exit(0);
+    },
+  };
+
+  const input = createInterface({ input: process.stdin, terminal: false });
+  input.on("line", (line) => {
+    const [command, ...args] = line.trim().split(/\s+/);
+    if (Object.prototype.hasOwnProperty.call(handlers, command)) {
+      handlers[command](args);
+    }
+  });
+  input.on("close", () => handlers.quit());
+}
+
+/**
+ * Build the position from "startpos|fen <fen> [moves ...]".
+ * @param {string[]} args
+ * @returns {GameState}
+ */
+function parsePosition(args) {
+  const movesIndex = args.indexOf("moves");
+  const setup = movesIndex === -1 ? args : args.slice(0, movesIndex);
+  const moves = movesIndex === -1 ? [] : args.slice(movesIndex + 1);
+
+  let state;
+  if (setup[0] === "startpos") {
+    state = GameState.createStarting("white");
+  } else if (setup[0] === "fen") {
+    state = GameState.fromFEN(setup.slice(1).join(" "));
+  } else {
+    throw new Error(`unknown position "${setup.join(" ")}"`);
+  }
+
+  for (const text of moves) {
+    const move = findMove(state, text);
+    if (!move) throw new Error(`illegal move ${text}`);
+    state.applyMove(move);
+  }
+  return state;
+}
+
+/**
+ * Legal move for long algebraic notation such as "e2e4" or "e7e8q".
+ * @param {GameState} state
+ * @param {string} text
+ */
+function findMove(state, text) {
+  const match = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/.exec(text);
+  if (!match) return null;
+  const promotion = match[3] ? match[3].toUpperCase() : null;
+  return (
+    generateLegalMoves(state.asRulesState()).find(
+      (m) => m.from === match[1] && m.to === match[2] && (m.promotion || null) === promotion
+    ) || null
+  );
+}
+
+/**
+ * @param {string[]} args - tokens after "go"
+ * @returns {{depth:number, movetime:number, wtime:number, btime:number, winc:number, binc:number, movestogo:number, infinite:boolean}}
+ */
+function parseGoLimits(args) {
+  const limits = {
+    depth: 0,
+    movetime: 0,
+    wtime: 0,
+    btime: 0,
+    winc: 0,
+    binc: 0,
+    movestogo: 0,
+    infinite: false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i];
+    if (name === "infinite") {
+      limits.infinite = true;
+    } else if (name in limits) {
+      limits[name] = Math.max(0, Number(args[i + 1]) || 0);
+      i++;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Search budget for one move: movetime if given, otherwise a share of
+ * the remaining clock time plus most of the increment.
+ * @returns {number} ms
+ */
+function budgetFor(limits, color) {
+  if (limits.movetime) return Math.max(1, limits.movetime - MOVE_OVERHEAD);
+
+  const remaining = color === "white" ? limits.wtime : limits.btime;
+  const increment = color === "white" ? limits.winc : limits.binc;
+  if (!remaining) {
+    // "go depth N" (or a bare "go"): let the depth decide.
+    return limits.depth ? Infinity : 10000;
+  }
+
+  const share = remaining / (limits.movestogo || 30) + increment * 0.75;
+  return Math.max(10, Math.min(share, remaining - MOVE_OVERHEAD));
+}
+
+/**
+ * One "info" line per reported line; "multipv N" is added when the search
+ * reported several.
+ * @param {{depth:number, elapsed:number, nodes:number, lines:{score:number, mate:number|null, pv:string[]}[]}} info
+ * @returns {string[]}
+ */
+function formatInfo(info) {
+  const nps = info.elapsed > 0 ? Math.round((info.nodes * 1000) / info.elapsed) : 0;
+  return info.lines.map((line, index) => {
+    const score = line.mate !== null ? `mate ${line.mate}` : `cp ${Math.round(line.score)}`;
+    const multiPV = info.lines.length > 1 ? ` multipv ${index + 1}` : "";
+    return (
+      `info depth ${info.depth}${multiPV} score ${score} nodes ${info.nodes} nps ${nps} ` +
+      `time ${info.elapsed} pv ${line.pv.join(" ")}`
+    );
+  });
+}
+
+/* === Worker thread: search === */
+
+function runSearchWorker() {
+  let ai = new AI();
+  let book = "builtin";
+
+  parentPort.on("message", async (message) => {
+    if (message.type === "newgame") {
+      ai = new AI();
+      ai.setBook(book);
+      return;
+    }
+    if (message.type === "book") {
+      book = message.book;
+      ai.setBook(book);
+      return;
+    }
+    if (message.type !== "search") return;
+
+    const { state, options, stopFlag } = message;
+    // The move played is the head of the last reported PV, so "bestmove"
+    // always agrees with the final "info" line; the skill-level randomness
+    // of findBestMove() can otherwise pick a move no PV showed.
+    let reported = null;
+    const move = await ai.findBestMove(state, {
+      ...options,
+      shouldStop: () => Atomics.load(stopFlag, 0) === 1,
+      onProgress: (info) => {
+        reported = info.lines[0] && info.lines[0].pv.length > 0 ? info.lines[0].pv[0] : info.move;
+        if (info.book) {
+          parentPort.postMessage({ type: "book", book: info.book });
+          return;
+        }
+        parentPort.postMessage({
+          type: "info",
+          info: {
+            depth: info.depth,
+            nodes: info.nodes,
+            elapsed: info.elapsed,
+            lines: info.lines.map((line) => ({
+              score: line.score,
+              mate: line.mate,
+              pv: line.pv.map(toLongAlgebraic),
+            })),
+          },
+        });
+      },
+    });
+    const best = reported || move;
+    parentPort.postMessage({ type: "bestmove", move: best ? toLongAlgebraic(best) : "0000" });
+  });
+}
+
+/**
+ * @param {import("../js/engine/Move.js").Move} move
+ * @returns {string} e.g. "e2e4", "e7e8q"
+ */
+function toLongAlgebraic(move) {
+  return `${move.from}${move.to}${move.promotion ? move.promotion.toLowerCase() : ""}`;
+}